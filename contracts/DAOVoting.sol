@@ -5,11 +5,15 @@ pragma solidity ^0.8.20;
 /// @notice Uses OpenZeppelin ERC20Votes to count voting power at snapshot block (block number at proposal creation).
 /// @dev Requires the provided token to implement IERC5805-like snapshot via getPastVotes & getPastTotalSupply (ERC20Votes).
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
 
-contract DAOVoting is Ownable, ReentrancyGuard {
+contract DAOVoting is Ownable, ReentrancyGuard, EIP712, Nonces {
     ERC20Votes public immutable governanceToken;
 
     uint16 public quorumNumerator; // e.g., 20 -> 20% quorum
@@ -17,9 +21,24 @@ contract DAOVoting is Ownable, ReentrancyGuard {
 
     uint256 public votingPeriodBlocks; // number of blocks that voting remains open
 
+    uint256 public timelockDelay; // seconds a queued proposal waits before it can be executed
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+    uint256 public constant GRACE_PERIOD = 14 days; // queued proposals expire this long after their eta
+
+    uint256 public proposalThreshold; // voting power needed at the previous block to create a proposal
+    uint256 public maxActiveProposals; // active proposals allowed per proposer, 0 = unlimited
+
+    // EIP-712 ballot signed by a voter so a relayer can submit the vote with castVoteBySig
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,uint8 support,address voter,uint256 nonce,string reason)");
+
     uint256 private _nextProposalId;
 
-    enum ProposalState { Active, Succeeded, Defeated, Canceled, Executed, Unknown }
+    // Queued and Expired are appended so the earlier values keep their numbers
+    enum ProposalState { Active, Succeeded, Defeated, Canceled, Executed, Unknown, Queued, Expired }
+
+    // Abstain votes count toward quorum but not toward the outcome
+    enum VoteType { Against, For, Abstain }
 
     struct Proposal {
         uint256 id;
@@ -30,14 +49,26 @@ contract DAOVoting is Ownable, ReentrancyGuard {
         uint256 endBlock;
         uint256 forVotes;
         uint256 againstVotes;
+        uint256 abstainVotes;
         bool canceled;
         bool executed;
+        uint256 eta; // earliest execution time once queued, 0 before
+    }
+
+    struct Action {
+        address target;
+        uint256 value;
+        bytes data;
     }
 
     // proposalId => Proposal
     mapping(uint256 => Proposal) public proposals;
+    // proposalId => actions executed in order when the proposal is executed
+    mapping(uint256 => Action[]) private _actions;
     // proposalId => voter => voted?
     mapping(uint256 => mapping(address => bool)) public hasVoted;
+    // proposer => proposals that may still be active, pruned when the proposer creates another
+    mapping(address => uint256[]) private _openProposals;
 
     event ProposalCreated(
         uint256 indexed id,
@@ -48,30 +79,80 @@ contract DAOVoting is Ownable, ReentrancyGuard {
         string description
     );
 
-    event VoteCast(address indexed voter, uint256 indexed proposalId, bool support, uint256 weight);
+    event ProposalActionsSet(uint256 indexed id, address[] targets, uint256[] values, bytes[] calldatas);
+    event VoteCast(address indexed voter, uint256 indexed proposalId, uint8 support, uint256 weight, string reason);
+    event ProposalQueued(uint256 indexed id, uint256 eta);
     event ProposalExecuted(uint256 indexed id);
     event ProposalCanceled(uint256 indexed id);
     event QuorumChanged(uint16 newNumerator);
     event VotingPeriodChanged(uint256 newVotingPeriodBlocks);
+    event TimelockDelayChanged(uint256 newTimelockDelay);
+    event ProposalThresholdChanged(uint256 newProposalThreshold);
+    event MaxActiveProposalsChanged(uint256 newMaxActiveProposals);
 
     constructor(
         address _governanceToken,
         uint16 _quorumNumerator,
-        uint256 _votingPeriodBlocks
-    ) Ownable(msg.sender) {
+        uint256 _votingPeriodBlocks,
+        uint256 _timelockDelay,
+        uint256 _proposalThreshold,
+        uint256 _maxActiveProposals
+    ) Ownable(msg.sender) EIP712("DAOVoting", "1") {
         require(_governanceToken != address(0), "token zero");
         require(_quorumNumerator > 0 && _quorumNumerator <= QUORUM_DENOMINATOR, "invalid quorum");
         require(_votingPeriodBlocks > 0, "voting period zero");
+        require(_timelockDelay <= MAX_TIMELOCK_DELAY, "timelock delay too long");
 
         governanceToken = ERC20Votes(_governanceToken);
         quorumNumerator = _quorumNumerator;
         votingPeriodBlocks = _votingPeriodBlocks;
+        timelockDelay = _timelockDelay;
+        proposalThreshold = _proposalThreshold;
+        maxActiveProposals = _maxActiveProposals;
 
         _nextProposalId = 1; // start IDs at 1
     }
 
-    /// @notice Create a proposal. Snapshot block is current block number.
+    /// @notice Accept ETH so proposal actions can send value
+    receive() external payable {}
+
+    /// @notice Create a proposal without on-chain actions. Snapshot block is current block number.
     function createProposal(string calldata description) external returns (uint256) {
+        return _createProposal(description);
+    }
+
+    /// @notice Create a proposal whose actions (target, value, calldata) are executed in order on success
+    function createProposal(
+        address[] calldata targets,
+        uint256[] calldata values,
+        bytes[] calldata calldatas,
+        string calldata description
+    ) external returns (uint256) {
+        require(targets.length == values.length && targets.length == calldatas.length, "invalid action lengths");
+
+        uint256 pid = _createProposal(description);
+        for (uint256 i = 0; i < targets.length; i++) {
+            require(targets[i] != address(0), "action target zero");
+            _actions[pid].push(Action({ target: targets[i], value: values[i], data: calldatas[i] }));
+        }
+
+        if (targets.length > 0) {
+            emit ProposalActionsSet(pid, targets, values, calldatas);
+        }
+        return pid;
+    }
+
+    function _createProposal(string calldata description) private returns (uint256) {
+        if (proposalThreshold > 0) {
+            require(
+                governanceToken.getPastVotes(msg.sender, block.number - 1) >= proposalThreshold,
+                "proposer votes below threshold"
+            );
+        }
+        if (maxActiveProposals > 0) {
+            require(_pruneOpenProposals(msg.sender) < maxActiveProposals, "too many active proposals");
+        }
+
         uint256 snapshot = block.number; // snapshot block for votes
         uint256 start = block.number;
         uint256 end = block.number + votingPeriodBlocks;
@@ -86,35 +167,91 @@ contract DAOVoting is Ownable, ReentrancyGuard {
             endBlock: end,
             forVotes: 0,
             againstVotes: 0,
+            abstainVotes: 0,
             canceled: false,
-            executed: false
+            executed: false,
+            eta: 0
         });
 
+        // Only tracked while a cap is set, so uncapped proposals cost no extra storage
+        if (maxActiveProposals > 0) {
+            _openProposals[msg.sender].push(pid);
+        }
+
         emit ProposalCreated(pid, msg.sender, snapshot, start, end, description);
         return pid;
     }
 
-    /// @notice Cast a vote (token-weighted) at the proposal snapshot
+    /// @dev Drop the proposer's proposals that are no longer active and return how many remain
+    function _pruneOpenProposals(address proposer) private returns (uint256) {
+        uint256[] storage open = _openProposals[proposer];
+        uint256 i = 0;
+        while (i < open.length) {
+            if (state(open[i]) == ProposalState.Active) {
+                i++;
+            } else {
+                open[i] = open[open.length - 1];
+                open.pop();
+            }
+        }
+        return open.length;
+    }
+
+    /// @notice Cast a for/against vote (token-weighted) at the proposal snapshot
     function vote(uint256 proposalId, bool support) external nonReentrant {
+        _castVote(proposalId, msg.sender, uint8(support ? VoteType.For : VoteType.Against), "");
+    }
+
+    /// @notice Cast a vote of a VoteType (0 = Against, 1 = For, 2 = Abstain)
+    function castVote(uint256 proposalId, uint8 support) external nonReentrant {
+        _castVote(proposalId, msg.sender, support, "");
+    }
+
+    /// @notice Cast a vote of a VoteType with a reason, which is emitted in VoteCast
+    function castVoteWithReason(uint256 proposalId, uint8 support, string calldata reason) external nonReentrant {
+        _castVote(proposalId, msg.sender, support, reason);
+    }
+
+    /// @notice Cast a vote signed off-chain by `voter` (EIP-712 Ballot). The relayer pays the gas;
+    /// each signature is bound to the voter's current nonce and can only be used once.
+    function castVoteBySig(
+        uint256 proposalId,
+        uint8 support,
+        address voter,
+        string calldata reason,
+        bytes calldata signature
+    ) external nonReentrant {
+        bytes32 structHash = keccak256(
+            abi.encode(BALLOT_TYPEHASH, proposalId, support, voter, _useNonce(voter), keccak256(bytes(reason)))
+        );
+        require(SignatureChecker.isValidSignatureNow(voter, _hashTypedDataV4(structHash), signature), "invalid signature");
+
+        _castVote(proposalId, voter, support, reason);
+    }
+
+    function _castVote(uint256 proposalId, address voter, uint8 support, string memory reason) private {
         Proposal storage p = proposals[proposalId];
         require(p.id != 0, "proposal not found");
         require(!p.canceled, "proposal canceled");
         require(block.number >= p.startBlock, "voting not started");
         require(block.number <= p.endBlock, "voting ended");
-        require(!hasVoted[proposalId][msg.sender], "already voted");
+        require(support <= uint8(VoteType.Abstain), "invalid vote type");
+        require(!hasVoted[proposalId][voter], "already voted");
 
-        uint256 weight = governanceToken.getPastVotes(msg.sender, p.snapshotBlock);
+        uint256 weight = governanceToken.getPastVotes(voter, p.snapshotBlock);
         require(weight > 0, "no voting power at snapshot");
 
-        hasVoted[proposalId][msg.sender] = true;
+        hasVoted[proposalId][voter] = true;
 
-        if (support) {
+        if (support == uint8(VoteType.For)) {
             p.forVotes += weight;
-        } else {
+        } else if (support == uint8(VoteType.Against)) {
             p.againstVotes += weight;
+        } else {
+            p.abstainVotes += weight;
         }
 
-        emit VoteCast(msg.sender, proposalId, support, weight);
+        emit VoteCast(voter, proposalId, support, weight, reason);
     }
 
     /// @notice Returns proposal state
@@ -124,18 +261,33 @@ contract DAOVoting is Ownable, ReentrancyGuard {
         if (p.canceled) return ProposalState.Canceled;
         if (p.executed) return ProposalState.Executed;
         if (block.number <= p.endBlock) return ProposalState.Active;
+        if (p.eta != 0) {
+            return block.timestamp > p.eta + GRACE_PERIOD ? ProposalState.Expired : ProposalState.Queued;
+        }
 
-        // voting ended; check quorum & votes
+        // voting ended; for and abstain votes count toward quorum, for vs against decides
         uint256 totalSupplyAtSnapshot = governanceToken.getPastTotalSupply(p.snapshotBlock);
         uint256 requiredQuorum = (totalSupplyAtSnapshot * quorumNumerator) / QUORUM_DENOMINATOR;
-        if (p.forVotes >= requiredQuorum && p.forVotes > p.againstVotes) {
+        if (p.forVotes + p.abstainVotes >= requiredQuorum && p.forVotes > p.againstVotes) {
             return ProposalState.Succeeded;
         } else {
             return ProposalState.Defeated;
         }
     }
 
-    /// @notice Execute a proposal (logical execution — caller-defined; here we only mark executed)
+    /// @notice Queue a successful proposal. It can be executed once `timelockDelay` has passed
+    /// and expires `GRACE_PERIOD` after that.
+    function queueProposal(uint256 proposalId) external {
+        Proposal storage p = proposals[proposalId];
+        require(p.id != 0, "proposal not found");
+        require(state(proposalId) == ProposalState.Succeeded, "proposal not successful");
+
+        p.eta = block.timestamp + timelockDelay;
+        emit ProposalQueued(proposalId, p.eta);
+    }
+
+    /// @notice Execute a queued proposal and its actions once its timelock has passed. Actions
+    /// run atomically: if one reverts, execution reverts with the target's revert reason.
     function executeProposal(uint256 proposalId) external nonReentrant {
         Proposal storage p = proposals[proposalId];
         require(p.id != 0, "proposal not found");
@@ -144,13 +296,20 @@ contract DAOVoting is Ownable, ReentrancyGuard {
         require(block.number > p.endBlock, "voting not ended");
 
         ProposalState st = state(proposalId);
-        require(st == ProposalState.Succeeded, "proposal not successful");
+        require(st != ProposalState.Expired, "proposal expired");
+        require(st == ProposalState.Queued || st == ProposalState.Succeeded, "proposal not successful");
+        require(st == ProposalState.Queued, "proposal not queued");
+        require(block.timestamp >= p.eta, "timelock not elapsed");
 
         p.executed = true;
 
+        Action[] storage actions = _actions[proposalId];
+        for (uint256 i = 0; i < actions.length; i++) {
+            (bool success, bytes memory returndata) = actions[i].target.call{value: actions[i].value}(actions[i].data);
+            Address.verifyCallResult(success, returndata);
+        }
+
         emit ProposalExecuted(proposalId);
-        // Note: For on-chain actions, this contract could integrate a governor module that calls targets.
-        // We keep execution as a logical state change for simplicity / auditability.
     }
 
     /// @notice Cancel a proposal (owner only)
@@ -178,9 +337,54 @@ contract DAOVoting is Ownable, ReentrancyGuard {
         emit VotingPeriodChanged(newVotingPeriodBlocks);
     }
 
+    /// @notice Set the voting power needed to create a proposal, 0 to disable (owner only)
+    function setProposalThreshold(uint256 newProposalThreshold) external onlyOwner {
+        proposalThreshold = newProposalThreshold;
+        emit ProposalThresholdChanged(newProposalThreshold);
+    }
+
+    /// @notice Set how many active proposals a proposer may have, 0 for unlimited (owner only).
+    /// Proposals created while the cap was 0 do not count towards it.
+    function setMaxActiveProposals(uint256 newMaxActiveProposals) external onlyOwner {
+        maxActiveProposals = newMaxActiveProposals;
+        emit MaxActiveProposalsChanged(newMaxActiveProposals);
+    }
+
+    /// @notice Set the timelock delay in seconds for proposals queued from now on (owner only)
+    function setTimelockDelay(uint256 newTimelockDelay) external onlyOwner {
+        require(newTimelockDelay <= MAX_TIMELOCK_DELAY, "timelock delay too long");
+        timelockDelay = newTimelockDelay;
+        emit TimelockDelayChanged(newTimelockDelay);
+    }
+
     // Read helpers
     function getProposal(uint256 proposalId) external view returns (Proposal memory) {
         return proposals[proposalId];
     }
 
+    /// @notice Number of the proposer's proposals that are still open for voting, counting
+    /// only those created while a cap was set
+    function activeProposalCount(address proposer) external view returns (uint256 count) {
+        uint256[] storage open = _openProposals[proposer];
+        for (uint256 i = 0; i < open.length; i++) {
+            if (state(open[i]) == ProposalState.Active) count++;
+        }
+    }
+
+    function getActions(uint256 proposalId)
+        external
+        view
+        returns (address[] memory targets, uint256[] memory values, bytes[] memory calldatas)
+    {
+        Action[] storage actions = _actions[proposalId];
+        targets = new address[](actions.length);
+        values = new uint256[](actions.length);
+        calldatas = new bytes[](actions.length);
+        for (uint256 i = 0; i < actions.length; i++) {
+            targets[i] = actions[i].target;
+            values[i] = actions[i].value;
+            calldatas[i] = actions[i].data;
+        }
+    }
+
 }
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title DeterministicDeployer - CREATE2 factory for same-address deployments across chains
+/// @notice Deploys init code with CREATE2 and runs follow-up calls on the new contract in the same transaction.
+/// @dev The salt is bound to the caller so nobody else can squat a predicted address. Follow-up calls let
+///      contracts that assign ownership or mint to msg.sender (this factory) hand both back to the caller.
+import "@openzeppelin/contracts/utils/Create2.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+contract DeterministicDeployer {
+    event Deployed(address indexed deployer, bytes32 indexed salt, address deployed);
+
+    /// @notice Deploy `initCode` at the address derived from (msg.sender, salt) and run `calls` on it
+    function deploy(bytes32 salt, bytes calldata initCode, bytes[] calldata calls)
+        external
+        payable
+        returns (address deployed)
+    {
+        deployed = Create2.deploy(msg.value, _guardedSalt(msg.sender, salt), initCode);
+
+        for (uint256 i = 0; i < calls.length; i++) {
+            Address.functionCall(deployed, calls[i]);
+        }
+
+        emit Deployed(msg.sender, salt, deployed);
+    }
+
+    /// @notice Predict the address `deployer` gets for `salt` and init code hash
+    function computeAddress(address deployer, bytes32 salt, bytes32 initCodeHash) external view returns (address) {
+        return Create2.computeAddress(_guardedSalt(deployer, salt), initCodeHash);
+    }
+
+    function _guardedSalt(address deployer, bytes32 salt) private pure returns (bytes32) {
+        return keccak256(abi.encode(deployer, salt));
+    }
+}
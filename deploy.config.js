@@ -3,11 +3,50 @@
  * 
  * This file contains all network-specific configurations for deploying
  * the TestToken and DAOVoting contracts across different environments.
+ *
+ * The voting period is either `dao.votingPeriodBlocks` or a duration such as
+ * `dao.votingPeriod: "7d"`, converted to blocks at deploy time using the optional
+ * per-network `blockTimeSeconds` (sampled from recent blocks when unset).
+ *
+ * `dao.timelockDelay` is how long a succeeded proposal stays queued before it can be
+ * executed, in seconds or as a duration such as "2d" (default 0, at most 30 days).
+ *
+ * `dao.proposalThreshold` is the voting power (in tokens, at the previous block) needed
+ * to create a proposal, and `dao.maxActiveProposals` caps the proposals one address can
+ * have in voting at the same time. Both default to 0, which disables them.
+ *
+ * Optional sections per network:
+ *   create2: { salt }                 - deterministic CREATE2 deployment
+ *   handoff: { tokenOwner, daoOwner } - post-deployment owners (address or "dao"
+ *                                       for the deployed DAOVoting contract)
+ *   distribution: {                   - initial token distribution
+ *     recipients: [{ address, amount, delegation? }],
+ *     file,             // JSON or CSV allocation file (address,amount[,delegatee,nonce,expiry,v,r,s])
+ *     batchSize,        // transfers broadcast per batch (default 10)
+ *     delegateDeployer, // deployer self-delegates its remaining balance
+ *   }
+ *
+ * Values can be overridden without editing this file through a
+ * `deploy.config.<network>.json` file and DAO_* environment variables, and
+ * networks not listed here can be added with their own JSON file (see resolveConfig).
+ *
+ * Each entry is checked against the schema in scripts/utils/config-schema.js;
+ * unknown keys are reported as errors.
  */
 
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadConfigFile, mergeConfigLayers, readEnvOverrides } from "./scripts/utils/config-loader.js";
+import { ConfigValidationError, validateConfigSchema } from "./scripts/utils/config-schema.js";
+
+const CONFIG_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export { ConfigValidationError };
+
 export const deploymentConfig = {
   // Local development network configuration
   localhost: {
+    expectedChainId: 31337,
     token: {
       name: "DAO Test Token",
       symbol: "DTT",
@@ -16,6 +55,9 @@ export const deploymentConfig = {
     dao: {
       quorumNumerator: 20, // 20% quorum required
       votingPeriodBlocks: 20, // ~5 minutes on most networks
+      timelockDelay: 0, // queued proposals can be executed right away
+      proposalThreshold: "0", // anyone can propose
+      maxActiveProposals: 0, // no cap
     },
     verification: {
       enabled: false,
@@ -24,6 +66,7 @@ export const deploymentConfig = {
 
   // Hardhat network (for testing)
   hardhat: {
+    expectedChainId: 31337,
     token: {
       name: "DAO Test Token",
       symbol: "DTT",
@@ -32,6 +75,9 @@ export const deploymentConfig = {
     dao: {
       quorumNumerator: 20,
       votingPeriodBlocks: 5, // Shorter for faster tests
+      timelockDelay: 0,
+      proposalThreshold: "0",
+      maxActiveProposals: 0,
     },
     verification: {
       enabled: false,
@@ -40,6 +86,7 @@ export const deploymentConfig = {
 
   // Sepolia testnet configuration
   sepolia: {
+    expectedChainId: 11155111,
     token: {
       name: "DAO Governance Token",
       symbol: "DGT",
@@ -48,6 +95,9 @@ export const deploymentConfig = {
     dao: {
       quorumNumerator: 15, // 15% quorum
       votingPeriodBlocks: 7200, // ~24 hours (12s blocks)
+      timelockDelay: "1d", // time for holders to react before a proposal is executed
+      proposalThreshold: "0",
+      maxActiveProposals: 0,
     },
     verification: {
       enabled: true,
@@ -57,6 +107,7 @@ export const deploymentConfig = {
 
   // Ethereum Mainnet configuration
   mainnet: {
+    expectedChainId: 1,
     token: {
       name: "DAO Governance Token",
       symbol: "DGT",
@@ -65,6 +116,9 @@ export const deploymentConfig = {
     dao: {
       quorumNumerator: 10, // 10% quorum
       votingPeriodBlocks: 50400, // ~1 week (12s blocks)
+      timelockDelay: "2d",
+      proposalThreshold: "0",
+      maxActiveProposals: 0,
     },
     verification: {
       enabled: true,
@@ -74,6 +128,7 @@ export const deploymentConfig = {
 
   // Polygon configuration
   polygon: {
+    expectedChainId: 137,
     token: {
       name: "DAO Governance Token",
       symbol: "DGT",
@@ -82,6 +137,9 @@ export const deploymentConfig = {
     dao: {
       quorumNumerator: 10,
       votingPeriodBlocks: 201600, // ~1 week (3s blocks)
+      timelockDelay: "2d",
+      proposalThreshold: "0",
+      maxActiveProposals: 0,
     },
     verification: {
       enabled: true,
@@ -91,6 +149,7 @@ export const deploymentConfig = {
 
   // Arbitrum configuration
   arbitrum: {
+    expectedChainId: 42161,
     token: {
       name: "DAO Governance Token",
       symbol: "DGT",
@@ -99,6 +158,9 @@ export const deploymentConfig = {
     dao: {
       quorumNumerator: 10,
       votingPeriodBlocks: 302400, // ~1 week (2s blocks)
+      timelockDelay: "2d",
+      proposalThreshold: "0",
+      maxActiveProposals: 0,
     },
     verification: {
       enabled: true,
@@ -108,42 +170,78 @@ export const deploymentConfig = {
 };
 
 /**
- * Get configuration for a specific network
+ * Resolve the layered configuration for a network. Layers, lowest precedence first:
+ *   1. `deploymentConfig[networkName]` in this file (or the network named by `extends`)
+ *   2. `deploy.config.<networkName>.json` next to this file
+ *   3. `DAO_*` environment variables (see ENV_OVERRIDES in scripts/utils/config-loader.js)
+ * Networks without an entry here can be configured entirely through their JSON file,
+ * optionally inheriting a built-in network with `"extends": "<network>"`.
  * @param {string} networkName - Name of the network
- * @returns {object} Network-specific configuration
+ * @param {object} options - { configDir, env } (default to this directory and process.env)
+ * @returns {{ config: object, sources: object }} Configuration and the source of every
+ *   value keyed by JSON path (e.g. `{ "$.dao.quorumNumerator": "env DAO_QUORUM_NUMERATOR" }`)
  */
-export function getConfig(networkName) {
-  const config = deploymentConfig[networkName];
-  if (!config) {
+export function resolveConfig(networkName, options = {}) {
+  const { configDir = CONFIG_DIR, env = process.env } = options;
+  const file = loadConfigFile(configDir, networkName);
+  const { extends: baseNetwork = networkName, ...fileValues } = file || {};
+  const base = deploymentConfig[baseNetwork];
+
+  if (!base && !file) {
     throw new Error(`No configuration found for network: ${networkName}`);
   }
-  return config;
+  if (!base && file?.extends !== undefined) {
+    throw new Error(`Unknown network "${baseNetwork}" extended by deploy.config.${networkName}.json`);
+  }
+
+  const layers = [];
+  if (base) {
+    const source = baseNetwork === networkName ? "deploy.config.js" : `deploy.config.js (${baseNetwork})`;
+    layers.push({ source, values: base });
+  }
+  if (file) {
+    layers.push({ source: `deploy.config.${networkName}.json`, values: fileValues });
+  }
+  const overrides = readEnvOverrides(env);
+  layers.push({ source: "env", ...overrides });
+
+  return mergeConfigLayers(layers);
 }
 
 /**
- * Validate configuration before deployment
- * @param {object} config - Configuration object to validate
- * @throws {Error} If configuration is invalid
+ * Get configuration for a specific network
+ * @param {string} networkName - Name of the network
+ * @param {object} options - { configDir, env } (see resolveConfig)
+ * @returns {object} Network-specific configuration
  */
-export function validateConfig(config) {
-  // Validate token configuration
-  if (!config.token.name || typeof config.token.name !== 'string') {
-    throw new Error('Invalid token name');
-  }
-  if (!config.token.symbol || typeof config.token.symbol !== 'string') {
-    throw new Error('Invalid token symbol');
-  }
-  if (!config.token.initialSupply || isNaN(config.token.initialSupply)) {
-    throw new Error('Invalid initial supply');
-  }
+export function getConfig(networkName, options = {}) {
+  return resolveConfig(networkName, options).config;
+}
 
-  // Validate DAO configuration
-  if (!config.dao.quorumNumerator || config.dao.quorumNumerator <= 0 || config.dao.quorumNumerator > 100) {
-    throw new Error('Quorum numerator must be between 1 and 100');
-  }
-  if (!config.dao.votingPeriodBlocks || config.dao.votingPeriodBlocks <= 0) {
-    throw new Error('Voting period must be greater than 0');
+/**
+ * Validate configuration before deployment. Every problem is collected before throwing.
+ * @param {object} config - Configuration object to validate
+ * @param {object} options - { requireApiKey } (require an API key when verification is enabled)
+ * @returns {boolean} True if the configuration is valid
+ * @throws {ConfigValidationError} Listing every error with its JSON path
+ */
+export function validateConfig(config, options = {}) {
+  const errors = validateConfigSchema(config, options);
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
   }
-
   return true;
 }
+
+/**
+ * Validate every network configuration
+ * @param {object} configs - Configurations keyed by network (defaults to deploymentConfig)
+ * @param {object} options - { requireApiKey }
+ * @returns {Array<object>} Validation errors ({ path, message }) with paths prefixed
+ *   by the network name (e.g. `$.sepolia.token.name`), empty when all are valid
+ */
+export function validateAllConfigs(configs = deploymentConfig, options = {}) {
+  return Object.entries(configs).flatMap(([network, config]) => (
+    validateConfigSchema(config, options, `$.${network}`)
+  ));
+}
@@ -36,4 +36,10 @@ export default defineConfig({
       accounts: [configVariable("SEPOLIA_PRIVATE_KEY")],
     },
   },
+  verify: {
+    etherscan: {
+      // Etherscan API v2 key, used for every supported chain
+      apiKey: configVariable("ETHERSCAN_API_KEY"),
+    },
+  },
 });
@@ -0,0 +1,41 @@
+/**
+ * Hardhat Ignition Module for the DAO Voting System
+ *
+ * Deploys TestToken, then DAOVoting governed by it. Ignition journals every step in
+ * ignition/deployments/<deployment id>/, so an interrupted deployment resumes where
+ * it stopped when the same command is run again.
+ *
+ * Parameter defaults are the `hardhat` entry of deploy.config.js. For other networks,
+ * generate a parameter file from their deploy.config.js entry first:
+ *   npx hardhat run scripts/ignition-parameters.js --network sepolia
+ *   npx hardhat ignition deploy ignition/modules/DAOSystem.js --network sepolia \
+ *     --parameters ignition/parameters/sepolia.json
+ *
+ * The module only deploys the contracts. Distribution, governance handoff, CREATE2
+ * and verification remain with the deploy script (ignition/modules/deploy.js).
+ */
+
+import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import { getConfig } from "../../deploy.config.js";
+import { buildIgnitionParameters, IGNITION_MODULE_ID } from "../../scripts/utils/ignition-parameters.js";
+
+const defaults = buildIgnitionParameters(getConfig("hardhat"))[IGNITION_MODULE_ID];
+
+export default buildModule(IGNITION_MODULE_ID, (m) => {
+  const token = m.contract("TestToken", [
+    m.getParameter("tokenName", defaults.tokenName),
+    m.getParameter("tokenSymbol", defaults.tokenSymbol),
+    m.getParameter("initialSupply", defaults.initialSupply),
+  ]);
+
+  const dao = m.contract("DAOVoting", [
+    token,
+    m.getParameter("quorumNumerator", defaults.quorumNumerator),
+    m.getParameter("votingPeriodBlocks", defaults.votingPeriodBlocks),
+    m.getParameter("timelockDelay", defaults.timelockDelay),
+    m.getParameter("proposalThreshold", defaults.proposalThreshold),
+    m.getParameter("maxActiveProposals", defaults.maxActiveProposals),
+  ]);
+
+  return { token, dao };
+});
@@ -1,312 +1,198 @@
 /**
  * Enterprise-Grade Deployment Script for DAO Voting System
  * 
- * This script handles the complete deployment process including:
+ * Thin command-line wrapper around deployDaoSystem() (scripts/utils/dao-deployment.js),
+ * which handles the complete deployment process including:
  * - Pre-deployment validation
  * - Contract deployment with error handling
  * - Post-deployment verification
  * - Configuration management
  * - Deployment artifact generation
+ *
+ * This script maps the environment variables below to deployDaoSystem() options,
+ * prints the summary and turns failures into exit codes.
  * 
  * Usage:
  *   npx hardhat run scripts/deploy.js --network localhost
  *   npx hardhat run scripts/deploy.js --network sepolia
  *   SKIP_VERIFICATION=true npx hardhat run scripts/deploy.js --network mainnet
+ *   STRICT_VERIFICATION=true npx hardhat run scripts/deploy.js --network sepolia
+ *
+ * Verification results are recorded per contract. A failed verification does not fail
+ * the deployment unless STRICT_VERIFICATION=true, which makes the script exit non-zero.
+ *
+ * Reruns are idempotent: contracts already recorded in deployments/ (journal or
+ * latest deployment) with matching bytecode and constructor args are reused.
+ * Set FRESH_DEPLOYMENT=true to ignore recorded deployments and redeploy everything.
+ *
+ * TX_TIMEOUT_SECONDS fails a transaction that is not confirmed in time, and
+ * TX_FEE_BUMP_AFTER_SECONDS rebroadcasts a pending transaction with higher fees
+ * (see waitForTransaction()).
+ *
+ * Set `create2: { salt }` in deploy.config.js to deploy both contracts with CREATE2
+ * through DeterministicDeployer, giving the same addresses on every chain where the
+ * constructor args match. Existing code at a predicted address is never redeployed.
+ *
+ * The connected chain ID must match `expectedChainId` from deploy.config.js.
+ * Set CHAIN_ID_OVERRIDE=<actual chain id> to rehearse against a fork.
+ *
+ * Configuration is layered: deploy.config.js, then deploy.config.<network>.json, then
+ * DAO_* environment variables (e.g. DAO_QUORUM_NUMERATOR=25). Networks missing from
+ * deploy.config.js can be deployed with their own JSON file.
+ *
+ * `dao.votingPeriod: "7d"` is converted to blocks with the network's `blockTimeSeconds`
+ * or, if unset, the average block time of the last 100 blocks.
+ *
+ * Set DRY_RUN=true to run steps 1-3 and print the deployment plan (human-readable
+ * and JSON) without sending any transaction.
+ *
+ * LOG_FORMAT=json prints one JSON record per line instead of the human-readable output;
+ * every record carries the deployment's correlation ID, which is also saved with it.
  */
 
 import hre from "hardhat";
-import { getConfig, validateConfig } from "../../deploy.config.js";
-import {
-    checkBalance,
-    confirmDeployment,
-    deployContract,
-    estimateDeploymentGas,
-    saveDeployment,
-    validateDeployment,
-    verifyContract
-} from "../../scripts/utils/deployment-helpers.js";
+import { resolveConfig } from "../../deploy.config.js";
+import { DeploymentCancelledError, deployDaoSystem } from "../../scripts/utils/dao-deployment.js";
+import { connectRuntime, describeVotingPeriod } from "../../scripts/utils/deployment-helpers.js";
+import { formatDeploymentPlan } from "../../scripts/utils/deployment-plan.js";
+import { getLogger } from "../../scripts/utils/logger.js";
+import { formatDuration } from "../../scripts/utils/voting-period.js";
+
+// Configured with LOG_FORMAT, LOG_LEVEL and DEPLOYMENT_CORRELATION_ID
+const logger = getLogger();
+
+/**
+ * Print the deployment summary and follow-up commands
+ * @param {object} runtime - Runtime environment
+ * @param {object} result - Result of deployDaoSystem()
+ */
+function printSummary(runtime, { network, deploymentId, deployment }) {
+  const { TestToken: token, DAOVoting: dao } = deployment.contracts;
+
+  logger.info("\n═══════════════════════════════════════════════════════════");
+  logger.info("   DEPLOYMENT COMPLETED SUCCESSFULLY", {
+    event: "deployment.completed",
+    network,
+    deploymentId,
+    contracts: { TestToken: token.address, DAOVoting: dao.address },
+    verification: deployment.verification,
+  });
+  logger.info("═══════════════════════════════════════════════════════════");
+  logger.info(`\n📊 Deployment Summary:`);
+  logger.info(`────────────────────────────────────────────────────────────`);
+  logger.info(`Network:              ${network}`);
+  logger.info(`Deployment ID:        ${deploymentId}`);
+  logger.info(`Deployer:             ${deployment.deployer}`);
+  logger.info(`TestToken:            ${token.address}`);
+  logger.info(`DAOVoting:            ${dao.address}`);
+  logger.info(`Token Supply:         ${token.initialSupply} ${token.symbol}`);
+  logger.info(`Quorum:               ${dao.quorumNumerator}%`);
+  logger.info(`Voting Period:        ${dao.blockTimeSeconds === null
+    ? `${dao.votingPeriodBlocks} blocks`
+    : describeVotingPeriod(dao.votingPeriodBlocks, dao.blockTimeSeconds)}`);
+  logger.info(`Timelock Delay:       ${formatDuration(dao.timelockDelay)}`);
+  logger.info(`Proposal Threshold:   ${dao.proposalThreshold} ${token.symbol}`);
+  logger.info(`Max Active Proposals: ${dao.maxActiveProposals || "unlimited"}`);
+  logger.info(`TestToken Owner:      ${deployment.handoff?.TestToken?.newOwner || deployment.deployer}`);
+  logger.info(`DAOVoting Owner:      ${deployment.handoff?.DAOVoting?.newOwner || deployment.deployer}`);
+  const verified = Object.entries(deployment.verification.contracts);
+  if (verified.length === 0) {
+    logger.info(`Verification:         skipped`);
+  }
+  for (const [contractName, { status, reason }] of verified) {
+    const label = `${contractName} Verification:`.padEnd(22);
+    logger.info(`${label}${status === "failed" ? `❌ failed (${reason})` : `✅ ${status}`}`);
+  }
+  logger.info(`────────────────────────────────────────────────────────────`);
+
+  logger.info(`\n📝 Next Steps:`);
+  logger.info(`  1. Delegate voting power: await token.delegate(yourAddress)`);
+  logger.info(`  2. Create a proposal: await dao.createProposal("description")`);
+  logger.info(`  3. Vote on proposal: await dao.vote(proposalId, true)`);
+  logger.info(`  4. Queue it once it succeeds, then execute after the timelock: await dao.queueProposal(proposalId)`);
+
+  logger.info(`\n💡 Useful Commands:`);
+  logger.info(`  Check deployed bytecode against the sources:`);
+  logger.info(`    npx hardhat run scripts/check-bytecode.js --network ${network}`);
+  logger.info(`  Inspect or roll back deployments:`);
+  logger.info(`    npm run deployments -- list ${network}`);
+  logger.info(`    npm run deployments -- diff ${network} previous`);
+  logger.info(`  Verify the saved deployment (retries while the explorer indexes):`);
+  logger.info(`    npx hardhat run scripts/verify-deployment.js --network ${network}`);
+  logger.info(`  Verify contracts manually:`);
+  logger.info(`    npx hardhat verify --network ${network} ${token.address} "${token.name}" "${token.symbol}" "${runtime.ethers.parseUnits(token.initialSupply, 18)}"`);
+  logger.info(`    npx hardhat verify --network ${network} ${dao.address} ${token.address} ${dao.quorumNumerator} ${dao.votingPeriodBlocks} ${dao.timelockDelay} ${runtime.ethers.parseUnits(dao.proposalThreshold, 18)} ${dao.maxActiveProposals}`);
+
+  logger.info("\n");
+}
 
 /**
  * Main deployment function
  */
 async function main() {
-  console.log("═══════════════════════════════════════════════════════════");
-  console.log("   DAO VOTING SYSTEM - ENTERPRISE DEPLOYMENT SCRIPT");
-  console.log("═══════════════════════════════════════════════════════════\n");
+  logger.info("═══════════════════════════════════════════════════════════");
+  logger.info("   DAO VOTING SYSTEM - ENTERPRISE DEPLOYMENT SCRIPT");
+  logger.info("═══════════════════════════════════════════════════════════");
 
-  // ============================================================
-  // 1. ENVIRONMENT SETUP
-  // ============================================================
-  console.log("📋 Step 1: Environment Setup");
-  console.log("────────────────────────────────────────────────────────────");
-
-  const network = hre.network.name;
-  console.log(`Network: ${network}`);
-  console.log(`Chain ID: ${(await hre.ethers.provider.getNetwork()).chainId}`);
-
-  // Get deployer account
-  const [deployer] = await hre.ethers.getSigners();
-  console.log(`Deployer: ${deployer.address}`);
-
-  const balance = await hre.ethers.provider.getBalance(deployer.address);
-  console.log(`Balance: ${hre.ethers.formatEther(balance)} ETH`);
-
-  // ============================================================
-  // 2. LOAD AND VALIDATE CONFIGURATION
-  // ============================================================
-  console.log("\n📋 Step 2: Configuration Validation");
-  console.log("────────────────────────────────────────────────────────────");
+  const runtime = await connectRuntime(hre);
+  const network = runtime.network.name;
 
   let config;
+  let configSources;
   try {
-    config = getConfig(network);
-    validateConfig(config);
-    console.log("✅ Configuration validated successfully");
-    console.log(`  Token: ${config.token.name} (${config.token.symbol})`);
-    console.log(`  Initial Supply: ${config.token.initialSupply} tokens`);
-    console.log(`  Quorum: ${config.dao.quorumNumerator}%`);
-    console.log(`  Voting Period: ${config.dao.votingPeriodBlocks} blocks`);
+    ({ config, sources: configSources } = resolveConfig(network));
   } catch (error) {
-    console.error(`❌ Configuration error: ${error.message}`);
+    logger.error(`❌ Configuration error: ${error.message}`);
     process.exit(1);
   }
 
-  // ============================================================
-  // 3. GAS ESTIMATION
-  // ============================================================
-  console.log("\n📋 Step 3: Gas Estimation");
-  console.log("────────────────────────────────────────────────────────────");
-
-  let totalGasEstimate = 0n;
-  try {
-    // Estimate TestToken deployment
-    const tokenGas = await estimateDeploymentGas(
-      hre,
-      "TestToken",
-      [config.token.name, config.token.symbol, hre.ethers.parseUnits(config.token.initialSupply, 18)]
-    );
-    totalGasEstimate += tokenGas.estimatedCost;
-
-    // Check balance before proceeding
-    const sufficientBalance = await checkBalance(hre, deployer, totalGasEstimate * 2n); // 2x buffer
-    if (!sufficientBalance && network !== "hardhat") {
-      console.error("❌ Deployment aborted: Insufficient balance");
-      process.exit(1);
-    }
-  } catch (error) {
-    console.warn(`⚠️  Gas estimation failed: ${error.message}`);
-    console.log("   Proceeding with deployment anyway...");
-  }
+  const result = await deployDaoSystem(runtime, config, {
+    network,
+    configSources,
+    dryRun: process.env.DRY_RUN === "true",
+    fresh: process.env.FRESH_DEPLOYMENT === "true",
+    skipVerification: process.env.SKIP_VERIFICATION === "true",
+    logger,
+  });
 
-  // ============================================================
-  // 4. DEPLOYMENT CONFIRMATION
-  // ============================================================
-  if (network !== "hardhat" && network !== "localhost") {
-    const confirmed = await confirmDeployment(
-      `You are about to deploy to ${network}. Continue?`
-    );
-    if (!confirmed) {
-      console.log("❌ Deployment cancelled by user");
-      process.exit(0);
-    }
+  if (result.plan) {
+    logger.info("\n📋 Dry Run: Deployment Plan");
+    logger.info("────────────────────────────────────────────────────────────");
+    logger.info(formatDeploymentPlan(runtime, result.plan));
+    logger.info(`\nPlan (JSON):\n${JSON.stringify(result.plan, null, 2)}`, { event: "deployment.plan", plan: result.plan });
+    logger.info("\n⏭️  DRY_RUN=true: no transactions were sent");
+    return;
   }
 
-  // ============================================================
-  // 5. DEPLOY TESTTOKEN CONTRACT
-  // ============================================================
-  console.log("\n📋 Step 4: TestToken Deployment");
-  console.log("────────────────────────────────────────────────────────────");
-
-  let token;
-  let tokenAddress;
-  const tokenArgs = [
-    config.token.name,
-    config.token.symbol,
-    hre.ethers.parseUnits(config.token.initialSupply, 18),
-  ];
-
-  try {
-    token = await deployContract(hre, "TestToken", tokenArgs, {
-      confirmations: network === "hardhat" || network === "localhost" ? 1 : 2,
-    });
-    tokenAddress = await token.getAddress();
-
-    // Validate TestToken deployment
-    const tokenValid = await validateDeployment(token, {
-      name: config.token.name,
-      symbol: config.token.symbol,
-      decimals: 18n,
-    });
-
-    if (!tokenValid) {
-      throw new Error("TestToken validation failed");
-    }
+  printSummary(runtime, result);
 
-    console.log("✅ TestToken deployed and validated successfully");
-  } catch (error) {
-    console.error(`❌ TestToken deployment failed: ${error.message}`);
+  // Deployment succeeded either way; STRICT_VERIFICATION turns a failed verification into a failed run
+  const failed = Object.values(result.deployment.verification.contracts).some(({ status }) => status === "failed");
+  if (process.env.STRICT_VERIFICATION === "true" && failed) {
+    logger.error("❌ Contract verification failed (STRICT_VERIFICATION=true)");
     process.exit(1);
   }
-
-  // ============================================================
-  // 6. DEPLOY DAOVOTING CONTRACT
-  // ============================================================
-  console.log("\n📋 Step 5: DAOVoting Deployment");
-  console.log("────────────────────────────────────────────────────────────");
-
-  let dao;
-  let daoAddress;
-  const daoArgs = [
-    tokenAddress,
-    config.dao.quorumNumerator,
-    config.dao.votingPeriodBlocks,
-  ];
-
-  try {
-    dao = await deployContract(hre, "DAOVoting", daoArgs, {
-      confirmations: network === "hardhat" || network === "localhost" ? 1 : 2,
-    });
-    daoAddress = await dao.getAddress();
-
-    // Validate DAOVoting deployment
-    const daoValid = await validateDeployment(dao, {
-      quorumNumerator: config.dao.quorumNumerator,
-      votingPeriodBlocks: config.dao.votingPeriodBlocks,
-    });
-
-    if (!daoValid) {
-      throw new Error("DAOVoting validation failed");
-    }
-
-    // Verify governance token is correctly set
-    const govTokenAddr = await dao.governanceToken();
-    if (govTokenAddr.toLowerCase() !== tokenAddress.toLowerCase()) {
-      throw new Error("Governance token address mismatch");
-    }
-
-    console.log("✅ DAOVoting deployed and validated successfully");
-  } catch (error) {
-    console.error(`❌ DAOVoting deployment failed: ${error.message}`);
-    process.exit(1);
-  }
-
-  // ============================================================
-  // 7. POST-DEPLOYMENT SETUP
-  // ============================================================
-  console.log("\n📋 Step 6: Post-Deployment Setup");
-  console.log("────────────────────────────────────────────────────────────");
-
-  try {
-    // Check deployer's token balance
-    const deployerBalance = await token.balanceOf(deployer.address);
-    console.log(`✅ Deployer token balance: ${hre.ethers.formatUnits(deployerBalance, 18)} ${config.token.symbol}`);
-
-    // Verify deployer can delegate voting power to themselves
-    const currentDelegate = await token.delegates(deployer.address);
-    if (currentDelegate === hre.ethers.ZeroAddress) {
-      console.log("⚠️  Note: Deployer has not delegated voting power yet");
-      console.log("   Run: await token.delegate(deployer.address)");
-    } else {
-      console.log(`✅ Deployer voting power delegated to: ${currentDelegate}`);
-    }
-
-    // Check voting power
-    const votingPower = await token.getVotes(deployer.address);
-    console.log(`  Current voting power: ${hre.ethers.formatUnits(votingPower, 18)}`);
-
-  } catch (error) {
-    console.warn(`⚠️  Post-deployment checks failed: ${error.message}`);
-  }
-
-  // ============================================================
-  // 8. CONTRACT VERIFICATION
-  // ============================================================
-  if (config.verification?.enabled && process.env.SKIP_VERIFICATION !== "true") {
-    console.log("\n📋 Step 7: Contract Verification");
-    console.log("────────────────────────────────────────────────────────────");
-
-    // Wait a bit for contract to propagate
-    console.log("⏳ Waiting 30 seconds for contract propagation...");
-    await new Promise(resolve => setTimeout(resolve, 30000));
-
-    await verifyContract(hre, tokenAddress, tokenArgs);
-    await verifyContract(hre, daoAddress, daoArgs);
-  } else {
-    console.log("\n📋 Step 7: Contract Verification");
-    console.log("────────────────────────────────────────────────────────────");
-    console.log("⏭️  Skipped (verification disabled or SKIP_VERIFICATION=true)");
-  }
-
-  // ============================================================
-  // 9. SAVE DEPLOYMENT ARTIFACTS
-  // ============================================================
-  console.log("\n📋 Step 8: Saving Deployment Artifacts");
-  console.log("────────────────────────────────────────────────────────────");
-
-  const deploymentInfo = {
-    deployer: deployer.address,
-    chainId: (await hre.ethers.provider.getNetwork()).chainId.toString(),
-    contracts: {
-      TestToken: {
-        address: tokenAddress,
-        constructorArgs: tokenArgs,
-        name: config.token.name,
-        symbol: config.token.symbol,
-        initialSupply: config.token.initialSupply,
-      },
-      DAOVoting: {
-        address: daoAddress,
-        constructorArgs: daoArgs,
-        governanceToken: tokenAddress,
-        quorumNumerator: config.dao.quorumNumerator,
-        votingPeriodBlocks: config.dao.votingPeriodBlocks,
-      },
-    },
-    verification: {
-      enabled: config.verification?.enabled || false,
-      completed: config.verification?.enabled && process.env.SKIP_VERIFICATION !== "true",
-    },
-  };
-
-  saveDeployment(network, deploymentInfo);
-
-  // ============================================================
-  // 10. DEPLOYMENT SUMMARY
-  // ============================================================
-  console.log("\n═══════════════════════════════════════════════════════════");
-  console.log("   DEPLOYMENT COMPLETED SUCCESSFULLY");
-  console.log("═══════════════════════════════════════════════════════════");
-  console.log(`\n📊 Deployment Summary:`);
-  console.log(`────────────────────────────────────────────────────────────`);
-  console.log(`Network:              ${network}`);
-  console.log(`Deployer:             ${deployer.address}`);
-  console.log(`TestToken:            ${tokenAddress}`);
-  console.log(`DAOVoting:            ${daoAddress}`);
-  console.log(`Token Supply:         ${config.token.initialSupply} ${config.token.symbol}`);
-  console.log(`Quorum:               ${config.dao.quorumNumerator}%`);
-  console.log(`Voting Period:        ${config.dao.votingPeriodBlocks} blocks`);
-  console.log(`────────────────────────────────────────────────────────────`);
-  
-  console.log(`\n📝 Next Steps:`);
-  console.log(`  1. Delegate voting power: await token.delegate(yourAddress)`);
-  console.log(`  2. Create a proposal: await dao.createProposal("description")`);
-  console.log(`  3. Vote on proposal: await dao.vote(proposalId, true)`);
-  
-  console.log(`\n💡 Useful Commands:`);
-  console.log(`  Verify contracts manually:`);
-  console.log(`    npx hardhat verify --network ${network} ${tokenAddress} "${config.token.name}" "${config.token.symbol}" "${hre.ethers.parseUnits(config.token.initialSupply, 18)}"`);
-  console.log(`    npx hardhat verify --network ${network} ${daoAddress} ${tokenAddress} ${config.dao.quorumNumerator} ${config.dao.votingPeriodBlocks}`);
-  
-  console.log("\n");
 }
 
 // Execute deployment with error handling
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error("\n═══════════════════════════════════════════════════════════");
-    console.error("   DEPLOYMENT FAILED");
-    console.error("═══════════════════════════════════════════════════════════");
-    console.error(error);
+    if (error instanceof DeploymentCancelledError) {
+      logger.info("❌ Deployment cancelled by user");
+      process.exit(0);
+    }
+
+    logger.error("\n═══════════════════════════════════════════════════════════");
+    logger.error("   DEPLOYMENT FAILED", { event: "deployment.failed", step: error.step, error: error.message });
+    logger.error("═══════════════════════════════════════════════════════════");
+    logger.error(`❌ ${error.message}`);
+    if (error.deployed && Object.keys(error.deployed).length > 0) {
+      logger.error(`   Already deployed: ${JSON.stringify(error.deployed)}`);
+      logger.error("   Rerun the script to resume: deployed contracts are reused from the journal");
+    }
+    if (!error.step) {
+      logger.error(error.stack || String(error));
+    }
     process.exit(1);
   });
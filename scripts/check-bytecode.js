@@ -0,0 +1,73 @@
+/**
+ * Deployed Bytecode Checker
+ *
+ * Recompiles the contracts and compares the runtime bytecode of a saved deployment
+ * with the fresh artifacts and with the build recorded when it was deployed
+ * (compiler version, settings and bytecode hash).
+ *
+ * Usage:
+ *   npx hardhat run scripts/check-bytecode.js --network sepolia
+ *   DEPLOYMENT=previous npx hardhat run scripts/check-bytecode.js --network sepolia
+ *   npx hardhat run --build-profile production scripts/check-bytecode.js --network mainnet
+ *
+ * DEPLOYMENT selects the saved deployment (see scripts/deployments.js, default: active).
+ * Use the same build profile the deployment was compiled with. Exits non-zero on any mismatch.
+ */
+
+import hre from "hardhat";
+import { connectRuntime } from "./utils/deployment-helpers.js";
+import { loadDeployment } from "./utils/deployment-registry.js";
+import { getLogger } from "./utils/logger.js";
+import { checkDeployment } from "./utils/provenance.js";
+
+// Configured with LOG_FORMAT, LOG_LEVEL and DEPLOYMENT_CORRELATION_ID
+const logger = getLogger();
+
+async function main() {
+  const runtime = await connectRuntime(hre);
+  const network = runtime.network.name;
+  const selector = process.env.DEPLOYMENT || "active";
+
+  const deployment = loadDeployment(network, selector);
+  if (!deployment) {
+    throw new Error(`No deployment found for ${network} matching "${selector}"`);
+  }
+
+  logger.info(`🔎 Checking ${network} deployment ${deployment.id} (${deployment.timestamp})`, {
+    event: "bytecode.checking",
+    network,
+    deploymentId: deployment.id,
+  });
+  if (deployment.source) {
+    logger.info(`  Built from commit ${deployment.source.commit}${deployment.source.dirty ? " (uncommitted changes)" : ""}`);
+  }
+
+  logger.info("\n🔨 Recompiling contracts...");
+  await hre.tasks.getTask("build").run({ force: true, quiet: true, noTests: true });
+
+  const results = await checkDeployment(runtime, deployment);
+  for (const result of results) {
+    const fields = { contract: result.contractName, address: result.address };
+    if (result.matches) {
+      logger.info(`  ✅ ${result.contractName} at ${result.address} matches`, { event: "bytecode.matched", ...fields });
+    } else {
+      logger.error(`  ❌ ${result.contractName} at ${result.address}`, {
+        event: "bytecode.mismatched",
+        ...fields,
+        reasons: result.reasons,
+      });
+      result.reasons.forEach((reason) => logger.error(`     - ${reason}`));
+    }
+  }
+
+  if (results.some((result) => !result.matches)) {
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,66 @@
+/**
+ * Multi-Network Deployment Command
+ *
+ * Deploys the DAO system to several networks in order with deployToNetworks()
+ * (scripts/utils/multi-network.js) and saves a cross-chain manifest with the
+ * addresses on every network to deployments/cross-chain-<id>.json.
+ *
+ * Usage:
+ *   NETWORKS=sepolia npx hardhat run scripts/deploy-multichain.js
+ *   NETWORKS=sepolia,polygon,arbitrum ALLOW_MAINNET=true FAILURE_POLICY=continue npx hardhat run scripts/deploy-multichain.js
+ *
+ * NETWORKS defaults to every testnet in deploy.config.js; each one also needs an entry
+ * in hardhat.config.ts. Mainnet-class networks (mainnet, polygon, arbitrum) must be
+ * listed in NETWORKS and need ALLOW_MAINNET=true. FAILURE_POLICY=stop (default) skips the remaining
+ * networks after a failure, FAILURE_POLICY=continue deploys them anyway.
+ * FRESH_DEPLOYMENT and SKIP_VERIFICATION apply to every network.
+ *
+ * Exits non-zero unless every network was deployed.
+ */
+
+import hre from "hardhat";
+import { connectRuntime } from "./utils/deployment-helpers.js";
+import { deployToNetworks, formatCrossChainManifest, saveCrossChainManifest } from "./utils/multi-network.js";
+import { getLogger } from "./utils/logger.js";
+
+// Configured with LOG_FORMAT, LOG_LEVEL and DEPLOYMENT_CORRELATION_ID
+const logger = getLogger();
+
+async function main() {
+  const networks = process.env.NETWORKS
+    ? process.env.NETWORKS.split(",").map((name) => name.trim()).filter(Boolean)
+    : undefined;
+
+  const manifest = await deployToNetworks(networks, {
+    connect: (network) => connectRuntime(hre, network),
+    policy: process.env.FAILURE_POLICY || "stop",
+    allowMainnet: process.env.ALLOW_MAINNET === "true",
+    deployOptions: {
+      fresh: process.env.FRESH_DEPLOYMENT === "true",
+      skipVerification: process.env.SKIP_VERIFICATION === "true",
+    },
+    logger,
+  });
+
+  saveCrossChainManifest(manifest, { logger });
+
+  logger.info("\n🌐 Cross-Chain Deployment Summary:", {
+    event: "manifest.completed",
+    completed: manifest.completed,
+    contracts: manifest.contracts,
+  });
+  logger.info("────────────────────────────────────────────────────────────");
+  logger.info(formatCrossChainManifest(manifest));
+  logger.info("────────────────────────────────────────────────────────────");
+
+  if (!manifest.completed) {
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,97 @@
+/**
+ * Deployment Registry CLI
+ *
+ * Usage:
+ *   npm run deployments -- list <network>
+ *   npm run deployments -- show <network> [selector]
+ *   npm run deployments -- diff <network> <from> [to]
+ *   npm run deployments -- activate <network> <selector>
+ *
+ * Selectors: active (default), latest, previous, a deployment id, or an index into
+ * the history (0 is the oldest, -1 the newest). `diff` compares against the active
+ * deployment when `to` is omitted. `activate` rolls back (or forward) to the selected
+ * deployment; the next deploy run resumes from it.
+ */
+
+import {
+  diffDeployments,
+  formatDeploymentDiff,
+  listDeployments,
+  loadDeployment,
+  markActive
+} from "./utils/deployment-registry.js";
+import { getLogger } from "./utils/logger.js";
+
+// Configured with LOG_FORMAT, LOG_LEVEL and DEPLOYMENT_CORRELATION_ID
+const logger = getLogger();
+
+/**
+ * Convert a command-line selector: short integers are history indexes, anything else
+ * (including 13-digit ids) is passed through
+ * @param {string|undefined} selector - Raw selector
+ * @returns {string|number|undefined} Selector for the registry
+ */
+function parseSelector(selector) {
+  return selector !== undefined && /^-?\d{1,6}$/.test(selector) ? Number(selector) : selector;
+}
+
+/**
+ * Load a deployment or fail with a readable message
+ * @param {string} network - Network name
+ * @param {string|number} selector - Deployment selector
+ * @returns {object} Deployment
+ */
+function requireDeployment(network, selector) {
+  const deployment = loadDeployment(network, selector);
+  if (!deployment) {
+    throw new Error(`No deployment found for ${network} matching "${selector}"`);
+  }
+  return deployment;
+}
+
+function main() {
+  const [command, network, ...args] = process.argv.slice(2);
+
+  if (!command || !network) {
+    throw new Error("Usage: deployments <list|show|diff|activate> <network> [selector...]");
+  }
+
+  switch (command) {
+    case "list": {
+      const deployments = listDeployments(network);
+      if (deployments.length === 0) {
+        console.log(`No deployments recorded for ${network}`);
+        return;
+      }
+      deployments.forEach((deployment, index) => {
+        const contracts = Object.entries(deployment.contracts)
+          .map(([name, address]) => `${name}=${address}`)
+          .join(" ");
+        console.log(`${deployment.active ? "*" : " "} [${index}] ${deployment.id}  ${deployment.timestamp}  ${contracts}`);
+      });
+      return;
+    }
+    case "show":
+      console.log(JSON.stringify(requireDeployment(network, parseSelector(args[0]) ?? "active"), null, 2));
+      return;
+    case "diff": {
+      const before = requireDeployment(network, parseSelector(args[0]));
+      const after = requireDeployment(network, parseSelector(args[1]) ?? "active");
+      console.log(`Diff ${before.id} -> ${after.id}`);
+      console.log(formatDeploymentDiff(diffDeployments(before, after)));
+      return;
+    }
+    case "activate":
+      markActive(network, parseSelector(args[0]), { logger });
+      return;
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  logger.error(`❌ ${error.message}`);
+  process.exit(1);
+}
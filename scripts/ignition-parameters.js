@@ -0,0 +1,48 @@
+/**
+ * Ignition Parameter File Generator
+ *
+ * Writes ignition/parameters/<network>.json for the DAOSystem Ignition module from the
+ * network's deploy.config.js entry (including deploy.config.<network>.json and DAO_*
+ * overrides), so Ignition deploys the same contracts as the deploy script.
+ *
+ * Usage:
+ *   npx hardhat run scripts/ignition-parameters.js --network sepolia
+ *   npx hardhat ignition deploy ignition/modules/DAOSystem.js --network sepolia \
+ *     --parameters ignition/parameters/sepolia.json
+ */
+
+import hre from "hardhat";
+import path from "path";
+import { getConfig, validateConfig } from "../deploy.config.js";
+import { connectRuntime } from "./utils/deployment-helpers.js";
+import { resolveIgnitionParameters, writeIgnitionParameters } from "./utils/ignition-parameters.js";
+import { getLogger } from "./utils/logger.js";
+
+// Configured with LOG_FORMAT, LOG_LEVEL and DEPLOYMENT_CORRELATION_ID
+const logger = getLogger();
+
+async function main() {
+  const runtime = await connectRuntime(hre);
+  const network = runtime.network.name;
+
+  const config = getConfig(network);
+  validateConfig(config);
+
+  const parameters = await resolveIgnitionParameters(runtime, config);
+  const filepath = writeIgnitionParameters(
+    path.join(process.cwd(), "ignition", "parameters", `${network}.json`),
+    parameters
+  );
+
+  logger.info(`💾 Ignition parameters for ${network} written to ${path.relative(process.cwd(), filepath)}`, {
+    network,
+    path: filepath,
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
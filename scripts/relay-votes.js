@@ -0,0 +1,84 @@
+/**
+ * Gasless Vote Relayer
+ *
+ * Submits EIP-712 ballots signed by voters (see signBallot() in
+ * scripts/utils/vote-relayer.js) to DAOVoting with castVoteBySig, paying the gas from
+ * the relaying account. Ballots are read from a JSON queue file or an HTTP endpoint,
+ * validated against the chain, and relayed in batches.
+ *
+ * Usage:
+ *   BALLOTS=ballots.json npx hardhat run scripts/relay-votes.js --network sepolia
+ *   BALLOTS=https://votes.example.org/ballots BATCH_SIZE=20 npx hardhat run scripts/relay-votes.js --network sepolia
+ *
+ * The DAO is the DAOVoting of the saved deployment selected with DEPLOYMENT (see
+ * scripts/deployments.js, default: active), or DAO_ADDRESS.
+ *
+ * Exits non-zero if any ballot was rejected or failed to relay.
+ */
+
+import hre from "hardhat";
+import { connectRuntime } from "./utils/deployment-helpers.js";
+import { loadDeployment } from "./utils/deployment-registry.js";
+import { getLogger } from "./utils/logger.js";
+import { loadBallots, relayBallots, validateBallots } from "./utils/vote-relayer.js";
+
+// Configured with LOG_FORMAT, LOG_LEVEL and DEPLOYMENT_CORRELATION_ID
+const logger = getLogger();
+
+async function main() {
+  const runtime = await connectRuntime(hre);
+  const network = runtime.network.name;
+  const source = process.env.BALLOTS;
+  if (!source) {
+    throw new Error("Set BALLOTS to a ballot queue file or URL");
+  }
+
+  let daoAddress = process.env.DAO_ADDRESS;
+  if (!daoAddress) {
+    const selector = process.env.DEPLOYMENT || "active";
+    const deployment = loadDeployment(network, selector);
+    if (!deployment) {
+      throw new Error(`No deployment found for ${network} matching "${selector}"; set DAO_ADDRESS`);
+    }
+    daoAddress = deployment.contracts.DAOVoting.address;
+  }
+
+  const [relayer] = await runtime.ethers.getSigners();
+  const dao = await runtime.ethers.getContractAt("DAOVoting", daoAddress, relayer);
+
+  const ballots = await loadBallots(source);
+  logger.info(`📥 Loaded ${ballots.length} ballots from ${source}`, { event: "relayer.loaded", count: ballots.length });
+
+  const { valid, rejected } = await validateBallots(dao, ballots);
+  for (const { ballot, reason } of rejected) {
+    logger.warn(`  ⚠️  Rejected ballot of ${ballot?.voter} on proposal ${ballot?.proposalId}: ${reason}`, {
+      event: "relayer.rejected",
+      voter: ballot?.voter,
+      proposalId: ballot?.proposalId,
+      reason,
+    });
+  }
+
+  const { relayed, failed } = await relayBallots(dao, valid, {
+    batchSize: Number(process.env.BATCH_SIZE || 10),
+    logger,
+  });
+
+  logger.info(`\n✅ Relayed ${relayed.length} votes from ${relayer.address} to ${daoAddress}`, {
+    event: "relayer.completed",
+    relayed: relayed.length,
+    rejected: rejected.length,
+    failed: failed.length,
+  });
+
+  if (rejected.length > 0 || failed.length > 0) {
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,199 @@
+/**
+ * Layered Configuration Loading
+ *
+ * Builds a network configuration from layers applied in order: the base entry in
+ * deploy.config.js, an optional `deploy.config.<network>.json` file and `DAO_*`
+ * environment variables. Every final value is attributed to the layer it came from.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Environment variables that override a configuration value, keyed by variable name.
+ * `type` controls how the string value is converted.
+ */
+export const ENV_OVERRIDES = {
+  DAO_EXPECTED_CHAIN_ID: { path: ['expectedChainId'], type: 'integer' },
+  DAO_BLOCK_TIME_SECONDS: { path: ['blockTimeSeconds'], type: 'number' },
+  DAO_TOKEN_NAME: { path: ['token', 'name'], type: 'string' },
+  DAO_TOKEN_SYMBOL: { path: ['token', 'symbol'], type: 'string' },
+  DAO_INITIAL_SUPPLY: { path: ['token', 'initialSupply'], type: 'string' },
+  DAO_QUORUM_NUMERATOR: { path: ['dao', 'quorumNumerator'], type: 'integer' },
+  DAO_VOTING_PERIOD_BLOCKS: { path: ['dao', 'votingPeriodBlocks'], type: 'integer' },
+  DAO_VOTING_PERIOD: { path: ['dao', 'votingPeriod'], type: 'string' },
+  // Seconds, or a duration such as "2d" (kept as a string)
+  DAO_TIMELOCK_DELAY: { path: ['dao', 'timelockDelay'], type: 'integer' },
+  DAO_PROPOSAL_THRESHOLD: { path: ['dao', 'proposalThreshold'], type: 'string' },
+  DAO_MAX_ACTIVE_PROPOSALS: { path: ['dao', 'maxActiveProposals'], type: 'integer' },
+  DAO_VERIFICATION_ENABLED: { path: ['verification', 'enabled'], type: 'boolean' },
+  DAO_VERIFICATION_API_KEY: { path: ['verification', 'apiKey'], type: 'string' },
+  DAO_CREATE2_SALT: { path: ['create2', 'salt'], type: 'string' },
+  DAO_HANDOFF_TOKEN_OWNER: { path: ['handoff', 'tokenOwner'], type: 'string' },
+  DAO_HANDOFF_DAO_OWNER: { path: ['handoff', 'daoOwner'], type: 'string' },
+  DAO_DISTRIBUTION_FILE: { path: ['distribution', 'file'], type: 'string' },
+};
+
+/**
+ * Pairs of keys that set the same value in different forms. A layer that sets one
+ * of them replaces the other from lower layers instead of conflicting with it.
+ */
+const ALTERNATIVE_KEYS = [
+  [['dao', 'votingPeriod'], ['dao', 'votingPeriodBlocks']],
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getValue = (object, keys) => keys.reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object);
+
+/**
+ * Convert an environment variable to its configuration type. Values that do not
+ * parse are passed through unchanged so schema validation reports them.
+ * @param {string} value - Raw environment value
+ * @param {string} type - 'string' | 'integer' | 'number' | 'boolean'
+ * @returns {*} Converted value
+ */
+function parseEnvValue(value, type) {
+  if (type === 'integer' && /^\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (type === 'number' && /^\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if (type === 'boolean' && /^(true|false)$/.test(value)) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Get the path of the per-network JSON configuration file
+ * @param {string} configDir - Directory holding deploy.config.js
+ * @param {string} networkName - Network name
+ * @returns {string} File path
+ */
+export function getConfigFilePath(configDir, networkName) {
+  return path.join(configDir, `deploy.config.${networkName}.json`);
+}
+
+/**
+ * Load the per-network JSON configuration file
+ * @param {string} configDir - Directory holding deploy.config.js
+ * @param {string} networkName - Network name
+ * @returns {object|null} Parsed file content, or null if there is no file
+ */
+export function loadConfigFile(configDir, networkName) {
+  const filepath = getConfigFilePath(configDir, networkName);
+  if (!fs.existsSync(filepath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse ${path.basename(filepath)}: ${error.message}`);
+  }
+}
+
+/**
+ * Collect the configuration overrides set through DAO_* environment variables
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {{ values: object, sources: object }} Nested override values and the
+ *   variable behind each JSON path
+ */
+export function readEnvOverrides(env = process.env) {
+  const values = {};
+  const sources = {};
+
+  for (const [variable, { path: keys, type }] of Object.entries(ENV_OVERRIDES)) {
+    if (env[variable] === undefined || env[variable] === '') {
+      continue;
+    }
+
+    let target = values;
+    for (const key of keys.slice(0, -1)) {
+      target = target[key] ??= {};
+    }
+    target[keys.at(-1)] = parseEnvValue(env[variable], type);
+    sources[`$.${keys.join('.')}`] = `env ${variable}`;
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Record the source of every leaf value of a layer. Arrays are treated as single values.
+ * @param {object} layer - Layer values
+ * @param {string} source - Layer label
+ * @param {object} sources - Map of JSON path to source, updated in place
+ * @param {string} prefix - JSON path of the layer
+ */
+function recordSources(layer, source, sources, prefix = '$') {
+  for (const [key, value] of Object.entries(layer)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    const keyPath = `${prefix}.${key}`;
+    if (isPlainObject(value)) {
+      delete sources[keyPath];
+      recordSources(value, source, sources, keyPath);
+    } else {
+      // A replaced value drops the sources of anything previously nested below it
+      Object.keys(sources)
+        .filter((existing) => existing.startsWith(`${keyPath}.`))
+        .forEach((existing) => delete sources[existing]);
+      sources[keyPath] = source;
+    }
+  }
+}
+
+/**
+ * Deep-merge two configuration layers. Objects are merged key by key; arrays and
+ * scalars from `override` replace the base value.
+ * @param {object} base - Lower-precedence layer
+ * @param {object} override - Higher-precedence layer
+ * @returns {object} Merged configuration (inputs are not modified)
+ */
+export function mergeConfig(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value)
+      ? mergeConfig(isPlainObject(base[key]) ? base[key] : {}, value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Merge configuration layers in order of increasing precedence. Setting one of a
+ * pair of alternative keys (dao.votingPeriod, dao.votingPeriodBlocks) drops the
+ * other from lower layers.
+ * @param {Array<object>} layers - Layers ({ source, values, sources? }); `sources`
+ *   overrides the layer-wide label for individual paths
+ * @returns {{ config: object, sources: object }} Merged configuration and the source
+ *   of every leaf value keyed by JSON path (e.g. `$.dao.quorumNumerator`)
+ */
+export function mergeConfigLayers(layers) {
+  let config = {};
+  const sources = {};
+
+  for (const layer of layers) {
+    config = mergeConfig(config, layer.values);
+    recordSources(layer.values, layer.source, sources);
+    Object.assign(sources, layer.sources || {});
+
+    for (const [keys, replaced] of ALTERNATIVE_KEYS.flatMap((pair) => [pair, [...pair].reverse()])) {
+      if (getValue(layer.values, keys) !== undefined && getValue(layer.values, replaced) === undefined) {
+        // The parent object is a fresh copy, since the layer sets a sibling key in it
+        const parent = getValue(config, replaced.slice(0, -1));
+        if (isPlainObject(parent)) {
+          delete parent[replaced.at(-1)];
+        }
+        delete sources[`$.${replaced.join('.')}`];
+      }
+    }
+  }
+
+  return { config, sources };
+}
@@ -0,0 +1,302 @@
+/**
+ * Deployment Configuration Schema
+ *
+ * Declarative schema for a network entry of deploy.config.js and a small validator
+ * that walks it and reports every problem at once, each with its JSON path
+ * (e.g. `$.dao.quorumNumerator`).
+ *
+ * Schema nodes: { type, required, nullable, excludes, check, message, properties, items }
+ *   type       - 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array', or a list of them
+ *   required   - boolean, or (parent, options) => boolean for conditional fields
+ *   excludes   - sibling keys that must not be set together with this one
+ *   check      - extra predicate run once the type matches
+ *   properties - object fields; keys not listed are reported as unknown
+ *   items      - schema applied to every array element
+ */
+
+import { parseUnits } from 'ethers';
+import { MAX_TIMELOCK_DELAY_SECONDS, parseDuration } from './voting-period.js';
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ZERO_ADDRESS_PATTERN = /^0x0{40}$/;
+const BYTES32_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const TOKEN_AMOUNT_PATTERN = /^\d+(\.\d{1,18})?$/;
+const ZERO_AMOUNT_PATTERN = /^0+(\.0+)?$/;
+
+const isNonEmptyString = (value) => value.trim().length > 0;
+const isTokenAmountOrZero = (value) => TOKEN_AMOUNT_PATTERN.test(String(value));
+const isTokenAmount = (value) => TOKEN_AMOUNT_PATTERN.test(String(value)) && !ZERO_AMOUNT_PATTERN.test(String(value));
+const isDuration = (value) => {
+  try {
+    return parseDuration(value) > 0;
+  } catch {
+    return false;
+  }
+};
+const isTimelockDelay = (value) => {
+  const seconds = typeof value === 'string' ? (isDuration(value) ? parseDuration(value) : -1) : value;
+  return seconds >= 0 && seconds <= MAX_TIMELOCK_DELAY_SECONDS;
+};
+const isOwner = (value) => value === 'dao' || (ADDRESS_PATTERN.test(value) && !ZERO_ADDRESS_PATTERN.test(value));
+
+const delegationSchema = {
+  type: 'object',
+  message: 'Delegation must be an object',
+  properties: {
+    delegatee: { type: 'string', required: true, check: (value) => ADDRESS_PATTERN.test(value), message: 'Invalid delegatee address' },
+    nonce: { type: ['string', 'integer'], required: true, message: 'Delegation nonce is required' },
+    expiry: { type: ['string', 'integer'], required: true, message: 'Delegation expiry is required' },
+    v: { type: ['string', 'integer'], required: true, message: 'Delegation v is required' },
+    r: { type: 'string', required: true, check: (value) => BYTES32_PATTERN.test(value), message: 'Delegation r must be a 32-byte hex string' },
+    s: { type: 'string', required: true, check: (value) => BYTES32_PATTERN.test(value), message: 'Delegation s must be a 32-byte hex string' },
+  },
+};
+
+/**
+ * Schema of a single network configuration
+ */
+export const networkConfigSchema = {
+  type: 'object',
+  required: true,
+  message: 'Configuration must be an object',
+  properties: {
+    expectedChainId: {
+      type: 'integer',
+      check: (value) => value > 0,
+      message: 'Expected chain ID must be a positive integer',
+    },
+    blockTimeSeconds: {
+      type: 'number',
+      check: (value) => value > 0,
+      message: 'Block time must be a positive number of seconds',
+    },
+    token: {
+      type: 'object',
+      required: true,
+      message: 'Missing token configuration',
+      properties: {
+        name: { type: 'string', required: true, check: isNonEmptyString, message: 'Invalid token name' },
+        symbol: { type: 'string', required: true, check: isNonEmptyString, message: 'Invalid token symbol' },
+        initialSupply: {
+          type: 'string',
+          required: true,
+          check: isTokenAmount,
+          message: 'Invalid initial supply: expected a non-zero decimal string with at most 18 decimals',
+        },
+      },
+    },
+    dao: {
+      type: 'object',
+      required: true,
+      message: 'Missing dao configuration',
+      properties: {
+        quorumNumerator: {
+          type: 'integer',
+          required: true,
+          check: (value) => value >= 1 && value <= 100,
+          message: 'Quorum numerator must be between 1 and 100',
+        },
+        votingPeriodBlocks: {
+          type: 'integer',
+          required: (dao) => dao.votingPeriod === undefined,
+          check: (value) => value > 0,
+          message: 'Voting period must be greater than 0',
+        },
+        votingPeriod: {
+          type: 'string',
+          excludes: ['votingPeriodBlocks'],
+          check: isDuration,
+          message: 'Voting period must be a duration such as "7d", "36h" or "1w2d"',
+        },
+        timelockDelay: {
+          type: ['integer', 'string'],
+          check: isTimelockDelay,
+          message: 'Timelock delay must be seconds or a duration such as "2d", at most 30 days',
+        },
+        proposalThreshold: {
+          type: 'string',
+          check: isTokenAmountOrZero,
+          message: 'Invalid proposal threshold: expected a decimal token amount with at most 18 decimals',
+        },
+        maxActiveProposals: {
+          type: 'integer',
+          check: (value) => value >= 0,
+          message: 'Max active proposals must be a non-negative integer (0 = unlimited)',
+        },
+      },
+    },
+    verification: {
+      type: 'object',
+      message: 'Verification must be an object',
+      properties: {
+        enabled: { type: 'boolean', required: true, message: 'Verification enabled must be a boolean' },
+        apiKey: {
+          type: 'string',
+          required: (verification, options) => verification.enabled === true && options.requireApiKey === true,
+          check: isNonEmptyString,
+          message: 'Verification API key must be a non-empty string',
+        },
+      },
+    },
+    create2: {
+      type: 'object',
+      message: 'create2 must be an object',
+      properties: {
+        salt: { type: 'string', required: true, check: isNonEmptyString, message: 'CREATE2 salt must be a non-empty string' },
+      },
+    },
+    handoff: {
+      type: 'object',
+      message: 'Handoff must be an object',
+      properties: {
+        tokenOwner: {
+          type: 'string',
+          nullable: true,
+          check: isOwner,
+          message: 'Invalid handoff tokenOwner: must be a non-zero address or "dao"',
+        },
+        daoOwner: {
+          type: 'string',
+          nullable: true,
+          check: isOwner,
+          message: 'Invalid handoff daoOwner: must be a non-zero address or "dao"',
+        },
+      },
+    },
+    distribution: {
+      type: 'object',
+      message: 'Distribution must be an object',
+      properties: {
+        recipients: {
+          type: 'array',
+          message: 'Distribution recipients must be an array',
+          items: {
+            type: 'object',
+            message: 'Distribution recipient must be an object',
+            properties: {
+              address: { type: 'string', required: true, check: (value) => ADDRESS_PATTERN.test(value), message: 'Invalid recipient address' },
+              amount: {
+                type: ['string', 'number'],
+                required: true,
+                check: isTokenAmount,
+                message: 'Invalid recipient amount: expected a non-zero amount with at most 18 decimals',
+              },
+              delegation: delegationSchema,
+            },
+          },
+        },
+        file: {
+          type: 'string',
+          check: (value) => /\.(json|csv)$/.test(value),
+          message: 'Distribution file must be a .json or .csv path',
+        },
+        batchSize: {
+          type: 'integer',
+          check: (value) => value > 0,
+          message: 'Distribution batch size must be a positive integer',
+        },
+        delegateDeployer: { type: 'boolean', message: 'Distribution delegateDeployer must be a boolean' },
+      },
+    },
+  },
+};
+
+/**
+ * Error thrown when a configuration fails schema validation. Carries every error found.
+ */
+export class ConfigValidationError extends Error {
+  /**
+   * @param {Array<object>} errors - Validation errors ({ path, message })
+   */
+  constructor(errors) {
+    super(`Invalid configuration:\n  - ${errors.map(({ path, message }) => `${path}: ${message}`).join('\n  - ')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a value against a single schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type name
+ * @returns {boolean} True if the value has that type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to validate
+ * @param {object} schema - Schema node
+ * @param {object} options - Validation options passed to conditional `required` functions
+ * @param {string} path - JSON path of the value
+ * @param {object} parent - Object holding the value (for conditional `required`)
+ * @returns {Array<object>} Validation errors ({ path, message })
+ */
+export function validateSchema(value, schema, options = {}, path = '$', parent = {}) {
+  const required = typeof schema.required === 'function'
+    ? schema.required(parent, options)
+    : Boolean(schema.required);
+
+  if (value === undefined || (value === null && schema.nullable)) {
+    return required ? [{ path, message: schema.message }] : [];
+  }
+
+  const conflicts = (schema.excludes || []).filter((key) => parent[key] !== undefined);
+  if (conflicts.length > 0) {
+    return [{ path, message: `Cannot be combined with ${conflicts.join(', ')}` }];
+  }
+
+  const types = [].concat(schema.type);
+  if (!types.some((type) => matchesType(value, type)) || (schema.check && !schema.check(value))) {
+    return [{ path, message: schema.message }];
+  }
+
+  if (schema.items) {
+    return value.flatMap((item, index) => validateSchema(item, schema.items, options, `${path}[${index}]`, value));
+  }
+
+  if (schema.properties) {
+    const unknown = Object.keys(value)
+      .filter((key) => !Object.hasOwn(schema.properties, key))
+      .map((key) => ({ path: `${path}.${key}`, message: `Unknown configuration key "${key}"` }));
+
+    return [
+      ...Object.entries(schema.properties).flatMap(([key, child]) => (
+        validateSchema(value[key], child, options, `${path}.${key}`, value)
+      )),
+      ...unknown,
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Validate a network configuration against the schema
+ * @param {object} config - Network configuration
+ * @param {object} options - { requireApiKey } (require an API key when verification is enabled)
+ * @param {string} path - JSON path of the configuration (defaults to `$`)
+ * @returns {Array<object>} Validation errors ({ path, message }), empty when valid
+ */
+export function validateConfigSchema(config, options = {}, path = '$') {
+  const errors = validateSchema(config, networkConfigSchema, options, path);
+
+  // A threshold above the initial supply would leave nobody able to propose
+  const threshold = config?.dao?.proposalThreshold;
+  const supply = config?.token?.initialSupply;
+  if (errors.length === 0 && threshold !== undefined && parseUnits(threshold, 18) > parseUnits(supply, 18)) {
+    errors.push({ path: `${path}.dao.proposalThreshold`, message: 'Proposal threshold cannot exceed the initial supply' });
+  }
+  return errors;
+}
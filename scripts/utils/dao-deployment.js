@@ -0,0 +1,531 @@
+/**
+ * DAO System Deployment
+ *
+ * deployDaoSystem() runs the complete deployment — configuration checks, gas
+ * estimation, TestToken and DAOVoting deployment, token distribution, governance
+ * handoff, verification and the deployment artifact — and returns the result instead
+ * of exiting the process. Failures are thrown as DeploymentError with the step that
+ * failed, so scripts, tests and fork rehearsals can reuse the whole flow.
+ */
+
+import { validateConfig } from '../../deploy.config.js';
+import {
+  checkBalance,
+  checkChainId,
+  clearDeploymentJournal,
+  confirmDeployment,
+  deployOrResume,
+  describeVotingPeriod,
+  estimateDeploymentSequence,
+  findReusableDeployment,
+  MAINNET_CLASS_NETWORKS,
+  saveDeployment,
+  summarizeVerification,
+  transferOwnership,
+  validateDeployment,
+  verifyContract,
+  waitForTransaction,
+} from './deployment-helpers.js';
+import {
+  buildDeploymentPlan,
+  getCreate2AddressPredictor,
+  getCreate2Options,
+  getCreate2SetupSteps,
+  getDaoArgs,
+  getDeploymentSteps,
+  getSetupSteps,
+  getTokenArgs,
+  resolveHandoff,
+} from './deployment-plan.js';
+import { getLogger } from './logger.js';
+import { getDeploymentProvenance, getGitInfo } from './provenance.js';
+import {
+  applyDelegations,
+  distributeTokens,
+  loadAllocations,
+  validateAllocations,
+  verifyDistribution,
+} from './token-distribution.js';
+import { formatDuration, resolveTimelockDelay, resolveVotingPeriod } from './voting-period.js';
+
+// Chain ID of Hardhat, anvil and other local development nodes
+const LOCAL_CHAIN_ID = 31337n;
+
+/**
+ * Error thrown when a deployment step fails. `step` is one of 'configuration',
+ * 'balance', 'confirmation', 'TestToken', 'DAOVoting', 'distribution' or 'handoff';
+ * `deployed` holds the addresses deployed before the failure (a rerun reuses them).
+ */
+export class DeploymentError extends Error {
+  /**
+   * @param {string} step - Step that failed
+   * @param {string} message - Error message
+   * @param {object} details - { cause, deployed: { contractName: address } }
+   */
+  constructor(step, message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = 'DeploymentError';
+    this.step = step;
+    this.deployed = details.deployed ?? {};
+  }
+}
+
+/**
+ * Error thrown when the deployer does not have enough funds for the estimated cost
+ */
+export class InsufficientBalanceError extends DeploymentError {
+  /**
+   * @param {bigint} balance - Deployer balance in wei
+   * @param {bigint} required - Required balance in wei
+   */
+  constructor(balance, required) {
+    super('balance', `Insufficient balance: ${balance} wei available, ${required} wei required`);
+    this.name = 'InsufficientBalanceError';
+    this.balance = balance;
+    this.required = required;
+  }
+}
+
+/**
+ * Error thrown when the deployment is not confirmed at the prompt
+ */
+export class DeploymentCancelledError extends DeploymentError {
+  constructor() {
+    super('confirmation', 'Deployment cancelled by user');
+    this.name = 'DeploymentCancelledError';
+  }
+}
+
+/**
+ * Run a deployment step, turning its failure into a DeploymentError
+ * @param {string} step - Step name
+ * @param {object} deployed - Addresses deployed so far
+ * @param {Function} fn - Step implementation
+ * @returns {Promise<*>} Step result
+ */
+async function runStep(step, deployed, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error instanceof DeploymentError) {
+      throw error;
+    }
+    throw new DeploymentError(step, `${step} failed: ${error.message}`, { cause: error, deployed: { ...deployed } });
+  }
+}
+
+/**
+ * Log a step heading
+ * @param {object} logger - Logger
+ * @param {string} title - Step title
+ */
+function logStep(logger, title) {
+  logger.info(`\n📋 ${title}`);
+  logger.info('────────────────────────────────────────────────────────────');
+}
+
+/**
+ * Deploy the DAO system (TestToken and DAOVoting) and save the deployment artifact
+ * @param {object} hre - Runtime environment from connectRuntime() (`ethers`, `network.name`,
+ *   `artifacts`, and `network.connection`, `config` and `solidity` when verification is
+ *   enabled)
+ * @param {object} config - Network configuration (e.g. from resolveConfig()); validated here
+ * @param {object} options - Deployment options
+ * @param {string} options.network - Network name for the artifacts (default hre.network.name)
+ * @param {object} options.deployer - Deploying signer (default the first signer)
+ * @param {object} options.configSources - Source of each config value from resolveConfig()
+ * @param {boolean} options.dryRun - Only build the deployment plan, send no transaction
+ * @param {boolean} options.fresh - Redeploy even if matching deployments are recorded
+ * @param {boolean} options.skipVerification - Skip block explorer verification
+ * @param {boolean} options.confirm - Ask for confirmation (default: unless on a local
+ *   chain, chain ID 31337)
+ * @param {number} options.confirmations - Blocks to wait for each transaction (default: 1
+ *   on a local chain, otherwise 2)
+ * @param {object} options.prompt - { input, output } for the confirmation prompt
+ * @param {object} options.logger - Logger (defaults to getLogger())
+ * @returns {Promise<object>} { network, plan } for a dry run, otherwise { network,
+ *   deploymentId, deployment (saved artifact), contracts: { TestToken, DAOVoting } }
+ * @throws {DeploymentError} If a step fails (InsufficientBalanceError and
+ *   DeploymentCancelledError for those cases)
+ */
+export async function deployDaoSystem(hre, config, options = {}) {
+  const {
+    network = hre.network.name,
+    configSources = {},
+    dryRun = false,
+    fresh = false,
+    skipVerification = false,
+    prompt = {},
+    logger = getLogger(),
+  } = options;
+  const { ethers } = hre;
+  const deployer = options.deployer || (await ethers.getSigners())[0];
+  const deployed = {};
+
+  // Local defaults follow the chain, so a local node under any network name counts
+  const chainId = (await ethers.provider.getNetwork()).chainId;
+  const { confirm = chainId !== LOCAL_CHAIN_ID, confirmations = chainId === LOCAL_CHAIN_ID ? 1 : 2 } = options;
+
+  // ============================================================
+  // 1. ENVIRONMENT SETUP
+  // ============================================================
+  logStep(logger, 'Step 1: Environment Setup');
+
+  logger.info(`Network: ${network}`);
+  logger.info(`Chain ID: ${chainId}`);
+  logger.info(`Deployer: ${deployer.address}`);
+  logger.info(`Balance: ${ethers.formatEther(await ethers.provider.getBalance(deployer.address))} ETH`);
+
+  // ============================================================
+  // 2. VALIDATE CONFIGURATION
+  // ============================================================
+  logStep(logger, 'Step 2: Configuration Validation');
+
+  const { votingPeriod, allocations } = await runStep('configuration', deployed, async () => {
+    // An explorer API key is only required when verification will actually run
+    validateConfig(config, { requireApiKey: !skipVerification });
+    await checkChainId(hre, config.expectedChainId, { logger });
+
+    // Convert a votingPeriod duration to blocks for this chain
+    const resolved = await resolveVotingPeriod(hre, config);
+    const planned = loadAllocations(config.distribution);
+    const allocationErrors = validateAllocations(planned, config.token.initialSupply);
+    if (allocationErrors.length > 0) {
+      throw new Error(`Invalid distribution:\n  - ${allocationErrors.join('\n  - ')}`);
+    }
+    return { votingPeriod: resolved, allocations: planned };
+  });
+  config = { ...config, dao: { ...config.dao, votingPeriodBlocks: votingPeriod.votingPeriodBlocks } };
+  const timelockDelay = resolveTimelockDelay(config);
+  const proposalThreshold = config.dao.proposalThreshold || '0';
+  const maxActiveProposals = config.dao.maxActiveProposals ?? 0;
+
+  logger.info('✅ Configuration validated successfully');
+  logger.info(`  Token: ${config.token.name} (${config.token.symbol})`);
+  logger.info(`  Initial Supply: ${config.token.initialSupply} tokens`);
+  logger.info(`  Quorum: ${config.dao.quorumNumerator}%`);
+  logger.info(`  Voting Period: ${config.dao.votingPeriodBlocks} blocks`);
+  if (votingPeriod.blockTimeSeconds !== null) {
+    logger.info(`    ${describeVotingPeriod(config.dao.votingPeriodBlocks, votingPeriod.blockTimeSeconds)}, ${votingPeriod.blockTimeSource} block time`);
+  }
+  logger.info(`  Timelock Delay: ${formatDuration(timelockDelay)}`);
+  logger.info(`  Proposal Threshold: ${proposalThreshold} tokens`);
+  logger.info(`  Max Active Proposals: ${maxActiveProposals || 'unlimited'}`);
+
+  // Report values that do not come from deploy.config.js itself
+  Object.entries(configSources)
+    .filter(([, source]) => source !== 'deploy.config.js')
+    .forEach(([keyPath, source]) => logger.info(`  ${keyPath} from ${source}`));
+
+  if (allocations.length > 0) {
+    logger.info(`  Distribution: ${allocations.length} recipients`);
+  }
+
+  // ============================================================
+  // 3. GAS ESTIMATION
+  // ============================================================
+  logStep(logger, 'Step 3: Gas Estimation');
+
+  let estimate = null;
+  try {
+    // Estimate every deployment still to be sent (DAOVoting against the predicted TestToken address)
+    estimate = await estimateDeploymentSequence(hre, deployer, getDeploymentSteps(hre, config), {
+      findExisting: (contractName, args) => (
+        fresh ? null : findReusableDeployment(hre, network, contractName, args, { logger })
+      ),
+      predictAddress: await getCreate2AddressPredictor(hre, config, deployer),
+      setupSteps: [...await getCreate2SetupSteps(hre, config, deployer), ...getSetupSteps(config)],
+      logger,
+    });
+
+    logger.info(`\n  Total gas: ${estimate.totals.gasEstimate}`);
+    logger.info(`  Total estimated cost: ${ethers.formatEther(estimate.totals.estimatedCost)} ETH`);
+    logger.info(`  Total max cost: ${ethers.formatEther(estimate.totals.maxCost)} ETH`);
+  } catch (error) {
+    logger.warn(`⚠️  Gas estimation failed: ${error.message}`);
+    logger.info('   Proceeding with deployment anyway...');
+  }
+
+  const required = estimate ? estimate.totals.estimatedCost * 2n : 0n; // 2x buffer
+  const sufficientBalance = !estimate || await checkBalance(hre, deployer, required, { logger });
+
+  // ============================================================
+  // DRY RUN: BUILD THE PLAN AND STOP
+  // ============================================================
+  // Before the balance check fails, so a plan can be reviewed before funding the deployer
+  if (dryRun) {
+    const plan = await buildDeploymentPlan(hre, {
+      network,
+      config,
+      deployer,
+      configSources,
+      fresh,
+      skipVerification,
+      estimate,
+      logger,
+    });
+    return { network, plan };
+  }
+
+  if (!sufficientBalance && chainId !== LOCAL_CHAIN_ID) {
+    throw new InsufficientBalanceError(await ethers.provider.getBalance(deployer.address), required);
+  }
+
+  // ============================================================
+  // 4. DEPLOYMENT CONFIRMATION
+  // ============================================================
+  if (confirm) {
+    const confirmed = await confirmDeployment(`You are about to deploy to ${network}. Continue?`, {
+      details: {
+        network,
+        chainId: chainId.toString(),
+        deployer: deployer.address,
+        estimatedCost: estimate ? ethers.formatEther(estimate.totals.estimatedCost) : null,
+        contracts: (estimate?.steps || []).map(({ contractName, args }) => ({ name: contractName, args })),
+      },
+      requireNetworkName: MAINNET_CLASS_NETWORKS.includes(network),
+      ...prompt,
+      logger,
+    });
+    if (!confirmed) {
+      throw new DeploymentCancelledError();
+    }
+  }
+
+  // ============================================================
+  // 5. DEPLOY TESTTOKEN CONTRACT
+  // ============================================================
+  logStep(logger, 'Step 4: TestToken Deployment');
+
+  const create2Options = await getCreate2Options(hre, config, deployer);
+  const tokenArgs = getTokenArgs(hre, config);
+
+  const { contract: token, address: tokenAddress, transactionHash: tokenTxHash } = await runStep(
+    'TestToken',
+    deployed,
+    async () => {
+      const result = await deployOrResume(hre, 'TestToken', tokenArgs, {
+        network,
+        fresh,
+        signer: deployer,
+        confirmations,
+        create2: create2Options?.TestToken,
+        logger,
+      });
+
+      const tokenValid = await validateDeployment(result.contract, {
+        name: config.token.name,
+        symbol: config.token.symbol,
+        decimals: 18n,
+      }, { logger });
+      if (!tokenValid) {
+        throw new Error('TestToken validation failed');
+      }
+      return result;
+    }
+  );
+  deployed.TestToken = tokenAddress;
+  logger.info('✅ TestToken deployed and validated successfully');
+
+  // ============================================================
+  // 6. DEPLOY DAOVOTING CONTRACT
+  // ============================================================
+  logStep(logger, 'Step 5: DAOVoting Deployment');
+
+  const daoArgs = getDaoArgs(hre, config, tokenAddress);
+
+  const { contract: dao, address: daoAddress, transactionHash: daoTxHash } = await runStep(
+    'DAOVoting',
+    deployed,
+    async () => {
+      const result = await deployOrResume(hre, 'DAOVoting', daoArgs, {
+        network,
+        fresh,
+        signer: deployer,
+        confirmations,
+        create2: create2Options?.DAOVoting,
+        logger,
+      });
+
+      const daoValid = await validateDeployment(result.contract, {
+        quorumNumerator: config.dao.quorumNumerator,
+        votingPeriodBlocks: config.dao.votingPeriodBlocks,
+        timelockDelay,
+        proposalThreshold: ethers.parseUnits(proposalThreshold, 18),
+        maxActiveProposals,
+      }, { blockTimeSeconds: votingPeriod.blockTimeSeconds, logger });
+      if (!daoValid) {
+        throw new Error('DAOVoting validation failed');
+      }
+
+      // Verify governance token is correctly set
+      const govTokenAddr = await result.contract.governanceToken();
+      if (govTokenAddr.toLowerCase() !== tokenAddress.toLowerCase()) {
+        throw new Error('Governance token address mismatch');
+      }
+      return result;
+    }
+  );
+  deployed.DAOVoting = daoAddress;
+  logger.info('✅ DAOVoting deployed and validated successfully');
+
+  // ============================================================
+  // 7. POST-DEPLOYMENT SETUP
+  // ============================================================
+  logStep(logger, 'Step 6: Post-Deployment Setup');
+
+  const distribution = { transfers: [], delegations: [] };
+
+  await runStep('distribution', deployed, async () => {
+    if (allocations.length > 0) {
+      const { transfers, failed } = await distributeTokens(hre, token, allocations, {
+        batchSize: config.distribution.batchSize,
+        confirmations,
+        logger,
+      });
+      distribution.transfers = transfers;
+      if (failed.length > 0) {
+        const reasons = failed.map(({ address, reason }) => `${address}: ${reason}`);
+        throw new Error(`${failed.length} transfers failed (rerun to retry them):\n  - ${reasons.join('\n  - ')}`);
+      }
+      distribution.delegations = await applyDelegations(token, allocations, { confirmations, logger });
+    }
+
+    if (config.distribution?.delegateDeployer && await token.delegates(deployer.address) !== deployer.address) {
+      logger.info('\n🗳️  Delegating deployer voting power to itself...');
+      await waitForTransaction(await token.delegate(deployer.address), confirmations, { signer: deployer, logger });
+    }
+
+    if (allocations.length > 0 || config.distribution?.delegateDeployer) {
+      const mismatches = await verifyDistribution(hre, token, allocations, {
+        deployer,
+        delegateDeployer: config.distribution.delegateDeployer,
+      });
+      if (mismatches.length > 0) {
+        throw new Error(`Distribution does not match plan:\n  - ${mismatches.join('\n  - ')}`);
+      }
+      logger.info(`✅ Distribution verified: ${allocations.length} recipients`);
+    }
+  });
+
+  try {
+    const deployerBalance = await token.balanceOf(deployer.address);
+    logger.info(`✅ Deployer token balance: ${ethers.formatUnits(deployerBalance, 18)} ${config.token.symbol}`);
+
+    const currentDelegate = await token.delegates(deployer.address);
+    if (currentDelegate === ethers.ZeroAddress) {
+      logger.info('⚠️  Note: Deployer has not delegated voting power yet');
+      logger.info('   Run: await token.delegate(deployer.address) or set distribution.delegateDeployer');
+    } else {
+      logger.info(`✅ Deployer voting power delegated to: ${currentDelegate}`);
+    }
+
+    const votingPower = await token.getVotes(deployer.address);
+    logger.info(`  Current voting power: ${ethers.formatUnits(votingPower, 18)}`);
+  } catch (error) {
+    logger.warn(`⚠️  Post-deployment checks failed: ${error.message}`);
+  }
+
+  // ============================================================
+  // 8. GOVERNANCE HANDOFF
+  // ============================================================
+  logStep(logger, 'Step 7: Governance Handoff');
+
+  const handoffTargets = resolveHandoff(hre, config, { daoAddress });
+  const handoff = {};
+
+  await runStep('handoff', deployed, async () => {
+    for (const [contractName, contract] of [['TestToken', token], ['DAOVoting', dao]]) {
+      const newOwner = handoffTargets[contractName];
+      if (!newOwner) {
+        logger.info(`⏭️  ${contractName}: no handoff configured, deployer remains owner`);
+        continue;
+      }
+
+      handoff[contractName] = await transferOwnership(contract, newOwner, { confirmations, logger });
+
+      const ownerValid = await validateDeployment(contract, { owner: newOwner }, { logger });
+      if (!ownerValid) {
+        throw new Error(`${contractName} owner is not ${newOwner} after handoff`);
+      }
+    }
+  });
+
+  // ============================================================
+  // 9. CONTRACT VERIFICATION
+  // ============================================================
+  logStep(logger, 'Step 8: Contract Verification');
+
+  const verificationResults = {};
+  if (config.verification?.enabled && !skipVerification) {
+    // verifyContract() retries with backoff until the explorer has indexed the contracts
+    const { apiKey } = config.verification;
+    verificationResults.TestToken = await verifyContract(hre, tokenAddress, tokenArgs, { apiKey, logger });
+    verificationResults.DAOVoting = await verifyContract(hre, daoAddress, daoArgs, { apiKey, logger });
+  } else {
+    logger.info('⏭️  Skipped (verification disabled or SKIP_VERIFICATION=true)');
+  }
+
+  // ============================================================
+  // 10. SAVE DEPLOYMENT ARTIFACTS
+  // ============================================================
+  logStep(logger, 'Step 9: Saving Deployment Artifacts');
+
+  const deployment = {
+    deployer: deployer.address,
+    chainId: chainId.toString(),
+    correlationId: logger.correlationId,
+    source: getGitInfo(),
+    contracts: {
+      TestToken: {
+        address: tokenAddress,
+        constructorArgs: tokenArgs,
+        ...await getDeploymentProvenance(hre, 'TestToken', { address: tokenAddress, transactionHash: tokenTxHash }),
+        name: config.token.name,
+        symbol: config.token.symbol,
+        initialSupply: config.token.initialSupply,
+      },
+      DAOVoting: {
+        address: daoAddress,
+        constructorArgs: daoArgs,
+        ...await getDeploymentProvenance(hre, 'DAOVoting', { address: daoAddress, transactionHash: daoTxHash }),
+        governanceToken: tokenAddress,
+        quorumNumerator: config.dao.quorumNumerator,
+        votingPeriodBlocks: config.dao.votingPeriodBlocks,
+        votingPeriod: config.dao.votingPeriod || null,
+        blockTimeSeconds: votingPeriod.blockTimeSeconds,
+        blockTimeSource: votingPeriod.blockTimeSource,
+        effectiveVotingPeriodSeconds: votingPeriod.durationSeconds,
+        timelockDelay,
+        proposalThreshold,
+        maxActiveProposals,
+      },
+    },
+    create2: create2Options ? { salt: config.create2.salt } : null,
+    handoff: Object.keys(handoff).length > 0 ? handoff : null,
+    distribution: allocations.length > 0 ? {
+      recipients: allocations.map(({ address, amount, delegation }) => ({
+        address,
+        amount,
+        delegatee: delegation?.delegatee || null,
+      })),
+      ...distribution,
+    } : null,
+    configSources,
+    verification: {
+      enabled: config.verification?.enabled || false,
+      ...summarizeVerification(verificationResults),
+    },
+  };
+
+  const { id: deploymentId } = saveDeployment(network, deployment, { logger });
+  // The saved deployment now records every step, so the journal is no longer needed
+  clearDeploymentJournal(network);
+
+  return {
+    network,
+    deploymentId,
+    deployment,
+    contracts: { TestToken: token, DAOVoting: dao },
+  };
+}
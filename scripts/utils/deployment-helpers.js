@@ -4,25 +4,296 @@
  * Utility functions for robust contract deployment, verification, and validation
  */
 
+import { verifyContract as verifyOnExplorer } from '@nomicfoundation/hardhat-verify/verify';
 import fs from 'fs';
 import path from 'path';
+import readline from 'readline';
+import { setActiveDeploymentId } from './deployment-registry.js';
+import { getLogger } from './logger.js';
+import { formatDuration } from './voting-period.js';
 
 /**
- * Wait for a transaction to be mined with retry logic
- * @param {object} tx - Transaction object
+ * JSON replacer that stores bigint values (e.g. parsed token supplies) as strings
+ * @param {string} key - Property key
+ * @param {*} value - Property value
+ * @returns {*} Serializable value
+ */
+function bigintReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Deterministic deployment proxy (https://github.com/Arachnid/deterministic-deployment-proxy).
+ * It lives at the same address on every chain because it is created by a presigned,
+ * chain-agnostic transaction from a keyless signer.
+ */
+export const DETERMINISTIC_DEPLOYMENT_PROXY = {
+  address: '0x4e59b44847b379578588920cA78FbF26c0B4956C',
+  signer: '0x3fAB184622Dc19b6109349B94811493BF2a45362',
+  gasPrice: 100000000000n,
+  gasLimit: 100000n,
+  transaction: '0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222',
+};
+
+/**
+ * Connect to a network and expose the connection the way the helpers expect
+ * (`hre.ethers` and `hre.network.name`). Hardhat's in-process "default" network is
+ * named "hardhat", as in deploy.config.js and the deployments directory.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {string} network - Network from hardhat.config.ts (defaults to the --network one)
+ * @returns {Promise<object>} Runtime environment ({ ...hre, ethers, network: { name,
+ *   connection } }), `connection` being the one verifyContract() verifies against
+ */
+export async function connectRuntime(hre, network) {
+  const connection = await hre.network.connect(network);
+  const name = connection.networkName === 'default' ? 'hardhat' : connection.networkName;
+  return { ...hre, ethers: connection.ethers, network: { name, connection } };
+}
+
+/**
+ * Error thrown by waitForTransaction() when a transaction does not confirm
+ * (`code`: 'TIMEOUT', 'DROPPED', 'REPLACED', 'CANCELLED' or 'REVERTED')
+ */
+export class TransactionError extends Error {
+  /**
+   * @param {string} code - Failure code
+   * @param {string} message - Error message
+   * @param {object} details - { hash, nonce, replacement (hash of the transaction that
+   *   took the nonce), receipt }
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'TransactionError';
+    this.code = code;
+    this.hash = details.hash ?? null;
+    this.nonce = details.nonce ?? null;
+    this.replacement = details.replacement ?? null;
+    this.receipt = details.receipt ?? null;
+  }
+}
+
+/**
+ * Find the mined transaction that used a sender's nonce
+ * @param {object} provider - Ethers provider
+ * @param {string} from - Sender address
+ * @param {number} nonce - Nonce
+ * @param {number} fromBlock - First block to search
+ * @returns {Promise<object|null>} Transaction or null if not found in the searched blocks
+ */
+async function findNonceTransaction(provider, from, nonce, fromBlock) {
+  const latest = await provider.getBlockNumber();
+  for (let blockNumber = fromBlock; blockNumber <= latest; blockNumber++) {
+    const block = await provider.getBlock(blockNumber, true);
+    const match = block.prefetchedTransactions.find(
+      (candidate) => candidate.from.toLowerCase() === from.toLowerCase() && candidate.nonce === nonce
+    );
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether the node still knows any broadcast of a transaction
+ * @param {object} provider - Ethers provider
+ * @param {Array<object>} broadcasts - The original transaction and its fee bumps
+ * @returns {Promise<boolean>} True if a broadcast is pending or mined
+ */
+async function isBroadcastKnown(provider, broadcasts) {
+  for (const broadcast of broadcasts) {
+    if (await provider.getTransaction(broadcast.hash)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Rebroadcast a pending transaction with the same nonce and higher fees
+ * @param {object} tx - Pending transaction
+ * @param {object} signer - Signer for the sender
+ * @param {number} bumpPercent - Integer fee increase in percent
+ * @returns {Promise<object>} Replacement transaction
+ */
+async function bumpTransactionFees(tx, signer, bumpPercent) {
+  const feeData = await tx.provider.getFeeData();
+  const bump = (value, current) => {
+    const bumped = (value * BigInt(100 + bumpPercent)) / 100n;
+    return current !== null && current > bumped ? current : bumped;
+  };
+
+  const fees = tx.maxFeePerGas !== null
+    ? {
+      maxFeePerGas: bump(tx.maxFeePerGas, feeData.maxFeePerGas),
+      maxPriorityFeePerGas: bump(tx.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas),
+    }
+    : { gasPrice: bump(tx.gasPrice, feeData.gasPrice) };
+
+  return signer.sendTransaction({
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit,
+    chainId: tx.chainId,
+    type: tx.type,
+    ...fees,
+  });
+}
+
+/**
+ * Wait for a transaction to be mined and confirmed. Polls for the receipt and detects a
+ * transaction that was replaced or cancelled (its nonce used by another transaction),
+ * dropped from the mempool (unknown to the node for `droppedAfterPolls` polls in a row,
+ * so a wait without a timeout still ends), or not confirmed before the timeout. If a signer is given, a transaction still
+ * pending after `bumpAfterMs` is rebroadcast with the same nonce and `bumpPercent`
+ * higher fees, up to `maxBumps` times; whichever broadcast is mined counts.
+ * @param {object} tx - Transaction response
  * @param {number} confirmations - Number of confirmations to wait for
- * @returns {Promise<object>} Transaction receipt
+ * @param {object} options - { timeoutMs (defaults to TX_TIMEOUT_SECONDS, 0 waits as long as it is pending),
+ *   pollIntervalMs = 1000, signer, bumpAfterMs (defaults to TX_FEE_BUMP_AFTER_SECONDS,
+ *   0 disables fee bumping), bumpPercent = 20, maxBumps = 3, droppedAfterPolls = 5, sleep,
+ *   logger }
+ * @returns {Promise<object>} Receipt of the mined transaction (the original or a fee bump)
+ * @throws {TransactionError} If the transaction reverted, was replaced, cancelled or
+ *   dropped, or timed out
  */
-export async function waitForTransaction(tx, confirmations = 1) {
-  console.log(`  ⏳ Waiting for transaction ${tx.hash}...`);
-  try {
-    const receipt = await tx.wait(confirmations);
-    console.log(`  ✅ Transaction confirmed in block ${receipt.blockNumber}`);
-    return receipt;
-  } catch (error) {
-    console.error(`  ❌ Transaction failed: ${error.message}`);
-    throw error;
+export async function waitForTransaction(tx, confirmations = 1, options = {}) {
+  const {
+    timeoutMs = Number(process.env.TX_TIMEOUT_SECONDS || 0) * 1000,
+    pollIntervalMs = 1000,
+    signer = null,
+    bumpAfterMs = Number(process.env.TX_FEE_BUMP_AFTER_SECONDS || 0) * 1000,
+    bumpPercent = 20,
+    maxBumps = 3,
+    droppedAfterPolls = 5,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    logger = getLogger(),
+  } = options;
+  const { provider } = tx;
+  const details = { hash: tx.hash, nonce: tx.nonce };
+  const startBlock = await provider.getBlockNumber();
+  const startedAt = Date.now();
+  const broadcasts = [tx];
+  let lastBroadcastAt = startedAt;
+  let unknownPolls = 0;
+
+  logger.info(`  ⏳ Waiting for transaction ${tx.hash}...`, { event: 'tx.pending', hash: tx.hash, nonce: tx.nonce });
+
+  for (;;) {
+    // Read the nonce before the receipts so a transaction of ours mined in between is not
+    // mistaken for a replacement
+    const usedNonces = await provider.getTransactionCount(tx.from, 'latest');
+
+    let receipt = null;
+    for (const broadcast of broadcasts) {
+      receipt = await provider.getTransactionReceipt(broadcast.hash);
+      if (receipt) {
+        break;
+      }
+    }
+
+    if (receipt) {
+      if (receipt.status === 0) {
+        logger.error(`  ❌ Transaction reverted in block ${receipt.blockNumber}`, {
+          event: 'tx.failed',
+          code: 'REVERTED',
+          hash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+        });
+        throw new TransactionError('REVERTED', `Transaction ${receipt.hash} reverted`, { ...details, receipt });
+      }
+      if (await receipt.confirmations() >= confirmations) {
+        logger.info(`  ✅ Transaction confirmed in block ${receipt.blockNumber}`, {
+          event: 'tx.confirmed',
+          hash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed,
+        });
+        return receipt;
+      }
+    } else if (usedNonces > tx.nonce) {
+      const replacement = await findNonceTransaction(provider, tx.from, tx.nonce, startBlock);
+      const cancelled = replacement !== null &&
+        replacement.to?.toLowerCase() === tx.from.toLowerCase() &&
+        replacement.data === '0x' &&
+        replacement.value === 0n;
+      const code = cancelled ? 'CANCELLED' : 'REPLACED';
+      const message = replacement
+        ? `Transaction ${tx.hash} was ${cancelled ? 'cancelled' : 'replaced'} by ${replacement.hash}`
+        : `Transaction ${tx.hash} was replaced: nonce ${tx.nonce} was used by another transaction`;
+      logger.error(`  ❌ ${message}`, { event: 'tx.failed', code, hash: tx.hash, replacement: replacement?.hash ?? null });
+      throw new TransactionError(code, message, { ...details, replacement: replacement?.hash });
+    } else if (!await isBroadcastKnown(provider, broadcasts)) {
+      // Lagging or load-balanced nodes can miss a transaction that was just sent, and a
+      // replacement mined since the nonce was read also evicts our broadcasts (the next
+      // poll reports it)
+      unknownPolls++;
+      if (unknownPolls >= droppedAfterPolls && await provider.getTransactionCount(tx.from, 'latest') <= tx.nonce) {
+        const message = `Transaction ${tx.hash} was dropped from the mempool`;
+        logger.error(`  ❌ ${message}`, { event: 'tx.failed', code: 'DROPPED', hash: tx.hash });
+        throw new TransactionError('DROPPED', message, details);
+      }
+    } else {
+      unknownPolls = 0;
+      if (signer && bumpAfterMs > 0 && broadcasts.length <= maxBumps &&
+          Date.now() - lastBroadcastAt >= bumpAfterMs) {
+        const bumped = await bumpTransactionFees(broadcasts.at(-1), signer, bumpPercent);
+        logger.info(`  ⛽ Rebroadcast with ${bumpPercent}% higher fees as ${bumped.hash}`, {
+          event: 'tx.rebroadcast',
+          hash: tx.hash,
+          replacement: bumped.hash,
+        });
+        broadcasts.push(bumped);
+        lastBroadcastAt = Date.now();
+      }
+    }
+
+    if (timeoutMs > 0 && Date.now() - startedAt >= timeoutMs) {
+      const message = `Transaction ${tx.hash} not confirmed after ${timeoutMs}ms`;
+      logger.error(`  ❌ ${message}`, { event: 'tx.failed', code: 'TIMEOUT', hash: tx.hash });
+      throw new TransactionError('TIMEOUT', message, { ...details, receipt });
+    }
+
+    await sleep(pollIntervalMs);
+  }
+}
+
+/**
+ * Check that the connected chain is the one the network configuration was written for.
+ * A mismatch is only accepted when the actual chain ID is explicitly allowed through
+ * CHAIN_ID_OVERRIDE, e.g. for a rehearsal against a local mainnet fork.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {number} expectedChainId - Chain ID from the network configuration
+ * @param {object} options - { override (defaults to process.env.CHAIN_ID_OVERRIDE), logger }
+ * @returns {Promise<object>} { chainId, expectedChainId, overridden }
+ * @throws {Error} If the chain ID does not match and is not overridden
+ */
+export async function checkChainId(hre, expectedChainId, options = {}) {
+  const { override = process.env.CHAIN_ID_OVERRIDE, logger = getLogger() } = options;
+  const chainId = (await hre.ethers.provider.getNetwork()).chainId;
+
+  if (expectedChainId === undefined || expectedChainId === null) {
+    logger.warn(`  ⚠️  No expectedChainId configured, connected to chain ${chainId}`);
+    return { chainId, expectedChainId: null, overridden: false };
+  }
+
+  if (chainId === BigInt(expectedChainId)) {
+    logger.info(`  ✅ Chain ID ${chainId} matches configuration`);
+    return { chainId, expectedChainId: BigInt(expectedChainId), overridden: false };
+  }
+
+  if (override && BigInt(override) === chainId) {
+    logger.warn(`  ⚠️  Chain ID ${chainId} does not match expected ${expectedChainId}`);
+    logger.warn(`     Proceeding because CHAIN_ID_OVERRIDE=${override} (fork rehearsal)`);
+    return { chainId, expectedChainId: BigInt(expectedChainId), overridden: true };
   }
+
+  throw new Error(
+    `Chain ID mismatch: configuration expects ${expectedChainId} but the RPC reports ${chainId}. ` +
+    `Set CHAIN_ID_OVERRIDE=${chainId} to deploy to this chain anyway (e.g. a forked-mainnet rehearsal)`
+  );
 }
 
 /**
@@ -30,18 +301,30 @@ export async function waitForTransaction(tx, confirmations = 1) {
  * @param {object} hre - Hardhat Runtime Environment
  * @param {string} contractName - Name of the contract to deploy
  * @param {Array} args - Constructor arguments
- * @param {object} options - Deployment options
+ * @param {object} options - Deployment options (signer (defaults to the first signer),
+ *   confirmations, gasLimit, create2: { salt, calls }, logger)
  * @returns {Promise<object>} Deployed contract instance
  */
 export async function deployContract(hre, contractName, args = [], options = {}) {
-  const { confirmations = 1, gasLimit = null } = options;
+  const { signer = null, confirmations = 1, gasLimit = null, create2 = null, logger = getLogger() } = options;
+
+  if (create2) {
+    const { contract } = await deployContractCreate2(hre, contractName, args, {
+      ...create2,
+      signer,
+      confirmations,
+      gasLimit,
+      logger,
+    });
+    return contract;
+  }
 
-  console.log(`\n📦 Deploying ${contractName}...`);
-  console.log(`  Arguments: ${JSON.stringify(args)}`);
+  logger.info(`\n📦 Deploying ${contractName}...`, { event: 'contract.deploying', contract: contractName });
+  logger.debug(`  Arguments: ${JSON.stringify(args, bigintReplacer)}`, { contract: contractName, args });
 
   try {
     // Get contract factory
-    const ContractFactory = await hre.ethers.getContractFactory(contractName);
+    const ContractFactory = await hre.ethers.getContractFactory(contractName, signer || undefined);
     
     // Prepare deployment transaction
     const deployTxData = {};
@@ -52,87 +335,411 @@ export async function deployContract(hre, contractName, args = [], options = {})
     // Deploy contract
     const contract = await ContractFactory.deploy(...args, deployTxData);
     
-    // Wait for deployment
-    await contract.waitForDeployment();
+    // Wait for deployment (a fee-bumped rebroadcast keeps the nonce, so the address is unchanged)
+    const receipt = await waitForTransaction(contract.deploymentTransaction(), confirmations, {
+      signer: ContractFactory.runner,
+      logger,
+    });
     const address = await contract.getAddress();
     
-    console.log(`  ✅ ${contractName} deployed to: ${address}`);
-    
-    // Wait for additional confirmations if specified
-    if (confirmations > 1) {
-      console.log(`  ⏳ Waiting for ${confirmations} confirmations...`);
-      await contract.deploymentTransaction().wait(confirmations);
-      console.log(`  ✅ ${confirmations} confirmations received`);
+    logger.info(`  ✅ ${contractName} deployed to: ${address}`, {
+      event: 'contract.deployed',
+      contract: contractName,
+      address,
+      transactionHash: receipt.hash,
+    });
+
+    if (receipt.hash !== contract.deploymentTransaction().hash) {
+      // Keep the transaction that actually deployed the contract for the deployment records
+      const deployTx = await hre.ethers.provider.getTransaction(receipt.hash);
+      return new hre.ethers.Contract(address, ContractFactory.interface, ContractFactory.runner, deployTx);
     }
 
     return contract;
   } catch (error) {
-    console.error(`  ❌ Deployment failed: ${error.message}`);
+    logger.error(`  ❌ Deployment failed: ${error.message}`, { event: 'contract.failed', contract: contractName });
     throw error;
   }
 }
 
 /**
- * Verify contract on block explorer
+ * Normalize a CREATE2 salt: 32-byte hex strings are used as-is, anything else is hashed
  * @param {object} hre - Hardhat Runtime Environment
- * @param {string} address - Contract address
- * @param {Array} constructorArguments - Constructor arguments
- * @returns {Promise<void>}
+ * @param {string} salt - Salt label or 32-byte hex value
+ * @returns {string} 32-byte salt
  */
-export async function verifyContract(hre, address, constructorArguments = []) {
-  console.log(`\n🔍 Verifying contract at ${address}...`);
-  
-  try {
-    await hre.run("verify:verify", {
+export function toCreate2Salt(hre, salt) {
+  return hre.ethers.isHexString(salt, 32) ? salt : hre.ethers.id(String(salt));
+}
+
+/**
+ * Bootstrap the deterministic deployment proxy if the chain does not have it yet.
+ * Funds the keyless signer and broadcasts the presigned creation transaction.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} funder - Signer paying for the bootstrap (defaults to first signer)
+ * @param {object} options - { logger }
+ * @returns {Promise<string>} Proxy address
+ */
+export async function ensureDeterministicDeploymentProxy(hre, funder = null, options = {}) {
+  const { logger = getLogger() } = options;
+  const provider = hre.ethers.provider;
+  const proxy = DETERMINISTIC_DEPLOYMENT_PROXY;
+
+  if (await provider.getCode(proxy.address) !== '0x') {
+    return proxy.address;
+  }
+
+  logger.info(`\n🏗️  Bootstrapping deterministic deployment proxy at ${proxy.address}...`);
+  const signer = funder || (await hre.ethers.getSigners())[0];
+  const required = proxy.gasPrice * proxy.gasLimit;
+  const balance = await provider.getBalance(proxy.signer);
+
+  if (balance < required) {
+    await waitForTransaction(await signer.sendTransaction({
+      to: proxy.signer,
+      value: required - balance,
+    }), 1, { logger });
+  }
+
+  const tx = await provider.broadcastTransaction(proxy.transaction);
+  await waitForTransaction(tx, 1, { logger });
+  logger.info(`  ✅ Deterministic deployment proxy available`);
+
+  return proxy.address;
+}
+
+/**
+ * Get the chain-independent address of the DeterministicDeployer factory
+ * @param {object} hre - Hardhat Runtime Environment
+ * @returns {Promise<string>} Factory address (whether or not it is deployed yet)
+ */
+export async function getCreate2FactoryAddress(hre) {
+  const { ethers } = hre;
+  const FactoryContract = await ethers.getContractFactory('DeterministicDeployer');
+
+  return ethers.getCreate2Address(
+    DETERMINISTIC_DEPLOYMENT_PROXY.address,
+    ethers.ZeroHash,
+    ethers.keccak256(FactoryContract.bytecode)
+  );
+}
+
+/**
+ * Ensure the DeterministicDeployer factory exists, deploying it through the proxy
+ * (so its address is identical on every chain) when missing.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} signer - Signer paying for the bootstrap (defaults to first signer)
+ * @param {object} options - { logger }
+ * @returns {Promise<object>} DeterministicDeployer contract instance
+ */
+export async function ensureCreate2Factory(hre, signer = null, options = {}) {
+  const { logger = getLogger() } = options;
+  const { ethers } = hre;
+  const proxyAddress = await ensureDeterministicDeploymentProxy(hre, signer, { logger });
+  const sender = signer || (await ethers.getSigners())[0];
+
+  const FactoryContract = await ethers.getContractFactory('DeterministicDeployer', sender);
+  const initCode = FactoryContract.bytecode;
+  const factoryAddress = await getCreate2FactoryAddress(hre);
+
+  if (await ethers.provider.getCode(factoryAddress) === '0x') {
+    logger.info(`\n🏗️  Deploying DeterministicDeployer to ${factoryAddress}...`);
+    await waitForTransaction(await sender.sendTransaction({
+      to: proxyAddress,
+      data: ethers.concat([ethers.ZeroHash, initCode]),
+    }), 1, { signer: sender, logger });
+  }
+
+  return FactoryContract.attach(factoryAddress);
+}
+
+/**
+ * Predict the CREATE2 address of a deployment made through DeterministicDeployer
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} params - { factoryAddress, deployer, salt, initCode }
+ * @returns {string} Predicted contract address
+ */
+export function predictCreate2Address(hre, { factoryAddress, deployer, salt, initCode }) {
+  const { ethers } = hre;
+  const guardedSalt = ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [deployer, toCreate2Salt(hre, salt)])
+  );
+
+  return ethers.getCreate2Address(factoryAddress, guardedSalt, ethers.keccak256(initCode));
+}
+
+/**
+ * Deploy a contract with CREATE2 through DeterministicDeployer.
+ * Skips the deployment if code already exists at the predicted address.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {string} contractName - Name of the contract to deploy
+ * @param {Array} args - Constructor arguments
+ * @param {object} options - { salt, calls, signer, confirmations, gasLimit, logger }
+ * @returns {Promise<object>} { contract, address, transactionHash, existed }
+ */
+export async function deployContractCreate2(hre, contractName, args = [], options = {}) {
+  const { salt, calls = [], signer = null, confirmations = 1, gasLimit = null, logger = getLogger() } = options;
+  const { ethers } = hre;
+
+  if (salt === undefined || salt === null) {
+    throw new Error(`CREATE2 deployment of ${contractName} requires a salt`);
+  }
+
+  const sender = signer || (await ethers.getSigners())[0];
+  const factory = await ensureCreate2Factory(hre, sender, { logger });
+  const ContractFactory = await ethers.getContractFactory(contractName, sender);
+  const { data: initCode } = await ContractFactory.getDeployTransaction(...args);
+
+  const address = predictCreate2Address(hre, {
+    factoryAddress: await factory.getAddress(),
+    deployer: sender.address,
+    salt,
+    initCode,
+  });
+
+  logger.info(`\n📦 Deploying ${contractName} with CREATE2...`, { event: 'contract.deploying', contract: contractName });
+  logger.debug(`  Arguments: ${JSON.stringify(args, bigintReplacer)}`, { contract: contractName, args });
+  logger.info(`  Predicted address: ${address}`, { contract: contractName, address });
+
+  if (await ethers.provider.getCode(address) !== '0x') {
+    logger.info(`  ⏭️  Code already exists at predicted address, skipping deployment`, {
+      event: 'contract.reused',
+      contract: contractName,
       address,
-      constructorArguments,
     });
-    console.log(`  ✅ Contract verified successfully`);
-  } catch (error) {
-    if (error.message.includes("Already Verified")) {
-      console.log(`  ℹ️  Contract already verified`);
-    } else {
-      console.error(`  ❌ Verification failed: ${error.message}`);
-      console.log(`  ℹ️  You can verify manually later with:`);
-      console.log(`     npx hardhat verify --network ${hre.network.name} ${address} ${constructorArguments.join(' ')}`);
+    return { contract: ContractFactory.attach(address), address, transactionHash: null, existed: true };
+  }
+
+  const txData = gasLimit ? { gasLimit } : {};
+  const tx = await factory.deploy(toCreate2Salt(hre, salt), initCode, calls, txData);
+  const receipt = await waitForTransaction(tx, confirmations, { signer: sender, logger });
+  logger.info(`  ✅ ${contractName} deployed to: ${address}`, {
+    event: 'contract.deployed',
+    contract: contractName,
+    address,
+    transactionHash: receipt.hash,
+  });
+
+  return { contract: ContractFactory.attach(address), address, transactionHash: receipt.hash, existed: false };
+}
+
+/**
+ * Errors of the hardhat-verify plugin that mean the explorer (or the RPC node) has not
+ * indexed the contract yet and a later retry can succeed
+ */
+const NOT_YET_INDEXED_PATTERNS = [
+  /does not have bytecode/i, // CONTRACT_VERIFICATION_MISSING_BYTECODE
+  /does not contain a contract/i, // ADDRESS_NOT_A_CONTRACT
+  /no bytecode found at address/i, // DEPLOYED_BYTECODE_NOT_FOUND
+  /unable to locate contractcode/i,
+  /not (yet )?indexed/i,
+];
+
+/**
+ * Check whether a verification error is transient because the explorer is still indexing
+ * @param {Error} error - Error thrown by hardhat-verify
+ * @returns {boolean} True if retrying later can succeed
+ */
+export function isNotYetIndexedError(error) {
+  return NOT_YET_INDEXED_PATTERNS.some((pattern) => pattern.test(error.message));
+}
+
+/**
+ * Runtime for hardhat-verify that targets the given connection instead of the global
+ * --network, with the Etherscan API key replaced when one is given
+ * @param {object} hre - Runtime environment from connectRuntime()
+ * @param {string} apiKey - Explorer API key, or undefined for the hardhat.config.ts one
+ * @returns {object} Runtime for verifyOnExplorer()
+ */
+function getVerificationRuntime(hre, apiKey) {
+  const { connection } = hre.network;
+  const { verify } = hre.config;
+
+  return {
+    ...hre,
+    network: { create: async () => connection ?? hre.network.create() },
+    config: apiKey === undefined
+      ? hre.config
+      : { ...hre.config, verify: { ...verify, etherscan: { ...verify.etherscan, apiKey: { get: async () => apiKey } } } },
+  };
+}
+
+/**
+ * Verify contract on block explorer with hardhat-verify's Etherscan verification, on the
+ * network `hre` is connected to. "Not yet indexed" errors are retried with exponential
+ * backoff (initialDelayMs, then doubling); other errors are reported with the manual
+ * verify command. Errors are never thrown; the result says what happened.
+ * @param {object} hre - Runtime environment from connectRuntime() (uses
+ *   `network.connection`, `network.name`, `config`, `artifacts` and `solidity`)
+ * @param {string} address - Contract address
+ * @param {Array} constructorArguments - Constructor arguments
+ * @param {object} options - { apiKey (the network's verification.apiKey; defaults to
+ *   verify.etherscan.apiKey in hardhat.config.ts), retries = 5, initialDelayMs = 5000,
+ *   sleep, verify (verification function, for tests), logger }
+ * @returns {Promise<object>} { address, status: 'verified' | 'already-verified' | 'failed',
+ *   reason (error message when failed, otherwise null), attempts }
+ */
+export async function verifyContract(hre, address, constructorArguments = [], options = {}) {
+  const {
+    apiKey = undefined,
+    retries = 5,
+    initialDelayMs = 5000,
+    sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    verify = verifyOnExplorer,
+    logger = getLogger(),
+  } = options;
+  logger.info(`\n🔍 Verifying contract at ${address}...`, { event: 'verify.started', address });
+
+  for (let attempt = 0; ; attempt++) {
+    const result = (status, reason = null) => {
+      logger.debug(`  Verification ${status} after ${attempt + 1} attempt(s)`, {
+        event: 'verify.finished',
+        address,
+        status,
+        reason,
+        attempts: attempt + 1,
+      });
+      return { address, status, reason, attempts: attempt + 1 };
+    };
+
+    try {
+      // Returns normally for contracts the explorer already lists as verified
+      await verify({ address, constructorArgs: constructorArguments }, getVerificationRuntime(hre, apiKey));
+      logger.info(`  ✅ Contract verified successfully`);
+      return result('verified');
+    } catch (error) {
+      // Submitted while the explorer verified it from another source (CONTRACT_ALREADY_VERIFIED)
+      if (/already verified/i.test(error.message)) {
+        logger.info(`  ℹ️  Contract already verified`);
+        return result('already-verified');
+      }
+      if (isNotYetIndexedError(error) && attempt < retries) {
+        const delay = initialDelayMs * 2 ** attempt;
+        logger.info(`  ⏳ Not indexed yet, retrying in ${delay / 1000}s (${attempt + 1}/${retries})...`, {
+          event: 'verify.retry',
+          address,
+          delayMs: delay,
+        });
+        await sleep(delay);
+        continue;
+      }
+      logger.error(`  ❌ Verification failed: ${error.message}`);
+      logger.info(`  ℹ️  You can verify manually later with:`);
+      logger.info(`     npx hardhat verify --network ${hre.network.name} ${address} ${constructorArguments.map((arg) => JSON.stringify(String(arg))).join(' ')}`);
+      return result('failed', error.message);
     }
   }
 }
 
 /**
- * Validate deployed contract by checking basic properties
+ * Summarize per-contract verification results for the deployment artifact
+ * @param {object} results - verifyContract() results keyed by contract name
+ * @returns {object} { completed, contracts: { name: { status, reason } } } where
+ *   `completed` is true only if there were results and none failed
+ */
+export function summarizeVerification(results) {
+  const entries = Object.entries(results);
+  return {
+    completed: entries.length > 0 && entries.every(([, result]) => result.status !== 'failed'),
+    contracts: Object.fromEntries(
+      entries.map(([name, { status, reason }]) => [name, { status, reason }])
+    ),
+  };
+}
+
+/**
+ * Validate deployed contract by checking basic properties. When `votingPeriodBlocks`
+ * is checked and a block time is known, the deployed voting period is also reported
+ * as a wall-clock duration.
  * @param {object} contract - Contract instance
  * @param {object} expectedProperties - Expected property values
+ * @param {object} options - { blockTimeSeconds (average seconds per block), logger }
  * @returns {Promise<boolean>}
  */
-export async function validateDeployment(contract, expectedProperties = {}) {
-  console.log(`\n✓ Validating deployment...`);
+export async function validateDeployment(contract, expectedProperties = {}, options = {}) {
+  const { blockTimeSeconds = null, logger = getLogger() } = options;
+  logger.info(`\n✓ Validating deployment...`);
   
   try {
     for (const [property, expectedValue] of Object.entries(expectedProperties)) {
       const actualValue = await contract[property]();
       
       if (actualValue.toString() !== expectedValue.toString()) {
-        console.error(`  ❌ Validation failed for ${property}`);
-        console.error(`     Expected: ${expectedValue}`);
-        console.error(`     Got: ${actualValue}`);
+        logger.error(`  ❌ Validation failed for ${property}`, {
+          event: 'validation.failed',
+          property,
+          expected: String(expectedValue),
+          actual: String(actualValue),
+        });
+        logger.error(`     Expected: ${expectedValue}`);
+        logger.error(`     Got: ${actualValue}`);
         return false;
       }
-      console.log(`  ✅ ${property}: ${actualValue}`);
+      logger.info(`  ✅ ${property}: ${actualValue}`);
+
+      if (property === 'votingPeriodBlocks' && blockTimeSeconds) {
+        logger.info(`  ⏱️  Effective voting period: ${describeVotingPeriod(Number(actualValue), blockTimeSeconds)}`);
+      }
     }
     return true;
   } catch (error) {
-    console.error(`  ❌ Validation error: ${error.message}`);
+    logger.error(`  ❌ Validation error: ${error.message}`);
     return false;
   }
 }
 
 /**
- * Save deployment information to file
+ * Describe a voting period in blocks as wall-clock time
+ * @param {number} votingPeriodBlocks - Voting period in blocks
+ * @param {number} blockTimeSeconds - Average seconds per block
+ * @returns {string} e.g. "~7d (50400 blocks at 12s/block)"
+ */
+export function describeVotingPeriod(votingPeriodBlocks, blockTimeSeconds) {
+  const seconds = votingPeriodBlocks * blockTimeSeconds;
+  return `~${formatDuration(seconds)} (${votingPeriodBlocks} blocks at ${Number(blockTimeSeconds.toFixed(2))}s/block)`;
+}
+
+/**
+ * Transfer ownership of an Ownable contract, skipping if the target already owns it
+ * @param {object} contract - Ownable contract instance connected to the current owner
+ * @param {string} newOwner - Address of the new owner (multisig, timelock or DAO)
+ * @param {object} options - { confirmations, logger }
+ * @returns {Promise<object>} { previousOwner, newOwner, transactionHash, blockNumber }
+ */
+export async function transferOwnership(contract, newOwner, options = {}) {
+  const { confirmations = 1, logger = getLogger() } = options;
+  const address = await contract.getAddress();
+  const previousOwner = await contract.owner();
+
+  if (previousOwner.toLowerCase() === newOwner.toLowerCase()) {
+    logger.info(`\nℹ️  ${address} is already owned by ${newOwner}`);
+    return { previousOwner, newOwner: previousOwner, transactionHash: null, blockNumber: null };
+  }
+
+  logger.info(`\n🔑 Transferring ownership of ${address}`, {
+    event: 'ownership.transferring',
+    address,
+    previousOwner,
+    newOwner,
+  });
+  logger.info(`  From: ${previousOwner}`);
+  logger.info(`  To:   ${newOwner}`);
+
+  const tx = await contract.transferOwnership(newOwner);
+  const receipt = await waitForTransaction(tx, confirmations, { signer: contract.runner, logger });
+
+  return { previousOwner, newOwner, transactionHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+/**
+ * Save deployment information to file and make it the active deployment
  * @param {string} network - Network name
  * @param {object} deploymentInfo - Deployment information
+ * @param {object} options - { logger }
+ * @returns {{ id: string, filepath: string }} Registry id and path of the saved file
  */
-export function saveDeployment(network, deploymentInfo) {
+export function saveDeployment(network, deploymentInfo, options = {}) {
+  const { logger = getLogger() } = options;
   const deploymentsDir = path.join(process.cwd(), 'deployments');
   
   // Create deployments directory if it doesn't exist
@@ -141,7 +748,13 @@ export function saveDeployment(network, deploymentInfo) {
   }
 
   const timestamp = new Date().toISOString();
-  const filename = `${network}-${Date.now()}.json`;
+  // The id is the save time in ms, bumped if two saves land in the same millisecond
+  let ms = Date.now();
+  while (fs.existsSync(path.join(deploymentsDir, `${network}-${ms}.json`))) {
+    ms += 1;
+  }
+  const id = String(ms);
+  const filename = `${network}-${id}.json`;
   const filepath = path.join(deploymentsDir, filename);
 
   const data = {
@@ -150,21 +763,28 @@ export function saveDeployment(network, deploymentInfo) {
     ...deploymentInfo,
   };
 
-  fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
-  console.log(`\n💾 Deployment info saved to: ${filepath}`);
+  fs.writeFileSync(filepath, JSON.stringify(data, bigintReplacer, 2));
+  logger.info(`\n💾 Deployment info saved to: ${filepath}`, { event: 'deployment.saved', network, id, filepath });
 
   // Also save as latest deployment
   const latestFilepath = path.join(deploymentsDir, `${network}-latest.json`);
-  fs.writeFileSync(latestFilepath, JSON.stringify(data, null, 2));
-  console.log(`💾 Latest deployment saved to: ${latestFilepath}`);
+  fs.writeFileSync(latestFilepath, JSON.stringify(data, bigintReplacer, 2));
+  logger.info(`💾 Latest deployment saved to: ${latestFilepath}`);
+
+  // A new deployment replaces any earlier rollback as the active one
+  setActiveDeploymentId(network, id);
+
+  return { id, filepath };
 }
 
 /**
  * Load latest deployment for a network
  * @param {string} network - Network name
+ * @param {object} options - { logger }
  * @returns {object|null} Deployment information or null if not found
  */
-export function loadLatestDeployment(network) {
+export function loadLatestDeployment(network, options = {}) {
+  const { logger = getLogger() } = options;
   const filepath = path.join(process.cwd(), 'deployments', `${network}-latest.json`);
   
   if (!fs.existsSync(filepath)) {
@@ -175,85 +795,516 @@ export function loadLatestDeployment(network) {
     const data = fs.readFileSync(filepath, 'utf8');
     return JSON.parse(data);
   } catch (error) {
-    console.error(`Error loading deployment: ${error.message}`);
+    logger.error(`Error loading deployment: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the path of the per-step deployment journal for a network
+ * @param {string} network - Network name
+ * @returns {string} Journal file path
+ */
+function getJournalPath(network) {
+  return path.join(process.cwd(), 'deployments', `${network}-journal.json`);
+}
+
+/**
+ * Load the per-step deployment journal for a network
+ * @param {string} network - Network name
+ * @param {object} options - { logger }
+ * @returns {object|null} Journal contents or null if not found
+ */
+export function loadDeploymentJournal(network, options = {}) {
+  const { logger = getLogger() } = options;
+  const filepath = getJournalPath(network);
+
+  if (!fs.existsSync(filepath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  } catch (error) {
+    logger.error(`Error loading deployment journal: ${error.message}`);
     return null;
   }
 }
 
+/**
+ * Record a completed deployment step in the journal so an interrupted run can resume
+ * @param {string} network - Network name
+ * @param {string} contractName - Name of the deployed contract
+ * @param {object} step - Step details (address, constructorArgs, transactionHash)
+ * @param {object} options - { logger }
+ */
+export function recordDeploymentStep(network, contractName, step, options = {}) {
+  const { logger = getLogger() } = options;
+  const filepath = getJournalPath(network);
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+
+  const journal = loadDeploymentJournal(network, { logger }) || { network, steps: {} };
+  journal.steps[contractName] = {
+    ...step,
+    recordedAt: new Date().toISOString(),
+  };
+
+  fs.writeFileSync(filepath, JSON.stringify(journal, bigintReplacer, 2));
+  logger.debug(`  📝 Journaled ${contractName} step`, { event: 'journal.recorded', network, contract: contractName });
+}
+
+/**
+ * Remove the deployment journal once the full deployment has been saved
+ * @param {string} network - Network name
+ */
+export function clearDeploymentJournal(network) {
+  const filepath = getJournalPath(network);
+
+  if (fs.existsSync(filepath)) {
+    fs.unlinkSync(filepath);
+  }
+}
+
+/**
+ * Check whether a previously recorded contract can be reused instead of redeployed.
+ * The recorded creation transaction must have produced code at the recorded address
+ * with exactly the bytecode and constructor arguments we would deploy now.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {string} contractName - Name of the contract
+ * @param {Array} args - Constructor arguments for the planned deployment
+ * @param {object} record - Recorded deployment (address, constructorArgs, transactionHash)
+ * @param {object} options - { logger }
+ * @returns {Promise<boolean>}
+ */
+export async function isDeploymentReusable(hre, contractName, args, record, options = {}) {
+  const { logger = getLogger() } = options;
+  if (!record?.address || !record.transactionHash) {
+    return false;
+  }
+
+  const recordedArgs = JSON.stringify(record.constructorArgs || [], bigintReplacer);
+  if (recordedArgs !== JSON.stringify(args, bigintReplacer)) {
+    logger.info(`  ℹ️  Recorded ${contractName} was deployed with different arguments`);
+    return false;
+  }
+
+  const provider = hre.ethers.provider;
+  const code = await provider.getCode(record.address);
+  if (code === '0x') {
+    logger.info(`  ℹ️  No code found at recorded ${contractName} address ${record.address}`);
+    return false;
+  }
+
+  const [tx, receipt] = await Promise.all([
+    provider.getTransaction(record.transactionHash),
+    provider.getTransactionReceipt(record.transactionHash),
+  ]);
+  if (!tx || !receipt || receipt.status !== 1 ||
+      receipt.contractAddress?.toLowerCase() !== record.address.toLowerCase()) {
+    logger.info(`  ℹ️  Recorded ${contractName} creation transaction not found on this chain`);
+    return false;
+  }
+
+  const ContractFactory = await hre.ethers.getContractFactory(contractName);
+  const expectedTx = await ContractFactory.getDeployTransaction(...args);
+  if (tx.data !== expectedTx.data) {
+    logger.info(`  ℹ️  Recorded ${contractName} bytecode does not match the current build`);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find a recorded deployment of a contract that can be reused on this network.
+ * The per-step journal is consulted first, then the latest saved deployment.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {string} network - Network name
+ * @param {string} contractName - Name of the contract
+ * @param {Array} args - Constructor arguments for the planned deployment
+ * @param {object} options - { logger }
+ * @returns {Promise<object|null>} Reusable record or null
+ */
+export async function findReusableDeployment(hre, network, contractName, args, options = {}) {
+  const { logger = getLogger() } = options;
+  const candidates = [
+    loadDeploymentJournal(network, { logger })?.steps?.[contractName],
+    loadLatestDeployment(network, { logger })?.contracts?.[contractName],
+  ];
+
+  for (const record of candidates) {
+    if (record && await isDeploymentReusable(hre, contractName, args, record, { logger })) {
+      return record;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Deploy a contract unless a matching deployment is already recorded on-chain.
+ * Looks at the per-step journal first, then the latest saved deployment, and
+ * journals every fresh deployment so a failed run resumes at the first missing step.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {string} contractName - Name of the contract to deploy
+ * @param {Array} args - Constructor arguments
+ * @param {object} options - Deployment options (network, fresh, plus deployContract options;
+ *   the returned contract is connected to `signer`)
+ * @returns {Promise<object>} { contract, address, transactionHash, reused }
+ */
+export async function deployOrResume(hre, contractName, args = [], options = {}) {
+  const {
+    network = hre.network.name,
+    fresh = process.env.FRESH_DEPLOYMENT === 'true',
+    ...deployOptions
+  } = options;
+  const { logger = getLogger() } = deployOptions;
+
+  // CREATE2 deployments are idempotent on their own: existing code at the predicted address is reused
+  if (deployOptions.create2) {
+    const { create2, ...rest } = deployOptions;
+    const result = await deployContractCreate2(hre, contractName, args, { ...rest, ...create2, logger });
+    const journaled = loadDeploymentJournal(network, { logger })?.steps?.[contractName];
+    const transactionHash = result.transactionHash
+      || (journaled?.address === result.address ? journaled.transactionHash : null);
+
+    recordDeploymentStep(network, contractName, {
+      address: result.address,
+      constructorArgs: args,
+      transactionHash,
+      create2: { salt: create2.salt },
+    }, { logger });
+
+    return { contract: result.contract, address: result.address, transactionHash, reused: result.existed };
+  }
+
+  const record = fresh ? null : await findReusableDeployment(hre, network, contractName, args, { logger });
+  if (record) {
+    logger.info(`\n♻️  Reusing existing ${contractName} at ${record.address}`, {
+      event: 'contract.reused',
+      contract: contractName,
+      address: record.address,
+    });
+    recordDeploymentStep(network, contractName, {
+      address: record.address,
+      constructorArgs: args,
+      transactionHash: record.transactionHash,
+    }, { logger });
+
+    const contract = await hre.ethers.getContractAt(contractName, record.address, deployOptions.signer || undefined);
+    return {
+      contract,
+      address: record.address,
+      transactionHash: record.transactionHash,
+      reused: true,
+    };
+  }
+
+  const contract = await deployContract(hre, contractName, args, { ...deployOptions, logger });
+  const address = await contract.getAddress();
+  const transactionHash = contract.deploymentTransaction().hash;
+
+  recordDeploymentStep(network, contractName, {
+    address,
+    constructorArgs: args,
+    transactionHash,
+  }, { logger });
+
+  return { contract, address, transactionHash, reused: false };
+}
+
+/**
+ * Get the current fee market, split into EIP-1559 base and priority fees when available
+ * @param {object} hre - Hardhat Runtime Environment
+ * @returns {Promise<object>} Fee breakdown with expected and worst-case gas prices
+ */
+export async function getFeeBreakdown(hre) {
+  const provider = hre.ethers.provider;
+  const [feeData, block] = await Promise.all([
+    provider.getFeeData(),
+    provider.getBlock('latest'),
+  ]);
+
+  const baseFeePerGas = block?.baseFeePerGas ?? null;
+  if (baseFeePerGas !== null && feeData.maxFeePerGas !== null) {
+    const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas ?? 0n;
+    return {
+      type: 'eip1559',
+      baseFeePerGas,
+      maxPriorityFeePerGas,
+      maxFeePerGas: feeData.maxFeePerGas,
+      expectedGasPrice: baseFeePerGas + maxPriorityFeePerGas,
+      maxGasPrice: feeData.maxFeePerGas,
+    };
+  }
+
+  return {
+    type: 'legacy',
+    baseFeePerGas: null,
+    maxPriorityFeePerGas: null,
+    maxFeePerGas: null,
+    expectedGasPrice: feeData.gasPrice,
+    maxGasPrice: feeData.gasPrice,
+  };
+}
+
 /**
  * Estimate gas for deployment
  * @param {object} hre - Hardhat Runtime Environment
  * @param {string} contractName - Contract name
  * @param {Array} args - Constructor arguments
+ * @param {object} options - Estimation options (from, fees, logger)
  * @returns {Promise<object>} Gas estimation
  */
-export async function estimateDeploymentGas(hre, contractName, args = []) {
-  console.log(`\n⛽ Estimating gas for ${contractName} deployment...`);
+export async function estimateDeploymentGas(hre, contractName, args = [], options = {}) {
+  const { logger = getLogger() } = options;
+  logger.info(`\n⛽ Estimating gas for ${contractName} deployment...`);
   
   try {
     const ContractFactory = await hre.ethers.getContractFactory(contractName);
-    const deployTransaction = ContractFactory.getDeployTransaction(...args);
+    const deployTransaction = await ContractFactory.getDeployTransaction(...args);
+    if (options.from) {
+      deployTransaction.from = options.from;
+    }
     
     const gasEstimate = await hre.ethers.provider.estimateGas(deployTransaction);
-    const gasPrice = await hre.ethers.provider.getFeeData();
+    const fees = options.fees || await getFeeBreakdown(hre);
     
-    const estimatedCost = gasEstimate * (gasPrice.gasPrice || gasPrice.maxFeePerGas);
+    const estimatedCost = gasEstimate * fees.expectedGasPrice;
+    const maxCost = gasEstimate * fees.maxGasPrice;
     
-    console.log(`  Gas estimate: ${gasEstimate.toString()}`);
-    console.log(`  Gas price: ${hre.ethers.formatUnits(gasPrice.gasPrice || gasPrice.maxFeePerGas, 'gwei')} gwei`);
-    console.log(`  Estimated cost: ${hre.ethers.formatEther(estimatedCost)} ETH`);
+    logger.info(`  Gas estimate: ${gasEstimate.toString()}`, {
+      event: 'gas.estimated',
+      contract: contractName,
+      gasEstimate,
+      gasPrice: fees.expectedGasPrice,
+      estimatedCost,
+      maxCost,
+    });
+    if (fees.type === 'eip1559') {
+      logger.info(`  Base fee: ${hre.ethers.formatUnits(fees.baseFeePerGas, 'gwei')} gwei`);
+      logger.info(`  Priority fee: ${hre.ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')} gwei`);
+    }
+    logger.info(`  Gas price: ${hre.ethers.formatUnits(fees.expectedGasPrice, 'gwei')} gwei`);
+    logger.info(`  Estimated cost: ${hre.ethers.formatEther(estimatedCost)} ETH (max ${hre.ethers.formatEther(maxCost)} ETH)`);
     
     return {
       gasEstimate,
-      gasPrice: gasPrice.gasPrice || gasPrice.maxFeePerGas,
+      gasPrice: fees.expectedGasPrice,
       estimatedCost,
+      maxCost,
+      fees,
     };
   } catch (error) {
-    console.error(`  ❌ Gas estimation failed: ${error.message}`);
+    logger.error(`  ❌ Gas estimation failed: ${error.message}`, { event: 'gas.failed', contract: contractName });
     throw error;
   }
 }
 
+/**
+ * Estimate the cost of a whole deployment sequence sent from one account.
+ * Contracts deployed later in the sequence can take earlier addresses as constructor
+ * args: each step's `args` may be a function of the addresses resolved so far, using
+ * the CREATE address predicted from the deployer nonce for contracts not yet deployed.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} deployer - Deployer signer
+ * @param {Array<object>} deployments - Steps: { contractName, args: Array | (addresses) => Array }
+ * @param {object} options - { setupSteps: [{ label, gasLimit, value }] (`value` is ETH sent
+ *   along, e.g. to fund another account), findExisting(contractName, args),
+ *   predictAddress(contractName, args) to override CREATE address prediction (e.g. CREATE2),
+ *   logger }
+ * @returns {Promise<object>} Per-step estimates, setup estimates, fees and totals
+ */
+export async function estimateDeploymentSequence(hre, deployer, deployments, options = {}) {
+  const {
+    setupSteps = [],
+    findExisting = async () => null,
+    predictAddress = null,
+    logger = getLogger(),
+  } = options;
+  const { ethers } = hre;
+
+  const fees = await getFeeBreakdown(hre);
+  let nonce = await ethers.provider.getTransactionCount(deployer.address, 'pending');
+  const addresses = {};
+  const steps = [];
+
+  for (const { contractName, args } of deployments) {
+    const resolvedArgs = typeof args === 'function' ? args(addresses) : args;
+    const existing = await findExisting(contractName, resolvedArgs);
+
+    if (existing) {
+      addresses[contractName] = existing.address;
+      steps.push({
+        contractName,
+        args: resolvedArgs,
+        address: existing.address,
+        reused: true,
+        gasEstimate: 0n,
+        estimatedCost: 0n,
+        maxCost: 0n,
+      });
+      continue;
+    }
+
+    const address = predictAddress
+      ? await predictAddress(contractName, resolvedArgs)
+      : ethers.getCreateAddress({ from: deployer.address, nonce });
+    const gas = await estimateDeploymentGas(hre, contractName, resolvedArgs, {
+      from: deployer.address,
+      fees,
+      logger,
+    });
+
+    addresses[contractName] = address;
+    nonce++;
+    steps.push({
+      contractName,
+      args: resolvedArgs,
+      address,
+      reused: false,
+      gasEstimate: gas.gasEstimate,
+      estimatedCost: gas.estimatedCost,
+      maxCost: gas.maxCost,
+    });
+  }
+
+  const setup = setupSteps.map(({ label, gasLimit, value = 0n }) => ({
+    label,
+    gasEstimate: BigInt(gasLimit),
+    value: BigInt(value),
+    estimatedCost: BigInt(gasLimit) * fees.expectedGasPrice + BigInt(value),
+    maxCost: BigInt(gasLimit) * fees.maxGasPrice + BigInt(value),
+  }));
+
+  const all = [...steps, ...setup];
+  const sum = (key) => all.reduce((total, item) => total + item[key], 0n);
+
+  return {
+    fees,
+    addresses,
+    steps,
+    setup,
+    totals: {
+      gasEstimate: sum('gasEstimate'),
+      estimatedCost: sum('estimatedCost'),
+      maxCost: sum('maxCost'),
+    },
+  };
+}
+
 /**
  * Check if deployer has sufficient balance
  * @param {object} hre - Hardhat Runtime Environment
  * @param {object} deployer - Deployer signer
  * @param {bigint} requiredAmount - Required amount in wei
+ * @param {object} options - { logger }
  * @returns {Promise<boolean>}
  */
-export async function checkBalance(hre, deployer, requiredAmount) {
+export async function checkBalance(hre, deployer, requiredAmount, options = {}) {
+  const { logger = getLogger() } = options;
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   
-  console.log(`\n💰 Deployer balance: ${hre.ethers.formatEther(balance)} ETH`);
-  console.log(`   Required: ${hre.ethers.formatEther(requiredAmount)} ETH`);
+  logger.info(`\n💰 Deployer balance: ${hre.ethers.formatEther(balance)} ETH`, {
+    event: 'balance.checked',
+    deployer: deployer.address,
+    balance,
+    requiredAmount,
+  });
+  logger.info(`   Required: ${hre.ethers.formatEther(requiredAmount)} ETH`);
   
   if (balance < requiredAmount) {
-    console.error(`  ❌ Insufficient balance!`);
+    logger.error(`  ❌ Insufficient balance!`);
     return false;
   }
   
-  console.log(`  ✅ Sufficient balance`);
+  logger.info(`  ✅ Sufficient balance`);
   return true;
 }
 
+/**
+ * Networks where a deployment must be confirmed by typing the network name
+ */
+export const MAINNET_CLASS_NETWORKS = ['mainnet', 'polygon', 'arbitrum'];
+
+/**
+ * Ask a single question on an input stream, resolving with '' if the stream closes first
+ * @param {string} question - Prompt text
+ * @param {object} input - Readable stream
+ * @param {object} output - Writable stream
+ * @returns {Promise<string>} Trimmed answer
+ */
+function ask(question, input, output) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input, output, terminal: false });
+    let answered = false;
+
+    rl.question(question, (answer) => {
+      answered = true;
+      rl.close();
+      resolve(answer.trim());
+    });
+    rl.on('close', () => {
+      if (!answered) {
+        resolve('');
+      }
+    });
+  });
+}
+
 /**
  * Wait for user confirmation before proceeding
  * @param {string} message - Confirmation message
+ * @param {object} options - Prompt options
+ * @param {object} options.details - { network, chainId, deployer, estimatedCost, contracts: [{ name, args }] }
+ * @param {boolean} options.requireNetworkName - Require typing the network name instead of y/N
+ * @param {object} options.input - Readable stream to read the answer from (default process.stdin)
+ * @param {object} options.output - Writable stream for the prompt (default process.stdout)
+ * @param {object} options.logger - Logger (defaults to getLogger())
  * @returns {Promise<boolean>}
  */
-export async function confirmDeployment(message) {
+export async function confirmDeployment(message, options = {}) {
+  const {
+    details = null,
+    requireNetworkName = false,
+    input = process.stdin,
+    output = process.stdout,
+    logger = getLogger(),
+  } = options;
+
   if (process.env.AUTO_CONFIRM === 'true') {
     return true;
   }
 
-  console.log(`\n⚠️  ${message}`);
-  console.log(`   Set AUTO_CONFIRM=true to skip confirmations`);
+  logger.info(`\n⚠️  ${message}`, { event: 'confirmation.requested', ...details });
+  if (details) {
+    logger.info(`   Network:        ${details.network}`);
+    logger.info(`   Chain ID:       ${details.chainId}`);
+    logger.info(`   Deployer:       ${details.deployer}`);
+    if (details.estimatedCost !== undefined && details.estimatedCost !== null) {
+      logger.info(`   Estimated cost: ${details.estimatedCost} ETH`);
+    }
+    for (const contract of details.contracts || []) {
+      logger.info(`   ${contract.name} args: ${JSON.stringify(contract.args, bigintReplacer)}`);
+    }
+  }
+  logger.info(`   Set AUTO_CONFIRM=true to skip confirmations`);
   
   // For automated environments, return true
-  if (!process.stdin.isTTY) {
-    console.log(`   Non-interactive mode detected, proceeding...`);
+  if (!input.isTTY) {
+    logger.info(`   Non-interactive mode detected, proceeding...`);
     return true;
   }
 
-  return true; // In production, you might want to add readline for interactive confirmation
+  if (requireNetworkName) {
+    const expected = details?.network;
+    if (!expected) {
+      throw new Error('requireNetworkName needs details.network');
+    }
+    const answer = await ask(`   Type the network name (${expected}) to continue: `, input, output);
+    return answer === expected;
+  }
+
+  const answer = await ask('   Continue? (y/N): ', input, output);
+  return /^y(es)?$/i.test(answer);
 }
@@ -0,0 +1,481 @@
+/**
+ * Deployment Plan (Dry Run)
+ *
+ * Builds a reviewable description of what deploy.js is about to do without
+ * sending any transaction: resolved configuration, constructor arguments,
+ * predicted addresses, gas estimates and the post-deployment checks.
+ */
+
+import {
+  DETERMINISTIC_DEPLOYMENT_PROXY,
+  estimateDeploymentSequence,
+  findReusableDeployment,
+  getCreate2FactoryAddress,
+  predictCreate2Address,
+} from './deployment-helpers.js';
+import { getLogger } from './logger.js';
+import { loadAllocations } from './token-distribution.js';
+import { formatDuration, resolveTimelockDelay } from './voting-period.js';
+
+/**
+ * DAOVoting constructor parameters in CREATE2 mode. They are the same on every network,
+ * so the address only depends on the salt, the deployer and the token; the factory then
+ * applies the network's settings through the setters (see getCreate2Options()).
+ */
+export const CREATE2_DAO_PARAMS = {
+  quorumNumerator: 1,
+  votingPeriodBlocks: 1,
+  timelockDelay: 0,
+  proposalThreshold: 0n,
+  maxActiveProposals: 0,
+};
+
+/**
+ * DAOVoting setter for each parameter, in the order the factory calls them
+ */
+const DAO_SETTERS = {
+  quorumNumerator: 'setQuorumNumerator',
+  votingPeriodBlocks: 'setVotingPeriodBlocks',
+  timelockDelay: 'setTimelockDelay',
+  proposalThreshold: 'setProposalThreshold',
+  maxActiveProposals: 'setMaxActiveProposals',
+};
+
+/**
+ * DAOVoting parameters of a configuration
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Validated network configuration
+ * @returns {object} { quorumNumerator, votingPeriodBlocks, timelockDelay (seconds),
+ *   proposalThreshold (wei), maxActiveProposals }
+ */
+function getDaoParams(hre, config) {
+  return {
+    quorumNumerator: config.dao.quorumNumerator,
+    votingPeriodBlocks: config.dao.votingPeriodBlocks,
+    timelockDelay: resolveTimelockDelay(config),
+    proposalThreshold: hre.ethers.parseUnits(config.dao.proposalThreshold || '0', 18),
+    maxActiveProposals: config.dao.maxActiveProposals ?? 0,
+  };
+}
+
+/**
+ * TestToken constructor arguments. In CREATE2 mode the factory mints the supply after
+ * the deployment, so the address does not depend on it.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Validated network configuration
+ * @returns {Array} [name, symbol, initialSupply]
+ */
+export function getTokenArgs(hre, config) {
+  const supply = config.create2?.salt ? 0n : hre.ethers.parseUnits(config.token.initialSupply, 18);
+  return [config.token.name, config.token.symbol, supply];
+}
+
+/**
+ * DAOVoting constructor arguments, with CREATE2_DAO_PARAMS in CREATE2 mode
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Validated network configuration
+ * @param {string} tokenAddress - TestToken address
+ * @returns {Array} [token, quorumNumerator, votingPeriodBlocks, timelockDelay,
+ *   proposalThreshold, maxActiveProposals]
+ */
+export function getDaoArgs(hre, config, tokenAddress) {
+  const params = config.create2?.salt ? CREATE2_DAO_PARAMS : getDaoParams(hre, config);
+  return [
+    tokenAddress,
+    params.quorumNumerator,
+    params.votingPeriodBlocks,
+    params.timelockDelay,
+    params.proposalThreshold,
+    params.maxActiveProposals,
+  ];
+}
+
+/**
+ * Ordered contract deployments for the DAO system. DAOVoting receives the
+ * TestToken address resolved (or predicted) by the time it is reached.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Validated network configuration
+ * @returns {Array<object>} Steps for estimateDeploymentSequence()
+ */
+export function getDeploymentSteps(hre, config) {
+  return [
+    { contractName: 'TestToken', args: getTokenArgs(hre, config) },
+    { contractName: 'DAOVoting', args: (addresses) => getDaoArgs(hre, config, addresses.TestToken) },
+  ];
+}
+
+/**
+ * Gas allowance for post-deployment setup transactions, used when they cannot be
+ * estimated because the contracts they call do not exist yet
+ */
+export const SETUP_GAS_LIMITS = {
+  transferOwnership: 60000n,
+  transfer: 80000n,
+  mint: 100000n,
+  setQuorumNumerator: 50000n,
+  setVotingPeriodBlocks: 50000n,
+  setTimelockDelay: 50000n,
+  setProposalThreshold: 50000n,
+  setMaxActiveProposals: 50000n,
+  delegate: 120000n,
+  delegateBySig: 120000n,
+  fundProxySigner: 21000n,
+  create2Factory: 600000n,
+};
+
+/**
+ * Post-deployment setup transactions the deploy script will send for a configuration
+ * @param {object} config - Validated network configuration
+ * @returns {Array<object>} Setup steps for estimateDeploymentSequence() ({ label, gasLimit })
+ */
+export function getSetupSteps(config) {
+  const steps = [];
+  const allocations = loadAllocations(config.distribution);
+
+  allocations.forEach((allocation) => {
+    steps.push({ label: `TestToken.transfer(${allocation.address})`, gasLimit: SETUP_GAS_LIMITS.transfer });
+    if (allocation.delegation) {
+      steps.push({ label: `TestToken.delegateBySig(${allocation.address})`, gasLimit: SETUP_GAS_LIMITS.delegateBySig });
+    }
+  });
+  if (config.distribution?.delegateDeployer) {
+    steps.push({ label: 'TestToken.delegate(deployer)', gasLimit: SETUP_GAS_LIMITS.delegate });
+  }
+
+  if (config.handoff?.tokenOwner) {
+    steps.push({ label: 'TestToken.transferOwnership', gasLimit: SETUP_GAS_LIMITS.transferOwnership });
+  }
+  if (config.handoff?.daoOwner) {
+    steps.push({ label: 'DAOVoting.transferOwnership', gasLimit: SETUP_GAS_LIMITS.transferOwnership });
+  }
+
+  return steps;
+}
+
+/**
+ * Resolve the configured post-deployment owners. The value "dao" hands a contract
+ * to the deployed DAOVoting contract itself.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Validated network configuration
+ * @param {object} addresses - Deployed addresses ({ daoAddress })
+ * @returns {object} { TestToken: address|null, DAOVoting: address|null }
+ */
+export function resolveHandoff(hre, config, { daoAddress }) {
+  const resolve = (owner) => {
+    if (!owner) {
+      return null;
+    }
+    return hre.ethers.getAddress(owner === 'dao' ? daoAddress : owner);
+  };
+
+  return {
+    TestToken: resolve(config.handoff?.tokenOwner),
+    DAOVoting: resolve(config.handoff?.daoOwner),
+  };
+}
+
+/**
+ * CREATE2 options per contract when `config.create2.salt` is set, otherwise null.
+ * Both contracts make msg.sender (the factory) their owner, so follow-up calls mint the
+ * supply to the deployer, apply the network's DAOVoting settings that differ from
+ * CREATE2_DAO_PARAMS and hand ownership back to the deployer.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Validated network configuration
+ * @param {object} deployer - Deployer signer
+ * @returns {Promise<object|null>} { TestToken: { salt, calls }, DAOVoting: { salt, calls } }
+ */
+export async function getCreate2Options(hre, config, deployer) {
+  if (!config.create2?.salt) {
+    return null;
+  }
+
+  const [TokenFactory, DAOFactory] = await Promise.all([
+    hre.ethers.getContractFactory('TestToken'),
+    hre.ethers.getContractFactory('DAOVoting'),
+  ]);
+  const supply = hre.ethers.parseUnits(config.token.initialSupply, 18);
+  const params = getDaoParams(hre, config);
+
+  return {
+    TestToken: {
+      salt: config.create2.salt,
+      calls: [
+        ...(supply > 0n ? [TokenFactory.interface.encodeFunctionData('mint', [deployer.address, supply])] : []),
+        TokenFactory.interface.encodeFunctionData('transferOwnership', [deployer.address]),
+      ],
+    },
+    DAOVoting: {
+      salt: config.create2.salt,
+      calls: [
+        ...Object.entries(DAO_SETTERS)
+          .filter(([name]) => BigInt(params[name]) !== BigInt(CREATE2_DAO_PARAMS[name]))
+          .map(([name, setter]) => DAOFactory.interface.encodeFunctionData(setter, [params[name]])),
+        DAOFactory.interface.encodeFunctionData('transferOwnership', [deployer.address]),
+      ],
+    },
+  };
+}
+
+/**
+ * Transactions sent in CREATE2 mode besides the deployments themselves: bootstrapping
+ * the deterministic deployment proxy and deploying the DeterministicDeployer factory on
+ * chains that lack them, and the factory calls minting the supply, applying the DAOVoting
+ * settings and handing ownership back to the deployer
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Validated network configuration
+ * @param {object} deployer - Deployer signer
+ * @returns {Promise<Array<object>>} Setup steps for estimateDeploymentSequence()
+ *   ({ label, gasLimit, value }), empty for plain CREATE
+ */
+export async function getCreate2SetupSteps(hre, config, deployer) {
+  const create2 = await getCreate2Options(hre, config, deployer);
+  if (!create2) {
+    return [];
+  }
+
+  const { provider } = hre.ethers;
+  const proxy = DETERMINISTIC_DEPLOYMENT_PROXY;
+  const steps = [];
+
+  if (await provider.getCode(proxy.address) === '0x') {
+    // The keyless signer pays for the presigned proxy creation out of this transfer
+    const required = proxy.gasPrice * proxy.gasLimit;
+    const balance = await provider.getBalance(proxy.signer);
+    if (balance < required) {
+      steps.push({
+        label: `Fund deterministic deployment proxy signer ${proxy.signer}`,
+        gasLimit: SETUP_GAS_LIMITS.fundProxySigner,
+        value: required - balance,
+      });
+    }
+  }
+  if (await provider.getCode(await getCreate2FactoryAddress(hre)) === '0x') {
+    steps.push({ label: 'Deploy DeterministicDeployer through the proxy', gasLimit: SETUP_GAS_LIMITS.create2Factory });
+  }
+
+  for (const [contractName, { calls }] of Object.entries(create2)) {
+    const { interface: contractInterface } = await hre.ethers.getContractFactory(contractName);
+    calls.forEach((data) => {
+      const { name } = contractInterface.parseTransaction({ data });
+      steps.push({ label: `${contractName}.${name} from the CREATE2 factory`, gasLimit: SETUP_GAS_LIMITS[name] });
+    });
+  }
+
+  return steps;
+}
+
+/**
+ * Build an address predictor for estimateDeploymentSequence() in CREATE2 mode
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Validated network configuration
+ * @param {object} deployer - Deployer signer
+ * @returns {Promise<Function|null>} predictAddress(contractName, args) or null for plain CREATE
+ */
+export async function getCreate2AddressPredictor(hre, config, deployer) {
+  if (!config.create2?.salt) {
+    return null;
+  }
+
+  const factoryAddress = await getCreate2FactoryAddress(hre);
+
+  return async (contractName, args) => {
+    const ContractFactory = await hre.ethers.getContractFactory(contractName);
+    const { data: initCode } = await ContractFactory.getDeployTransaction(...args);
+    return predictCreate2Address(hre, {
+      factoryAddress,
+      deployer: deployer.address,
+      salt: config.create2.salt,
+      initCode,
+    });
+  };
+}
+
+/**
+ * Copy a configuration with secrets masked so the plan can be shared in a PR
+ * @param {object} config - Network configuration
+ * @returns {object} Redacted configuration
+ */
+function redactConfig(config) {
+  return {
+    ...config,
+    verification: {
+      ...config.verification,
+      ...(config.verification?.apiKey ? { apiKey: '<redacted>' } : {}),
+    },
+  };
+}
+
+/**
+ * Build a deployment plan for the DAO system
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} params - Plan parameters
+ * @param {string} params.network - Network name
+ * @param {object} params.config - Validated network configuration
+ * @param {object} params.deployer - Deployer signer
+ * @param {object} params.configSources - Source of each config value from resolveConfig()
+ * @param {boolean} params.fresh - Plan to redeploy even if matching deployments are recorded
+ * @param {boolean} params.skipVerification - Plan without block explorer verification
+ * @param {object} params.estimate - Result of estimateDeploymentSequence() for this
+ *   configuration, when already computed (estimated here otherwise)
+ * @param {object} params.logger - Logger for the gas estimation (defaults to getLogger())
+ * @returns {Promise<object>} JSON-serializable deployment plan
+ */
+export async function buildDeploymentPlan(hre, {
+  network,
+  config,
+  deployer,
+  configSources = {},
+  fresh = false,
+  skipVerification = false,
+  estimate = null,
+  logger = getLogger(),
+}) {
+  const { ethers } = hre;
+  const provider = ethers.provider;
+
+  const chainId = (await provider.getNetwork()).chainId;
+  const balance = await provider.getBalance(deployer.address);
+
+  estimate ??= await estimateDeploymentSequence(hre, deployer, getDeploymentSteps(hre, config), {
+    findExisting: (contractName, args) => (
+      fresh ? null : findReusableDeployment(hre, network, contractName, args, { logger })
+    ),
+    predictAddress: await getCreate2AddressPredictor(hre, config, deployer),
+    setupSteps: [...await getCreate2SetupSteps(hre, config, deployer), ...getSetupSteps(config)],
+    logger,
+  });
+
+  const steps = [];
+  for (const step of estimate.steps) {
+    const ContractFactory = await ethers.getContractFactory(step.contractName);
+    steps.push({
+      contract: step.contractName,
+      action: step.reused ? 'reuse' : 'deploy',
+      address: step.address,
+      constructorArgs: step.args.map((arg) => arg.toString()),
+      encodedArgs: ContractFactory.interface.encodeDeploy(step.args),
+      gasEstimate: step.gasEstimate.toString(),
+      gasPrice: estimate.fees.expectedGasPrice.toString(),
+      estimatedCost: step.estimatedCost.toString(),
+      maxCost: step.maxCost.toString(),
+    });
+  }
+
+  const requiredBalance = estimate.totals.estimatedCost * 2n; // same 2x buffer as the balance check
+  const fees = Object.fromEntries(
+    Object.entries(estimate.fees).map(([key, value]) => [key, value === null ? null : value.toString()])
+  );
+
+  return {
+    network,
+    chainId: chainId.toString(),
+    deployer: deployer.address,
+    generatedAt: new Date().toISOString(),
+    deploymentMode: config.create2?.salt ? 'create2' : 'create',
+    config: redactConfig(config),
+    configSources,
+    fees,
+    steps,
+    totals: {
+      gasEstimate: estimate.totals.gasEstimate.toString(),
+      estimatedCost: estimate.totals.estimatedCost.toString(),
+      maxCost: estimate.totals.maxCost.toString(),
+      requiredBalance: requiredBalance.toString(),
+      deployerBalance: balance.toString(),
+      sufficientBalance: balance >= requiredBalance,
+    },
+    postDeployChecks: [
+      `TestToken.name() == "${config.token.name}"`,
+      `TestToken.symbol() == "${config.token.symbol}"`,
+      'TestToken.decimals() == 18',
+      `DAOVoting.quorumNumerator() == ${config.dao.quorumNumerator}`,
+      `DAOVoting.votingPeriodBlocks() == ${config.dao.votingPeriodBlocks}`,
+      `DAOVoting.timelockDelay() == ${resolveTimelockDelay(config)}`,
+      `DAOVoting.proposalThreshold() == ${hre.ethers.parseUnits(config.dao.proposalThreshold || '0', 18)}`,
+      `DAOVoting.maxActiveProposals() == ${config.dao.maxActiveProposals ?? 0}`,
+      'DAOVoting.governanceToken() == TestToken address',
+      'Deployer token balance, delegation and voting power',
+      ...(config.distribution ? ['Recipient balances and getVotes() cover the distribution plan'] : []),
+      ...(config.handoff?.tokenOwner ? [`TestToken.owner() == ${config.handoff.tokenOwner}`] : []),
+      ...(config.handoff?.daoOwner ? [`DAOVoting.owner() == ${config.handoff.daoOwner}`] : []),
+    ],
+    setup: estimate.setup.map((step) => ({
+      label: step.label,
+      gasEstimate: step.gasEstimate.toString(),
+      value: step.value.toString(),
+      estimatedCost: step.estimatedCost.toString(),
+    })),
+    verification: {
+      enabled: config.verification?.enabled || false,
+      willRun: Boolean(config.verification?.enabled) && !skipVerification,
+    },
+  };
+}
+
+/**
+ * Format a deployment plan for human review
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} plan - Plan returned by buildDeploymentPlan()
+ * @returns {string} Human-readable plan
+ */
+export function formatDeploymentPlan(hre, plan) {
+  const { formatEther, formatUnits } = hre.ethers;
+  const lines = [
+    `Network:   ${plan.network} (chain ${plan.chainId})`,
+    `Deployer:  ${plan.deployer}`,
+    `Mode:      ${plan.deploymentMode.toUpperCase()}`,
+    '',
+    'Configuration:',
+    `  Token:          ${plan.config.token.name} (${plan.config.token.symbol})`,
+    `  Initial Supply: ${plan.config.token.initialSupply} tokens`,
+    `  Quorum:         ${plan.config.dao.quorumNumerator}%`,
+    `  Voting Period:  ${plan.config.dao.votingPeriodBlocks} blocks`,
+    `  Timelock Delay: ${formatDuration(resolveTimelockDelay(plan.config))}`,
+    `  Proposal Threshold: ${plan.config.dao.proposalThreshold || '0'} tokens`,
+    `  Max Active Proposals: ${plan.config.dao.maxActiveProposals || 'unlimited'}`,
+    ...Object.entries(plan.configSources || {})
+      .filter(([, source]) => source !== 'deploy.config.js')
+      .map(([keyPath, source]) => `  ${keyPath} from ${source}`),
+    '',
+    plan.fees.type === 'eip1559'
+      ? `Fees: base ${formatUnits(plan.fees.baseFeePerGas, 'gwei')} gwei + priority ${formatUnits(plan.fees.maxPriorityFeePerGas, 'gwei')} gwei (max ${formatUnits(plan.fees.maxFeePerGas, 'gwei')} gwei)`
+      : `Fees: legacy gas price ${formatUnits(plan.fees.expectedGasPrice, 'gwei')} gwei`,
+    '',
+    'Steps:',
+  ];
+
+  plan.steps.forEach((step, index) => {
+    lines.push(`  ${index + 1}. ${step.action.toUpperCase()} ${step.contract} at ${step.address}`);
+    lines.push(`     Args:         ${JSON.stringify(step.constructorArgs)}`);
+    lines.push(`     Encoded args: ${step.encodedArgs}`);
+    if (step.action === 'deploy') {
+      lines.push(`     Gas:          ${step.gasEstimate} @ ${formatUnits(step.gasPrice, 'gwei')} gwei`);
+      lines.push(`     Cost:         ${formatEther(step.estimatedCost)} ETH`);
+    }
+  });
+
+  if (plan.setup.length > 0) {
+    lines.push('', 'Setup transactions:');
+    plan.setup.forEach((step) => {
+      const sent = step.value !== '0' ? ` (sends ${formatEther(step.value)} ETH)` : '';
+      lines.push(`  - ${step.label}: ${step.gasEstimate} gas, ${formatEther(step.estimatedCost)} ETH${sent}`);
+    });
+  }
+
+  lines.push(
+    '',
+    'Totals:',
+    `  Gas:              ${plan.totals.gasEstimate}`,
+    `  Estimated cost:   ${formatEther(plan.totals.estimatedCost)} ETH`,
+    `  Max cost:         ${formatEther(plan.totals.maxCost)} ETH`,
+    `  Required (2x):    ${formatEther(plan.totals.requiredBalance)} ETH`,
+    `  Deployer balance: ${formatEther(plan.totals.deployerBalance)} ETH ${plan.totals.sufficientBalance ? '✅' : '❌'}`,
+    '',
+    'Post-deployment checks:',
+    ...plan.postDeployChecks.map((check) => `  - ${check}`),
+    '',
+    `Verification: ${plan.verification.willRun ? 'will run' : 'skipped'}`,
+  );
+
+  return lines.join('\n');
+}
@@ -0,0 +1,261 @@
+/**
+ * Deployment Registry
+ *
+ * Reads the deployment history written by saveDeployment() — one
+ * `deployments/<network>-<id>.json` file per deployment, where the id is the save
+ * time in milliseconds — and tracks which entry is active. The active entry is
+ * recorded in `<network>-active.json` and mirrored to `<network>-latest.json`, so
+ * loadLatestDeployment() and resumed deployments follow a rollback.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getLogger } from './logger.js';
+
+const VOLATILE_FIELDS = new Set(['id', 'timestamp']);
+
+/**
+ * Get the deployments directory
+ * @returns {string} Directory path
+ */
+function getDeploymentsDir() {
+  return path.join(process.cwd(), 'deployments');
+}
+
+/**
+ * Get the path of the active-deployment marker for a network
+ * @param {string} network - Network name
+ * @returns {string} Marker file path
+ */
+function getActiveMarkerPath(network) {
+  return path.join(getDeploymentsDir(), `${network}-active.json`);
+}
+
+/**
+ * Read a deployment file and attach its id
+ * @param {string} network - Network name
+ * @param {string} id - Deployment id
+ * @returns {object} Deployment data with `id`
+ */
+function readDeployment(network, id) {
+  const filepath = path.join(getDeploymentsDir(), `${network}-${id}.json`);
+  return { id, ...JSON.parse(fs.readFileSync(filepath, 'utf8')) };
+}
+
+/**
+ * List the ids of all saved deployments for a network, oldest first
+ * @param {string} network - Network name
+ * @returns {Array<string>} Deployment ids
+ */
+function listDeploymentIds(network) {
+  const dir = getDeploymentsDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const prefix = `${network}-`;
+  return fs.readdirSync(dir)
+    .filter((file) => file.startsWith(prefix) && /^\d+\.json$/.test(file.slice(prefix.length)))
+    .map((file) => file.slice(prefix.length, -'.json'.length))
+    .sort((a, b) => Number(a) - Number(b));
+}
+
+/**
+ * Get the id of the active deployment: the marked one, or the newest if none is marked
+ * @param {string} network - Network name
+ * @returns {string|null} Deployment id or null if there are no deployments
+ */
+export function getActiveDeploymentId(network) {
+  const ids = listDeploymentIds(network);
+  const markerPath = getActiveMarkerPath(network);
+
+  if (fs.existsSync(markerPath)) {
+    const { id } = JSON.parse(fs.readFileSync(markerPath, 'utf8'));
+    if (ids.includes(id)) {
+      return id;
+    }
+  }
+
+  return ids.at(-1) ?? null;
+}
+
+/**
+ * List all saved deployments for a network
+ * @param {string} network - Network name
+ * @returns {Array<object>} Summaries, oldest first ({ id, timestamp, chainId, deployer,
+ *   contracts: { name: address }, active })
+ */
+export function listDeployments(network) {
+  const activeId = getActiveDeploymentId(network);
+
+  return listDeploymentIds(network).map((id) => {
+    const deployment = readDeployment(network, id);
+    return {
+      id,
+      timestamp: deployment.timestamp,
+      chainId: deployment.chainId,
+      deployer: deployment.deployer,
+      contracts: Object.fromEntries(
+        Object.entries(deployment.contracts || {}).map(([name, contract]) => [name, contract.address])
+      ),
+      active: id === activeId,
+    };
+  });
+}
+
+/**
+ * Resolve a selector to a deployment id
+ * @param {string} network - Network name
+ * @param {string|number} selector - 'active', 'latest' (newest), 'previous' (the one
+ *   before the active deployment), a deployment id, or an index into the history
+ *   (negative indexes count from the newest)
+ * @returns {string|null} Deployment id or null if nothing matches
+ */
+export function resolveDeploymentId(network, selector = 'active') {
+  const ids = listDeploymentIds(network);
+
+  if (selector === 'active') {
+    return getActiveDeploymentId(network);
+  }
+  if (selector === 'latest') {
+    return ids.at(-1) ?? null;
+  }
+  if (selector === 'previous') {
+    const activeIndex = ids.indexOf(getActiveDeploymentId(network));
+    return activeIndex > 0 ? ids[activeIndex - 1] : null;
+  }
+  if (ids.includes(String(selector))) {
+    return String(selector);
+  }
+  if (Number.isInteger(selector)) {
+    return ids.at(selector) ?? null;
+  }
+  return null;
+}
+
+/**
+ * Load a saved deployment
+ * @param {string} network - Network name
+ * @param {string|number} selector - See resolveDeploymentId() (defaults to 'active')
+ * @returns {object|null} Deployment data with its `id`, or null if not found
+ */
+export function loadDeployment(network, selector = 'active') {
+  const id = resolveDeploymentId(network, selector);
+  return id === null ? null : readDeployment(network, id);
+}
+
+/**
+ * Record which deployment is active without touching `<network>-latest.json`
+ * (used by saveDeployment(), which writes that file itself)
+ * @param {string} network - Network name
+ * @param {string} id - Deployment id
+ */
+export function setActiveDeploymentId(network, id) {
+  fs.writeFileSync(
+    getActiveMarkerPath(network),
+    JSON.stringify({ id: String(id), markedAt: new Date().toISOString() }, null, 2)
+  );
+}
+
+/**
+ * Mark a deployment as active, e.g. to roll back to an earlier one. The deployment is
+ * also copied to `<network>-latest.json`.
+ * @param {string} network - Network name
+ * @param {string|number} selector - See resolveDeploymentId()
+ * @param {object} options - { logger (defaults to getLogger()) }
+ * @returns {object} The activated deployment
+ * @throws {Error} If no deployment matches the selector
+ */
+export function markActive(network, selector, options = {}) {
+  const { logger = getLogger() } = options;
+  const id = resolveDeploymentId(network, selector);
+  if (id === null) {
+    throw new Error(`No deployment found for ${network} matching "${selector}"`);
+  }
+
+  const { id: _id, ...data } = readDeployment(network, id);
+  setActiveDeploymentId(network, id);
+  fs.writeFileSync(path.join(getDeploymentsDir(), `${network}-latest.json`), JSON.stringify(data, null, 2));
+  logger.info(`\n📌 Active ${network} deployment: ${id} (${data.timestamp})`, { event: 'deployment.activated', network, id });
+
+  return { id, ...data };
+}
+
+/**
+ * Update fields of a saved deployment. `<network>-latest.json` is rewritten too when
+ * the deployment is the active one.
+ * @param {string} network - Network name
+ * @param {string|number} selector - See resolveDeploymentId()
+ * @param {object} changes - Top-level fields to replace
+ * @returns {object} The updated deployment
+ * @throws {Error} If no deployment matches the selector
+ */
+export function updateDeployment(network, selector, changes) {
+  const id = resolveDeploymentId(network, selector);
+  if (id === null) {
+    throw new Error(`No deployment found for ${network} matching "${selector}"`);
+  }
+
+  const { id: _id, ...current } = readDeployment(network, id);
+  const data = { ...current, ...changes };
+  const content = JSON.stringify(data, null, 2);
+
+  fs.writeFileSync(path.join(getDeploymentsDir(), `${network}-${id}.json`), content);
+  if (id === getActiveDeploymentId(network)) {
+    fs.writeFileSync(path.join(getDeploymentsDir(), `${network}-latest.json`), content);
+  }
+
+  return { id, ...data };
+}
+
+/**
+ * Collect the differences between two values as JSON paths
+ * @param {*} before - Older value
+ * @param {*} after - Newer value
+ * @param {string} prefix - JSON path of the values
+ * @param {Array<object>} changes - Accumulated changes
+ * @returns {Array<object>} Changes ({ path, before, after })
+ */
+function collectChanges(before, after, prefix, changes) {
+  const isObject = (value) => value !== null && typeof value === 'object';
+
+  if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    for (const key of keys) {
+      if (prefix === '$' && VOLATILE_FIELDS.has(key)) {
+        continue;
+      }
+      const keyPath = Array.isArray(before) ? `${prefix}[${key}]` : `${prefix}.${key}`;
+      collectChanges(before[key], after[key], keyPath, changes);
+    }
+  } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({ path: prefix, before: before ?? null, after: after ?? null });
+  }
+
+  return changes;
+}
+
+/**
+ * Diff two saved deployments (addresses, constructor args, config, compiler settings —
+ * every recorded field except the id and timestamp)
+ * @param {object} before - Older deployment (from loadDeployment())
+ * @param {object} after - Newer deployment (from loadDeployment())
+ * @returns {Array<object>} Changes ({ path, before, after }), empty if identical
+ */
+export function diffDeployments(before, after) {
+  return collectChanges(before, after, '$', []);
+}
+
+/**
+ * Format a deployment diff for display
+ * @param {Array<object>} changes - Changes from diffDeployments()
+ * @returns {string} One line per change
+ */
+export function formatDeploymentDiff(changes) {
+  if (changes.length === 0) {
+    return 'No differences';
+  }
+  return changes
+    .map(({ path: keyPath, before, after }) => `${keyPath}: ${JSON.stringify(before)} -> ${JSON.stringify(after)}`)
+    .join('\n');
+}
@@ -0,0 +1,87 @@
+/**
+ * Ignition Parameters
+ *
+ * Builds the parameters of the DAOSystem Ignition module (ignition/modules/DAOSystem.js)
+ * from a deploy.config.js network entry, so `hardhat ignition deploy` and the deploy
+ * script deploy the contracts with the same constructor arguments.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseUnits } from 'ethers';
+import { resolveTimelockDelay, resolveVotingPeriod } from './voting-period.js';
+
+/**
+ * ID of the Ignition module the parameters belong to
+ */
+export const IGNITION_MODULE_ID = 'DAOSystem';
+
+/**
+ * Build the module parameters from a network configuration
+ * @param {object} config - Network configuration
+ * @param {object} options - { votingPeriodBlocks } (required when the config sets a
+ *   `votingPeriod` duration, see resolveIgnitionParameters())
+ * @returns {object} Deployment parameters ({ DAOSystem: { tokenName, tokenSymbol,
+ *   initialSupply, quorumNumerator, votingPeriodBlocks, timelockDelay, proposalThreshold,
+ *   maxActiveProposals } }), initialSupply and proposalThreshold in wei and timelockDelay
+ *   in seconds
+ * @throws {Error} If the voting period is a duration and no block count is given
+ */
+export function buildIgnitionParameters(config, options = {}) {
+  const { votingPeriodBlocks = config.dao.votingPeriodBlocks } = options;
+
+  if (votingPeriodBlocks === undefined) {
+    throw new Error(`votingPeriod "${config.dao.votingPeriod}" must be converted to blocks first`);
+  }
+
+  return {
+    [IGNITION_MODULE_ID]: {
+      tokenName: config.token.name,
+      tokenSymbol: config.token.symbol,
+      initialSupply: parseUnits(config.token.initialSupply, 18),
+      quorumNumerator: config.dao.quorumNumerator,
+      votingPeriodBlocks,
+      timelockDelay: resolveTimelockDelay(config),
+      proposalThreshold: parseUnits(config.dao.proposalThreshold || '0', 18),
+      maxActiveProposals: config.dao.maxActiveProposals ?? 0,
+    },
+  };
+}
+
+/**
+ * Build the module parameters for the connected network, converting a `votingPeriod`
+ * duration to blocks like the deploy script does
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Network configuration
+ * @returns {Promise<object>} Deployment parameters (see buildIgnitionParameters())
+ */
+export async function resolveIgnitionParameters(hre, config) {
+  const { votingPeriodBlocks } = await resolveVotingPeriod(hre, config);
+  return buildIgnitionParameters(config, { votingPeriodBlocks });
+}
+
+/**
+ * Serialize deployment parameters as an Ignition parameter file. Bigints are written
+ * as `"<value>n"` strings, which Ignition reads back as bigints.
+ * @param {object} parameters - Deployment parameters
+ * @returns {string} JSON content
+ */
+export function serializeIgnitionParameters(parameters) {
+  return JSON.stringify(
+    parameters,
+    (key, value) => (typeof value === 'bigint' ? `${value}n` : value),
+    2
+  );
+}
+
+/**
+ * Write an Ignition parameter file
+ * @param {string} filepath - Destination path
+ * @param {object} parameters - Deployment parameters
+ * @returns {string} The written path
+ */
+export function writeIgnitionParameters(filepath, parameters) {
+  fs.mkdirSync(path.dirname(filepath), { recursive: true });
+  fs.writeFileSync(filepath, `${serializeIgnitionParameters(parameters)}\n`);
+  return filepath;
+}
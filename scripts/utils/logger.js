@@ -0,0 +1,113 @@
+/**
+ * Deployment Logger
+ *
+ * Logger passed to the deployment helpers (`options.logger`). Formats:
+ * - `pretty`: the human-readable emoji lines, written with console.log/warn/error
+ * - `json`: one JSON object per line on stdout ({ timestamp, level, correlationId,
+ *   message, ...fields }) for release pipelines
+ * - `silent`: nothing, e.g. in tests
+ *
+ * Every record of a deployment carries the same correlation ID. The default logger is
+ * configured with LOG_FORMAT, LOG_LEVEL and DEPLOYMENT_CORRELATION_ID.
+ */
+
+import { randomUUID } from 'crypto';
+
+/**
+ * Log levels in increasing severity
+ */
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const LOG_FORMATS = ['pretty', 'json', 'silent'];
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+let defaultLogger = null;
+
+/**
+ * JSON replacer that stores bigint values as strings
+ * @param {string} key - Property key
+ * @param {*} value - Property value
+ * @returns {*} Serializable value
+ */
+function bigintReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Create a logger
+ * @param {object} options - { format = 'pretty', level = 'info', correlationId (random
+ *   UUID by default), fields (added to every JSON record), write (JSON line sink,
+ *   defaults to stdout) }
+ * @returns {object} Logger with debug(), info(), warn() and error() taking
+ *   (message, fields), child(fields), and its format, level and correlationId
+ * @throws {Error} If the format or level is unknown
+ */
+export function createLogger(options = {}) {
+  const {
+    format = 'pretty',
+    level = 'info',
+    correlationId = randomUUID(),
+    fields = {},
+    write = (line) => process.stdout.write(`${line}\n`),
+  } = options;
+
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (expected ${LOG_FORMATS.join(', ')})`);
+  }
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (expected ${LOG_LEVELS.join(', ')})`);
+  }
+
+  const log = (recordLevel, message, recordFields = {}) => {
+    if (format === 'silent' || LOG_LEVELS.indexOf(recordLevel) < LOG_LEVELS.indexOf(level)) {
+      return;
+    }
+
+    if (format === 'pretty') {
+      console[CONSOLE_METHODS[recordLevel]](message);
+      return;
+    }
+
+    // Banners, separators and blank lines only structure the pretty output
+    const text = String(message).trim();
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      return;
+    }
+    write(JSON.stringify({
+      timestamp: new Date().toISOString(),
+      level: recordLevel,
+      correlationId,
+      message: text,
+      ...fields,
+      ...recordFields,
+    }, bigintReplacer));
+  };
+
+  return {
+    format,
+    level,
+    correlationId,
+    debug: (message, recordFields) => log('debug', message, recordFields),
+    info: (message, recordFields) => log('info', message, recordFields),
+    warn: (message, recordFields) => log('warn', message, recordFields),
+    error: (message, recordFields) => log('error', message, recordFields),
+    child: (childFields) => createLogger({ ...options, correlationId, fields: { ...fields, ...childFields } }),
+  };
+}
+
+/**
+ * Get the logger used when a helper is not given one, configured from the environment
+ * on first use
+ * @returns {object} Logger
+ */
+export function getLogger() {
+  if (!defaultLogger) {
+    defaultLogger = createLogger({
+      format: process.env.LOG_FORMAT || 'pretty',
+      level: process.env.LOG_LEVEL || 'info',
+      correlationId: process.env.DEPLOYMENT_CORRELATION_ID || randomUUID(),
+    });
+  }
+  return defaultLogger;
+}
@@ -0,0 +1,208 @@
+/**
+ * Multi-Network Deployment
+ *
+ * Runs deployDaoSystem() for a list of networks in order and aggregates the results
+ * into one cross-chain manifest (deployments/cross-chain-<id>.json). Every network's
+ * configuration is resolved and validated before the first transaction is sent. When
+ * a network fails, the failure policy decides whether the remaining networks are
+ * skipped (`stop`) or still deployed (`continue`).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { deploymentConfig, resolveConfig, validateConfig } from '../../deploy.config.js';
+import { DeploymentCancelledError, deployDaoSystem } from './dao-deployment.js';
+import { MAINNET_CLASS_NETWORKS } from './deployment-helpers.js';
+import { getLogger } from './logger.js';
+
+/**
+ * What to do with the remaining networks after one fails
+ */
+export const FAILURE_POLICIES = ['stop', 'continue'];
+
+/**
+ * Resolve and validate the configuration of every network before deploying anything
+ * @param {Array<string>} networks - Network names
+ * @param {Function} resolve - (network) => { config, sources }
+ * @returns {Map<string, object>} { config, sources } per network
+ * @throws {Error} Listing every network whose configuration is missing or invalid
+ */
+function resolveNetworkConfigs(networks, resolve) {
+  const resolved = new Map();
+  const errors = [];
+
+  for (const network of networks) {
+    try {
+      const { config, sources } = resolve(network);
+      validateConfig(config);
+      resolved.set(network, { config, sources });
+    } catch (error) {
+      errors.push(`${network}: ${error.message}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid network configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  return resolved;
+}
+
+/**
+ * Deploy the DAO system to several networks and build the cross-chain manifest
+ * @param {Array<string>} networks - Network names, deployed in this order (default:
+ *   every testnet in deploymentConfig, i.e. neither local nor in MAINNET_CLASS_NETWORKS)
+ * @param {object} options - Orchestration options
+ * @param {Function} options.connect - async (network) => runtime for deployDaoSystem()
+ *   (`ethers`, `network.name`, `artifacts`)
+ * @param {string} options.policy - Failure policy, 'stop' (default) or 'continue'
+ * @param {boolean} options.allowMainnet - Opt in to deploying to MAINNET_CLASS_NETWORKS
+ *   (default false); confirmations are skipped in non-interactive runs such as CI
+ * @param {Function} options.resolveConfig - (network) => { config, sources } (default:
+ *   resolveConfig() from deploy.config.js)
+ * @param {object} options.deployOptions - Extra deployDaoSystem() options for every network
+ * @param {object} options.logger - Logger (defaults to getLogger()); each network logs
+ *   through a child logger with a `network` field
+ * @returns {Promise<object>} Manifest ({ timestamp, correlationId, policy, completed,
+ *   networks: [{ network, status, chainId, deploymentId, deployer, contracts, error }],
+ *   contracts: { contractName: { network: address } } })
+ * @throws {Error} If the policy is unknown, a mainnet-class network is targeted without
+ *   allowMainnet or a network configuration is invalid
+ */
+export async function deployToNetworks(networks, options = {}) {
+  const {
+    connect,
+    policy = 'stop',
+    allowMainnet = false,
+    resolveConfig: resolve = resolveConfig,
+    deployOptions = {},
+    logger = getLogger(),
+  } = options;
+
+  if (!FAILURE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown failure policy "${policy}" (expected ${FAILURE_POLICIES.join(', ')})`);
+  }
+  const targets = networks || Object.keys(deploymentConfig).filter(
+    (name) => !['hardhat', 'localhost', ...MAINNET_CLASS_NETWORKS].includes(name)
+  );
+  if (targets.length === 0) {
+    throw new Error('No networks to deploy to');
+  }
+  const mainnets = targets.filter((network) => MAINNET_CLASS_NETWORKS.includes(network));
+  if (mainnets.length > 0 && !allowMainnet) {
+    throw new Error(`Deploying to ${mainnets.join(', ')} requires allowMainnet (ALLOW_MAINNET=true)`);
+  }
+
+  const configs = resolveNetworkConfigs(targets, resolve);
+  const results = [];
+  let stopped = false;
+
+  for (const network of targets) {
+    if (stopped) {
+      logger.info(`⏭️  ${network}: skipped after an earlier failure`, { event: 'network.skipped', network });
+      results.push({ network, status: 'skipped' });
+      continue;
+    }
+
+    logger.info(`\n🌐 Deploying to ${network}...`, { event: 'network.deploying', network });
+    try {
+      const runtime = await connect(network);
+      const { config, sources } = configs.get(network);
+      const { deploymentId, deployment } = await deployDaoSystem(runtime, config, {
+        ...deployOptions,
+        network,
+        configSources: sources,
+        logger: logger.child({ network }),
+      });
+
+      results.push({
+        network,
+        status: 'deployed',
+        chainId: deployment.chainId,
+        deploymentId,
+        deployer: deployment.deployer,
+        contracts: Object.fromEntries(
+          Object.entries(deployment.contracts).map(([name, contract]) => [name, contract.address])
+        ),
+        verified: deployment.verification.completed,
+      });
+      logger.info(`✅ ${network}: deployed (deployment ${deploymentId})`, { event: 'network.deployed', network, deploymentId });
+    } catch (error) {
+      const status = error instanceof DeploymentCancelledError ? 'cancelled' : 'failed';
+      results.push({
+        network,
+        status,
+        error: { step: error.step || 'connection', message: error.message, deployed: error.deployed || {} },
+      });
+      logger.error(`❌ ${network}: ${status} at ${error.step || 'connection'}: ${error.message}`, {
+        event: 'network.failed',
+        network,
+        step: error.step || 'connection',
+      });
+      stopped = policy === 'stop';
+    }
+  }
+
+  const contracts = {};
+  for (const result of results.filter(({ status }) => status === 'deployed')) {
+    for (const [name, address] of Object.entries(result.contracts)) {
+      contracts[name] = { ...contracts[name], [result.network]: address };
+    }
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    correlationId: logger.correlationId,
+    policy,
+    completed: results.every(({ status }) => status === 'deployed'),
+    networks: results,
+    contracts,
+  };
+}
+
+/**
+ * Save a cross-chain manifest as deployments/cross-chain-<id>.json and
+ * deployments/cross-chain-latest.json
+ * @param {object} manifest - Manifest from deployToNetworks()
+ * @param {object} options - { logger }
+ * @returns {{ id: string, filepath: string }} Manifest id (save time in ms) and path
+ */
+export function saveCrossChainManifest(manifest, options = {}) {
+  const { logger = getLogger() } = options;
+  const deploymentsDir = path.join(process.cwd(), 'deployments');
+  fs.mkdirSync(deploymentsDir, { recursive: true });
+
+  let ms = Date.now();
+  while (fs.existsSync(path.join(deploymentsDir, `cross-chain-${ms}.json`))) {
+    ms += 1;
+  }
+  const id = String(ms);
+  const filepath = path.join(deploymentsDir, `cross-chain-${id}.json`);
+  const content = JSON.stringify({ id, ...manifest }, null, 2);
+
+  fs.writeFileSync(filepath, content);
+  fs.writeFileSync(path.join(deploymentsDir, 'cross-chain-latest.json'), content);
+  logger.info(`\n💾 Cross-chain manifest saved to: ${filepath}`, { event: 'manifest.saved', id, filepath });
+
+  return { id, filepath };
+}
+
+/**
+ * Format a cross-chain manifest for display
+ * @param {object} manifest - Manifest from deployToNetworks()
+ * @returns {string} One line per network
+ */
+export function formatCrossChainManifest(manifest) {
+  const icons = { deployed: '✅', failed: '❌', cancelled: '🚫', skipped: '⏭️ ' };
+
+  return manifest.networks.map((result) => {
+    const label = `${icons[result.status]} ${result.network.padEnd(12)}`;
+    if (result.status === 'deployed') {
+      const addresses = Object.entries(result.contracts).map(([name, address]) => `${name} ${address}`).join(', ');
+      return `${label} ${addresses}`;
+    }
+    if (result.status === 'skipped') {
+      return `${label} skipped`;
+    }
+    return `${label} ${result.status} at ${result.error.step}: ${result.error.message}`;
+  }).join('\n');
+}
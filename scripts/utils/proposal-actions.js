@@ -0,0 +1,148 @@
+/**
+ * Proposal Actions
+ *
+ * Encodes the on-chain actions of a DAOVoting proposal — { target, value, calldata }
+ * calls executed in order when the proposal is executed — and decodes them again for
+ * review. Actions that change the DAO or token settings only succeed once the DAO owns
+ * the contract (see `handoff` in deploy.config.js).
+ */
+
+import { parseUnits } from 'ethers';
+
+/**
+ * Encode a contract call as a proposal action
+ * @param {object} contract - ethers Contract the action calls
+ * @param {string} functionName - Function name or signature
+ * @param {Array} args - Function arguments
+ * @param {bigint} value - Wei sent with the call (default 0)
+ * @returns {Promise<object>} Action ({ target, value, calldata })
+ */
+export async function encodeAction(contract, functionName, args = [], value = 0n) {
+  return {
+    target: await contract.getAddress(),
+    value: BigInt(value),
+    calldata: contract.interface.encodeFunctionData(functionName, args),
+  };
+}
+
+/**
+ * Action minting governance tokens (the DAO must own the token)
+ * @param {object} token - TestToken contract
+ * @param {string} to - Recipient address
+ * @param {string} amount - Amount in whole tokens (e.g. "1000")
+ * @returns {Promise<object>} Action
+ */
+export function mintAction(token, to, amount) {
+  return encodeAction(token, 'mint', [to, parseUnits(amount, 18)]);
+}
+
+/**
+ * Action transferring governance tokens held by the DAO
+ * @param {object} token - TestToken contract
+ * @param {string} to - Recipient address
+ * @param {string} amount - Amount in whole tokens
+ * @returns {Promise<object>} Action
+ */
+export function transferTokensAction(token, to, amount) {
+  return encodeAction(token, 'transfer', [to, parseUnits(amount, 18)]);
+}
+
+/**
+ * Action changing the quorum (the DAO must own itself)
+ * @param {object} dao - DAOVoting contract
+ * @param {number} numerator - New quorum percentage
+ * @returns {Promise<object>} Action
+ */
+export function setQuorumAction(dao, numerator) {
+  return encodeAction(dao, 'setQuorumNumerator', [numerator]);
+}
+
+/**
+ * Action changing the voting period (the DAO must own itself)
+ * @param {object} dao - DAOVoting contract
+ * @param {number} blocks - New voting period in blocks
+ * @returns {Promise<object>} Action
+ */
+export function setVotingPeriodAction(dao, blocks) {
+  return encodeAction(dao, 'setVotingPeriodBlocks', [blocks]);
+}
+
+/**
+ * Action sending ETH held by the DAO
+ * @param {string} to - Recipient address
+ * @param {bigint} value - Amount in wei
+ * @returns {object} Action
+ */
+export function sendEthAction(to, value) {
+  return { target: to, value: BigInt(value), calldata: '0x' };
+}
+
+/**
+ * Convert actions to the array arguments of createProposal()
+ * @param {Array<object>} actions - Actions
+ * @returns {Array<Array>} [targets, values, calldatas]
+ */
+export function toProposalArgs(actions) {
+  return [
+    actions.map(({ target }) => target),
+    actions.map(({ value }) => value),
+    actions.map(({ calldata }) => calldata),
+  ];
+}
+
+/**
+ * Create a proposal with actions
+ * @param {object} dao - DAOVoting contract connected to the proposer
+ * @param {Array<object>} actions - Actions
+ * @param {string} description - Proposal description
+ * @returns {Promise<bigint>} Proposal id
+ */
+export async function proposeActions(dao, actions, description) {
+  const tx = await dao['createProposal(address[],uint256[],bytes[],string)'](...toProposalArgs(actions), description);
+  const receipt = await tx.wait();
+  const event = receipt.logs
+    .map((log) => {
+      try {
+        return dao.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((parsed) => parsed?.name === 'ProposalCreated');
+
+  return event.args.id;
+}
+
+/**
+ * Read the actions of a proposal
+ * @param {object} dao - DAOVoting contract
+ * @param {bigint} proposalId - Proposal id
+ * @returns {Promise<Array<object>>} Actions ({ target, value, calldata })
+ */
+export async function getProposalActions(dao, proposalId) {
+  const [targets, values, calldatas] = await dao.getActions(proposalId);
+  return targets.map((target, i) => ({ target, value: values[i], calldata: calldatas[i] }));
+}
+
+/**
+ * Describe proposal actions for review, decoding calls to known contracts
+ * @param {Array<object>} actions - Actions (e.g. from getProposalActions())
+ * @param {Array<object>} contracts - Contracts whose calls can be decoded
+ * @returns {Promise<Array<string>>} One line per action (e.g.
+ *   "0x5FbD...: mint(0x7099..., 1000000000000000000000)")
+ */
+export async function describeActions(actions, contracts = []) {
+  const known = new Map();
+  for (const contract of contracts) {
+    known.set((await contract.getAddress()).toLowerCase(), contract.interface);
+  }
+
+  return actions.map(({ target, value, calldata }) => {
+    const suffix = BigInt(value) > 0n ? ` with ${value} wei` : '';
+    const parsed = calldata === '0x' ? null : known.get(target.toLowerCase())?.parseTransaction({ data: calldata });
+    if (parsed) {
+      return `${target}: ${parsed.name}(${parsed.args.map(String).join(', ')})${suffix}`;
+    }
+    return `${target}: ${calldata === '0x' ? 'transfer' : calldata}${suffix}`;
+  });
+}
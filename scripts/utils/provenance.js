@@ -0,0 +1,148 @@
+/**
+ * Build Provenance
+ *
+ * Collects what is needed to prove later what was deployed — compiler version and
+ * settings, bytecode hashes, ABI, git commit, deploy transaction and block — and
+ * checks on-chain runtime bytecode against the compiled artifacts.
+ */
+
+import { execSync } from 'child_process';
+import fs from 'fs';
+
+/**
+ * Get the git commit the deployment was built from
+ * @param {string} cwd - Repository directory (defaults to the current directory)
+ * @returns {{ commit: string, dirty: boolean }|null} Commit hash and whether there were
+ *   uncommitted changes, or null outside a git repository
+ */
+export function getGitInfo(cwd = process.cwd()) {
+  try {
+    const run = (command) => execSync(command, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    return {
+      commit: run('git rev-parse HEAD'),
+      dirty: run('git status --porcelain') !== '',
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Zero the immutable variable slots of runtime bytecode. Solidity fills immutables in
+ * at deploy time, so on-chain code only matches the artifact once they are masked.
+ * @param {string} bytecode - Runtime bytecode (0x-prefixed hex)
+ * @param {object} immutableReferences - Artifact `immutableReferences` ({ id: [{ start, length }] })
+ * @returns {string} Bytecode with immutables zeroed
+ */
+export function maskImmutables(bytecode, immutableReferences = {}) {
+  const hex = bytecode.slice(2).split('');
+  for (const { start, length } of Object.values(immutableReferences).flat()) {
+    hex.fill('0', start * 2, (start + length) * 2);
+  }
+  return `0x${hex.join('')}`;
+}
+
+/**
+ * Read the build provenance of a compiled contract
+ * @param {object} hre - Hardhat Runtime Environment (uses `artifacts` and `ethers`)
+ * @param {string} contractName - Contract name
+ * @returns {Promise<object>} { sourceName, buildInfoId, compiler: { type, version },
+ *   settings: { optimizer, evmVersion, viaIR }, bytecodeHash, deployedBytecodeHash, abi }
+ */
+export async function getBuildProvenance(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfoPath = artifact.buildInfoId ? await hre.artifacts.getBuildInfoPath(artifact.buildInfoId) : undefined;
+
+  let compiler = null;
+  let settings = null;
+  if (buildInfoPath) {
+    const buildInfo = JSON.parse(fs.readFileSync(buildInfoPath, 'utf8'));
+    const { optimizer = { enabled: false }, evmVersion = null, viaIR = false } = buildInfo.input.settings;
+    compiler = { type: buildInfo.compilerType || 'solc', version: buildInfo.solcLongVersion };
+    settings = { optimizer, evmVersion, viaIR };
+  }
+
+  return {
+    sourceName: artifact.sourceName,
+    buildInfoId: artifact.buildInfoId || null,
+    compiler,
+    settings,
+    bytecodeHash: hre.ethers.keccak256(artifact.bytecode),
+    deployedBytecodeHash: hre.ethers.keccak256(artifact.deployedBytecode),
+    abi: artifact.abi,
+  };
+}
+
+/**
+ * Collect the provenance of a deployed contract: its build plus the deploy
+ * transaction, block and on-chain code hash
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {string} contractName - Contract name
+ * @param {object} deployment - { address, transactionHash } (the hash may be null for
+ *   CREATE2 deployments that already existed)
+ * @returns {Promise<object>} { build, abi, transactionHash, blockNumber, runtimeCodeHash }
+ */
+export async function getDeploymentProvenance(hre, contractName, { address, transactionHash = null }) {
+  const { abi, ...build } = await getBuildProvenance(hre, contractName);
+  const receipt = transactionHash ? await hre.ethers.provider.getTransactionReceipt(transactionHash) : null;
+  const code = await hre.ethers.provider.getCode(address);
+
+  return {
+    build,
+    abi,
+    transactionHash,
+    blockNumber: receipt?.blockNumber ?? null,
+    runtimeCodeHash: hre.ethers.keccak256(code),
+  };
+}
+
+/**
+ * Compare the runtime bytecode at an address with the compiled artifact and, if given,
+ * the build recorded at deployment time. Recompile first (see scripts/check-bytecode.js)
+ * so the artifact reflects the current sources.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {string} contractName - Contract name
+ * @param {string} address - Deployed contract address
+ * @param {object} recordedBuild - `build` section saved with the deployment (optional)
+ * @returns {Promise<object>} { contractName, address, matches, reasons: Array<string> }
+ */
+export async function checkDeployedBytecode(hre, contractName, address, recordedBuild = null) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const current = await getBuildProvenance(hre, contractName);
+  const code = await hre.ethers.provider.getCode(address);
+  const reasons = [];
+
+  if (code === '0x') {
+    reasons.push(`no code at ${address}`);
+  } else if (maskImmutables(code, artifact.immutableReferences) !== artifact.deployedBytecode.toLowerCase()) {
+    reasons.push('on-chain runtime bytecode differs from the compiled artifact');
+  }
+
+  if (recordedBuild) {
+    if (JSON.stringify(recordedBuild.compiler) !== JSON.stringify(current.compiler)) {
+      reasons.push(`compiler ${recordedBuild.compiler?.version} was recorded but ${current.compiler?.version} was used`);
+    }
+    if (JSON.stringify(recordedBuild.settings) !== JSON.stringify(current.settings)) {
+      reasons.push(`compiler settings differ: recorded ${JSON.stringify(recordedBuild.settings)}, current ${JSON.stringify(current.settings)}`);
+    }
+    if (recordedBuild.deployedBytecodeHash !== current.deployedBytecodeHash) {
+      reasons.push('compiled artifact differs from the build recorded at deployment');
+    }
+  }
+
+  return { contractName, address, matches: reasons.length === 0, reasons };
+}
+
+/**
+ * Check every contract of a saved deployment against the compiled artifacts
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} deployment - Saved deployment (from loadDeployment())
+ * @returns {Promise<Array<object>>} Results of checkDeployedBytecode() per contract
+ */
+export async function checkDeployment(hre, deployment) {
+  const results = [];
+  for (const [contractName, contract] of Object.entries(deployment.contracts || {})) {
+    results.push(await checkDeployedBytecode(hre, contractName, contract.address, contract.build));
+  }
+  return results;
+}
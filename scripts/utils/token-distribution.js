@@ -0,0 +1,305 @@
+/**
+ * Initial Token Distribution
+ *
+ * Loads the allocation plan from deploy.config.js (inline recipients and/or a
+ * JSON/CSV allocation file), sends the transfers in batches, relays
+ * ERC20Votes delegateBySig signatures and verifies balances and voting power.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { waitForTransaction } from './deployment-helpers.js';
+import { getLogger } from './logger.js';
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const AMOUNT_PATTERN = /^\d+(\.\d{1,18})?$/;
+const SIGNATURE_FIELDS = ['delegatee', 'nonce', 'expiry', 'v', 'r', 's'];
+
+/**
+ * Convert a decimal token amount (18 decimals) to base units without floating point
+ * @param {string} amount - Amount in token units
+ * @returns {bigint} Amount in base units
+ */
+function toUnits(amount) {
+  const [whole, fraction = ''] = String(amount).split('.');
+  return BigInt(whole) * 10n ** 18n + BigInt(fraction.padEnd(18, '0') || '0');
+}
+
+/**
+ * Parse a CSV allocation file. The header must contain `address` and `amount`
+ * and may contain the delegation signature columns.
+ * @param {string} content - CSV file content
+ * @returns {Array<object>} Raw allocation rows
+ */
+function parseAllocationCsv(content) {
+  const [header, ...rows] = content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+  const columns = header.split(',').map((column) => column.trim());
+
+  return rows.map((row) => {
+    const values = row.split(',').map((value) => value.trim());
+    const entry = Object.fromEntries(columns.map((column, index) => [column, values[index]]));
+    const { address, amount, ...rest } = entry;
+
+    return rest.delegatee
+      ? { address, amount, delegation: Object.fromEntries(SIGNATURE_FIELDS.map((field) => [field, rest[field]])) }
+      : { address, amount };
+  });
+}
+
+/**
+ * Load all allocations for a distribution config
+ * @param {object} distribution - `distribution` section of the network config
+ * @param {string} baseDir - Directory relative file paths are resolved against
+ * @returns {Array<object>} Allocations ({ address, amount, delegation? })
+ */
+export function loadAllocations(distribution, baseDir = process.cwd()) {
+  if (!distribution) {
+    return [];
+  }
+
+  const allocations = [...(distribution.recipients || [])];
+
+  if (distribution.file) {
+    const filepath = path.resolve(baseDir, distribution.file);
+    const content = fs.readFileSync(filepath, 'utf8');
+    const fromFile = filepath.endsWith('.csv') ? parseAllocationCsv(content) : JSON.parse(content);
+    allocations.push(...fromFile);
+  }
+
+  return allocations.map((allocation) => ({
+    ...allocation,
+    amount: String(allocation.amount),
+  }));
+}
+
+/**
+ * Validate allocations against the token supply
+ * @param {Array<object>} allocations - Allocations from loadAllocations()
+ * @param {string} initialSupply - Initial supply in token units
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateAllocations(allocations, initialSupply) {
+  const errors = [];
+  const seen = new Set();
+  let total = 0n;
+
+  allocations.forEach((allocation, index) => {
+    const label = `allocation[${index}]`;
+
+    if (!ADDRESS_PATTERN.test(allocation.address || '')) {
+      errors.push(`${label}: invalid address ${allocation.address}`);
+    } else if (seen.has(allocation.address.toLowerCase())) {
+      errors.push(`${label}: duplicate recipient ${allocation.address}`);
+    } else {
+      seen.add(allocation.address.toLowerCase());
+    }
+
+    if (!AMOUNT_PATTERN.test(allocation.amount) || toUnits(allocation.amount) === 0n) {
+      errors.push(`${label}: invalid amount ${allocation.amount}`);
+    } else {
+      total += toUnits(allocation.amount);
+    }
+
+    if (allocation.delegation) {
+      const missing = SIGNATURE_FIELDS.filter((field) => allocation.delegation[field] === undefined);
+      if (missing.length > 0) {
+        errors.push(`${label}: delegation is missing ${missing.join(', ')}`);
+      }
+    }
+  });
+
+  if (AMOUNT_PATTERN.test(String(initialSupply)) && total > toUnits(initialSupply)) {
+    errors.push(`total allocation exceeds initial supply of ${initialSupply}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Send the planned transfers from the deployer in batches. Transfers in a batch are
+ * broadcast back to back and then awaited together. A transfer that fails to send or
+ * confirm is reported and the others still go out. Recipients already holding their
+ * allocation are skipped so an interrupted distribution can be rerun.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} token - TestToken contract connected to the deployer
+ * @param {Array<object>} allocations - Allocations from loadAllocations()
+ * @param {object} options - { batchSize, confirmations, logger }
+ * @returns {Promise<object>} { transfers: [{ address, amount, transactionHash }],
+ *   failed: [{ address, amount, reason }] }
+ */
+export async function distributeTokens(hre, token, allocations, options = {}) {
+  const { batchSize = 10, confirmations = 1, logger = getLogger() } = options;
+  const transfers = [];
+  const failed = [];
+  const pending = [];
+
+  const fail = ({ address, amount }, error) => {
+    logger.error(`  ❌ Transfer of ${amount} to ${address} failed: ${error.message}`, {
+      event: 'distribution.failed',
+      address,
+      reason: error.message,
+    });
+    failed.push({ address, amount, reason: error.message });
+  };
+
+  for (const allocation of allocations) {
+    const amount = hre.ethers.parseUnits(allocation.amount, 18);
+    if (await token.balanceOf(allocation.address) >= amount) {
+      logger.info(`  ⏭️  ${allocation.address} already holds ${allocation.amount}`);
+      continue;
+    }
+    pending.push({ ...allocation, units: amount });
+  }
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    logger.info(`\n📤 Sending transfer batch ${i / batchSize + 1} (${batch.length} transfers)...`, {
+      event: 'distribution.batch',
+      batch: i / batchSize + 1,
+      recipients: batch.map(({ address }) => address),
+    });
+
+    const sent = [];
+    for (const allocation of batch) {
+      try {
+        sent.push({ allocation, tx: await token.transfer(allocation.address, allocation.units) });
+      } catch (error) {
+        fail(allocation, error);
+      }
+    }
+    const results = await Promise.allSettled(
+      sent.map(({ tx }) => waitForTransaction(tx, confirmations, { signer: token.runner, logger }))
+    );
+
+    results.forEach((result, index) => {
+      const { allocation } = sent[index];
+      if (result.status === 'rejected') {
+        fail(allocation, result.reason);
+        return;
+      }
+      transfers.push({
+        address: allocation.address,
+        amount: allocation.amount,
+        transactionHash: result.value.hash,
+      });
+    });
+  }
+
+  return { transfers, failed };
+}
+
+/**
+ * Sign an ERC20Votes delegation (EIP-712) so a relayer can submit it with delegateBySig
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} token - TestToken contract
+ * @param {object} signer - Token holder signing the delegation
+ * @param {string} delegatee - Address receiving the voting power
+ * @param {number|bigint} expiry - Signature expiry timestamp
+ * @returns {Promise<object>} { delegatee, nonce, expiry, v, r, s }
+ */
+export async function signDelegation(hre, token, signer, delegatee, expiry) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const nonce = await token.nonces(signer.address);
+  const domain = {
+    name: await token.name(),
+    version: '1',
+    chainId,
+    verifyingContract: await token.getAddress(),
+  };
+  const types = {
+    Delegation: [
+      { name: 'delegatee', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'expiry', type: 'uint256' },
+    ],
+  };
+
+  const signature = await signer.signTypedData(domain, types, { delegatee, nonce, expiry });
+  const { v, r, s } = hre.ethers.Signature.from(signature);
+
+  return { delegatee, nonce: nonce.toString(), expiry: expiry.toString(), v, r, s };
+}
+
+/**
+ * Relay the signed delegations attached to allocations
+ * @param {object} token - TestToken contract connected to the relaying account
+ * @param {Array<object>} allocations - Allocations with optional `delegation` signatures
+ * @param {object} options - { confirmations, logger }
+ * @returns {Promise<Array<object>>} Delegations ({ address, delegatee, transactionHash })
+ */
+export async function applyDelegations(token, allocations, options = {}) {
+  const { confirmations = 1, logger = getLogger() } = options;
+  const delegations = [];
+
+  for (const { address, delegation } of allocations) {
+    if (!delegation) {
+      continue;
+    }
+
+    const current = await token.delegates(address);
+    if (current.toLowerCase() === delegation.delegatee.toLowerCase()) {
+      logger.info(`  ⏭️  ${address} already delegates to ${current}`);
+      continue;
+    }
+
+    logger.info(`\n🗳️  Relaying delegation of ${address} to ${delegation.delegatee}...`, {
+      event: 'distribution.delegation',
+      address,
+      delegatee: delegation.delegatee,
+    });
+    const { delegatee, nonce, expiry, v, r, s } = delegation;
+    const tx = await token.delegateBySig(delegatee, nonce, expiry, v, r, s);
+    const receipt = await waitForTransaction(tx, confirmations, { signer: token.runner, logger });
+
+    delegations.push({ address, delegatee, transactionHash: receipt.hash });
+  }
+
+  return delegations;
+}
+
+/**
+ * Verify balances and voting power against the allocation plan. Recipients must hold at
+ * least their allocation and delegatees at least the planned votes: distributeTokens()
+ * skips recipients that already held their amount, and other holders may delegate too.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} token - TestToken contract
+ * @param {Array<object>} allocations - Allocations from loadAllocations()
+ * @param {object} options - { deployer, delegateDeployer }
+ * @returns {Promise<Array<string>>} Mismatch descriptions (empty when everything matches)
+ */
+export async function verifyDistribution(hre, token, allocations, options = {}) {
+  const { deployer = null, delegateDeployer = false } = options;
+  const mismatches = [];
+  const expectedVotes = new Map();
+  const addVotes = (delegatee, amount) => {
+    const key = hre.ethers.getAddress(delegatee);
+    expectedVotes.set(key, (expectedVotes.get(key) || 0n) + amount);
+  };
+
+  for (const allocation of allocations) {
+    const expected = hre.ethers.parseUnits(allocation.amount, 18);
+    const balance = await token.balanceOf(allocation.address);
+    if (balance < expected) {
+      mismatches.push(`${allocation.address}: balance ${balance} < planned ${expected}`);
+    }
+    if (allocation.delegation) {
+      addVotes(allocation.delegation.delegatee, expected);
+    }
+  }
+
+  if (delegateDeployer && deployer) {
+    addVotes(deployer.address, await token.balanceOf(deployer.address));
+  }
+
+  for (const [delegatee, expected] of expectedVotes) {
+    const votes = await token.getVotes(delegatee);
+    if (votes < expected) {
+      mismatches.push(`${delegatee}: votes ${votes} < planned ${expected}`);
+    }
+  }
+
+  return mismatches;
+}
@@ -0,0 +1,284 @@
+/**
+ * Vote Relayer
+ *
+ * Gasless voting for DAOVoting: voters sign EIP-712 ballots off-chain and a relayer
+ * collects them (from a JSON queue file or an HTTP endpoint), validates them against
+ * the chain and submits them with castVoteBySig() in batches, paying the gas.
+ *
+ * A ballot is { proposalId, support, voter, nonce, reason, signature } with support
+ * 0 = against, 1 = for, 2 = abstain. Ballots of the same voter must be submitted in
+ * nonce order.
+ */
+
+import fs from 'fs';
+import { Contract, getAddress, isAddress, isHexString, verifyTypedData } from 'ethers';
+import { waitForTransaction } from './deployment-helpers.js';
+import { getLogger } from './logger.js';
+
+/**
+ * EIP-712 types of a ballot, matching DAOVoting.BALLOT_TYPEHASH
+ */
+export const BALLOT_TYPES = {
+  Ballot: [
+    { name: 'proposalId', type: 'uint256' },
+    { name: 'support', type: 'uint8' },
+    { name: 'voter', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'reason', type: 'string' },
+  ],
+};
+
+const ACTIVE_STATE = 0n;
+const VOTES_ABI = ['function getPastVotes(address account, uint256 timepoint) view returns (uint256)'];
+
+/**
+ * Read the EIP-712 domain of a DAOVoting contract (ERC-5267)
+ * @param {object} dao - DAOVoting contract
+ * @returns {Promise<object>} { name, version, chainId, verifyingContract }
+ */
+export async function getBallotDomain(dao) {
+  const { name, version, chainId, verifyingContract } = await dao.eip712Domain();
+  return { name, version, chainId, verifyingContract };
+}
+
+/**
+ * Sign a ballot so a relayer can submit it with castVoteBySig
+ * @param {object} dao - DAOVoting contract
+ * @param {object} signer - Voter signing the ballot
+ * @param {object} vote - { proposalId, support, reason, nonce } (nonce defaults to the
+ *   voter's current nonce; pass it explicitly to sign several ballots ahead)
+ * @returns {Promise<object>} Ballot ({ proposalId, support, voter, nonce, reason, signature })
+ */
+export async function signBallot(dao, signer, vote) {
+  const { proposalId, support, reason = '' } = vote;
+  const voter = await signer.getAddress();
+  const nonce = vote.nonce ?? (await dao.nonces(voter));
+  const value = { proposalId, support, voter, nonce, reason };
+
+  const signature = await signer.signTypedData(await getBallotDomain(dao), BALLOT_TYPES, value);
+
+  return { proposalId: proposalId.toString(), support: Number(support), voter, nonce: nonce.toString(), reason, signature };
+}
+
+/**
+ * Load ballots from a JSON queue file or an HTTP(S) endpoint returning the same JSON
+ * (an array of ballots or { ballots: [...] })
+ * @param {string} source - File path or URL
+ * @returns {Promise<Array<object>>} Ballots
+ * @throws {Error} If the source cannot be read or holds no ballot list
+ */
+export async function loadBallots(source) {
+  let data;
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ballots from ${source}: HTTP ${response.status}`);
+    }
+    data = await response.json();
+  } else {
+    if (!fs.existsSync(source)) {
+      throw new Error(`Ballot queue not found: ${source}`);
+    }
+    data = JSON.parse(fs.readFileSync(source, 'utf8'));
+  }
+
+  const ballots = Array.isArray(data) ? data : data?.ballots;
+  if (!Array.isArray(ballots)) {
+    throw new Error(`${source} must contain an array of ballots or { "ballots": [...] }`);
+  }
+  return ballots;
+}
+
+/**
+ * Check the fields of a ballot
+ * @param {object} ballot - Ballot
+ * @returns {string|null} Problem description, or null if well-formed
+ */
+function checkBallotFormat(ballot) {
+  const { proposalId, support, voter, nonce, reason = '', signature } = ballot || {};
+
+  if (!/^\d+$/.test(String(proposalId))) return 'invalid proposalId';
+  if (!/^[012]$/.test(String(support))) return 'invalid support (expected 0, 1 or 2)';
+  if (typeof voter !== 'string' || !isAddress(voter)) return 'invalid voter address';
+  if (!/^\d+$/.test(String(nonce))) return 'invalid nonce';
+  if (typeof reason !== 'string') return 'invalid reason';
+  if (!isHexString(signature)) return 'invalid signature';
+  return null;
+}
+
+/**
+ * Validate ballots off-chain before relaying: format, signature, nonce order, duplicates,
+ * proposal state, earlier votes and voting power at the snapshot
+ * @param {object} dao - DAOVoting contract
+ * @param {Array<object>} ballots - Ballots from loadBallots()
+ * @returns {Promise<{ valid: Array<object>, rejected: Array<object> }>} Normalized valid
+ *   ballots and rejected ones ({ ballot, reason })
+ */
+export async function validateBallots(dao, ballots) {
+  const domain = await getBallotDomain(dao);
+  const token = new Contract(await dao.governanceToken(), VOTES_ABI, dao.runner);
+  const provider = dao.runner.provider;
+
+  const nextNonce = new Map();
+  const seen = new Set();
+  const proposals = new Map();
+  const valid = [];
+  const rejected = [];
+  const reject = (ballot, reason) => rejected.push({ ballot, reason });
+
+  for (const ballot of ballots) {
+    const problem = checkBallotFormat(ballot);
+    if (problem) {
+      reject(ballot, problem);
+      continue;
+    }
+
+    const normalized = {
+      proposalId: BigInt(ballot.proposalId),
+      support: Number(ballot.support),
+      voter: getAddress(ballot.voter),
+      nonce: BigInt(ballot.nonce),
+      reason: ballot.reason || '',
+      signature: ballot.signature,
+    };
+    const { proposalId, support, voter, nonce, reason, signature } = normalized;
+
+    const key = `${voter}:${proposalId}`;
+    if (seen.has(key)) {
+      reject(ballot, 'duplicate ballot');
+      continue;
+    }
+
+    let signer;
+    try {
+      signer = verifyTypedData(domain, BALLOT_TYPES, { proposalId, support, voter, nonce, reason }, signature);
+    } catch {
+      signer = null;
+    }
+    // Contract wallets (ERC-1271) are checked on-chain only
+    if (signer !== voter && (await provider.getCode(voter)) === '0x') {
+      reject(ballot, 'signature does not match voter');
+      continue;
+    }
+
+    if (!nextNonce.has(voter)) {
+      nextNonce.set(voter, await dao.nonces(voter));
+    }
+    if (nonce !== nextNonce.get(voter)) {
+      reject(ballot, `nonce ${nonce} does not match expected ${nextNonce.get(voter)}`);
+      continue;
+    }
+
+    if (!proposals.has(proposalId)) {
+      proposals.set(proposalId, {
+        state: await dao.state(proposalId),
+        snapshotBlock: (await dao.getProposal(proposalId)).snapshotBlock,
+      });
+    }
+    const { state, snapshotBlock } = proposals.get(proposalId);
+    if (state !== ACTIVE_STATE) {
+      reject(ballot, 'proposal not active');
+      continue;
+    }
+    if (await dao.hasVoted(proposalId, voter)) {
+      reject(ballot, 'already voted');
+      continue;
+    }
+    // Left to the chain while the snapshot block is still the latest block (getPastVotes reverts)
+    const weight = await token.getPastVotes(voter, snapshotBlock).catch(() => null);
+    if (weight === 0n) {
+      reject(ballot, 'no voting power at snapshot');
+      continue;
+    }
+
+    seen.add(key);
+    nextNonce.set(voter, nonce + 1n);
+    valid.push(normalized);
+  }
+
+  return { valid, rejected };
+}
+
+/**
+ * Split ballots into batches of at most batchSize, each voter at most once per batch and
+ * in nonce order across batches
+ * @param {Array<object>} ballots - Valid ballots from validateBallots()
+ * @param {number} batchSize - Maximum ballots per batch
+ * @returns {Array<Array<object>>} Batches
+ */
+function planBatches(ballots, batchSize) {
+  const batches = [];
+  const lastBatch = new Map();
+
+  for (const ballot of ballots) {
+    let index = (lastBatch.get(ballot.voter) ?? -1) + 1;
+    while (batches[index]?.length >= batchSize) {
+      index++;
+    }
+    (batches[index] ??= []).push(ballot);
+    lastBatch.set(ballot.voter, index);
+  }
+
+  return batches;
+}
+
+/**
+ * Submit validated ballots with castVoteBySig. Ballots in a batch are broadcast back to
+ * back and then awaited together; a batch holds at most one ballot per voter, so a
+ * voter's next ballot is only sent once the previous one has mined (nodes check the
+ * signature nonce against the latest block). A ballot that fails to send or confirm is
+ * reported and the others are still relayed.
+ * @param {object} dao - DAOVoting contract connected to the relaying account
+ * @param {Array<object>} ballots - Valid ballots from validateBallots()
+ * @param {object} options - { batchSize, confirmations, logger }
+ * @returns {Promise<object>} { relayed: [{ voter, proposalId, support, transactionHash }],
+ *   failed: [{ ballot, reason }] }
+ */
+export async function relayBallots(dao, ballots, options = {}) {
+  const { batchSize = 10, confirmations = 1, logger = getLogger() } = options;
+  const relayed = [];
+  const failed = [];
+
+  const fail = (ballot, error) => {
+    logger.error(`  ❌ Relaying the ballot of ${ballot.voter} on proposal ${ballot.proposalId} failed: ${error.message}`, {
+      event: 'relayer.failed',
+      voter: ballot.voter,
+      proposalId: ballot.proposalId.toString(),
+      reason: error.message,
+    });
+    failed.push({ ballot, reason: error.message });
+  };
+
+  for (const [batchIndex, batch] of planBatches(ballots, batchSize).entries()) {
+    logger.info(`\n🗳️  Relaying ballot batch ${batchIndex + 1} (${batch.length} votes)...`, {
+      event: 'relayer.batch',
+      batch: batchIndex + 1,
+      voters: batch.map(({ voter }) => voter),
+    });
+
+    const sent = [];
+    for (const ballot of batch) {
+      const { proposalId, support, voter, reason, signature } = ballot;
+      try {
+        sent.push({ ballot, tx: await dao.castVoteBySig(proposalId, support, voter, reason, signature) });
+      } catch (error) {
+        fail(ballot, error);
+      }
+    }
+    const results = await Promise.allSettled(
+      sent.map(({ tx }) => waitForTransaction(tx, confirmations, { signer: dao.runner, logger }))
+    );
+
+    results.forEach((result, index) => {
+      const { ballot } = sent[index];
+      if (result.status === 'rejected') {
+        fail(ballot, result.reason);
+        return;
+      }
+      const { voter, proposalId, support } = ballot;
+      relayed.push({ voter, proposalId: proposalId.toString(), support, transactionHash: result.value.hash });
+    });
+  }
+
+  return { relayed, failed };
+}
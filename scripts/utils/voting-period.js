@@ -0,0 +1,130 @@
+/**
+ * Voting Period Conversion
+ *
+ * DAOVoting measures its voting period in blocks. These helpers let the config
+ * express it as a duration (`votingPeriod: "7d"`) and convert it to blocks using
+ * the network's configured average block time or one sampled from recent blocks.
+ * The timelock delay is measured in seconds and may be a duration as well.
+ */
+
+/**
+ * Longest timelock delay DAOVoting accepts (MAX_TIMELOCK_DELAY, 30 days)
+ */
+export const MAX_TIMELOCK_DELAY_SECONDS = 30 * 86400;
+
+const DURATION_UNITS = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+const DURATION_PATTERN = /^(\d+[wdhms])+$/;
+
+/**
+ * Parse a duration such as "7d", "36h" or "1w2d12h" into seconds
+ * @param {string} duration - Duration string (units: w, d, h, m, s)
+ * @returns {number} Duration in seconds
+ * @throws {Error} If the duration is malformed or zero
+ */
+export function parseDuration(duration) {
+  if (typeof duration !== 'string' || !DURATION_PATTERN.test(duration)) {
+    throw new Error(`Invalid duration "${duration}": expected e.g. "7d", "36h" or "1w2d"`);
+  }
+
+  const seconds = [...duration.matchAll(/(\d+)([wdhms])/g)]
+    .reduce((total, [, amount, unit]) => total + Number(amount) * DURATION_UNITS[unit], 0);
+
+  if (seconds === 0) {
+    throw new Error(`Invalid duration "${duration}": must be greater than zero`);
+  }
+  return seconds;
+}
+
+/**
+ * Format seconds as a compact duration (e.g. 612000 -> "7d 2h")
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(seconds) {
+  let remaining = Math.round(seconds);
+  const parts = [];
+
+  for (const [unit, size] of Object.entries(DURATION_UNITS)) {
+    if (unit === 'w') {
+      continue; // days read better than weeks in reports
+    }
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+
+  return parts.length > 0 ? parts.join(' ') : '0s';
+}
+
+/**
+ * Estimate the average block time from recent block timestamps
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} options - { sampleSize } (number of recent blocks, default 100)
+ * @returns {Promise<number|null>} Seconds per block, or null if the chain is too
+ *   short or its timestamps do not advance
+ */
+export async function estimateBlockTime(hre, options = {}) {
+  const { sampleSize = 100 } = options;
+  const provider = hre.ethers.provider;
+
+  const latest = await provider.getBlock('latest');
+  const fromNumber = Math.max(0, latest.number - sampleSize);
+  if (latest.number === fromNumber) {
+    return null;
+  }
+
+  const from = await provider.getBlock(fromNumber);
+  const blockTime = (latest.timestamp - from.timestamp) / (latest.number - fromNumber);
+
+  return blockTime > 0 ? blockTime : null;
+}
+
+/**
+ * Resolve the voting period of a network configuration in blocks. `votingPeriod`
+ * durations are converted with `blockTimeSeconds` from the config, falling back to
+ * a block time sampled from the provider.
+ * @param {object} hre - Hardhat Runtime Environment
+ * @param {object} config - Network configuration
+ * @param {object} options - { sampleSize } (see estimateBlockTime)
+ * @returns {Promise<object>} { votingPeriodBlocks, blockTimeSeconds, blockTimeSource,
+ *   durationSeconds } (block time and duration are null when unknown)
+ */
+export async function resolveVotingPeriod(hre, config, options = {}) {
+  let blockTimeSeconds = config.blockTimeSeconds ?? null;
+  let blockTimeSource = blockTimeSeconds === null ? null : 'config';
+
+  if (blockTimeSeconds === null) {
+    blockTimeSeconds = await estimateBlockTime(hre, options);
+    blockTimeSource = blockTimeSeconds === null ? null : 'sampled';
+  }
+
+  let votingPeriodBlocks = config.dao.votingPeriodBlocks;
+  if (config.dao.votingPeriod !== undefined) {
+    if (blockTimeSeconds === null) {
+      throw new Error(
+        `Cannot convert votingPeriod "${config.dao.votingPeriod}" to blocks: ` +
+        'not enough blocks to sample, set blockTimeSeconds for this network'
+      );
+    }
+    votingPeriodBlocks = Math.max(1, Math.ceil(parseDuration(config.dao.votingPeriod) / blockTimeSeconds));
+  }
+
+  return {
+    votingPeriodBlocks,
+    blockTimeSeconds,
+    blockTimeSource,
+    durationSeconds: blockTimeSeconds === null ? null : votingPeriodBlocks * blockTimeSeconds,
+  };
+}
+
+/**
+ * Resolve the timelock delay of a network configuration in seconds
+ * @param {object} config - Network configuration
+ * @returns {number} `dao.timelockDelay` in seconds (a number of seconds or a duration
+ *   such as "2d"), 0 when unset
+ */
+export function resolveTimelockDelay(config) {
+  const { timelockDelay = 0 } = config.dao;
+  return typeof timelockDelay === 'string' ? parseDuration(timelockDelay) : timelockDelay;
+}
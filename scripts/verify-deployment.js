@@ -0,0 +1,72 @@
+/**
+ * Verify-Only Command
+ *
+ * Verifies the contracts of the latest saved deployment on the block explorer, e.g.
+ * after verification failed or was skipped with SKIP_VERIFICATION=true. Uses the
+ * constructor args recorded in deployments/<network>-latest.json, retries while the
+ * explorer is still indexing, and records the outcome in `verification.completed`. The
+ * explorer API key is the network's `verification.apiKey` from deploy.config.js.
+ *
+ * Usage:
+ *   npx hardhat run scripts/verify-deployment.js --network sepolia
+ *
+ * Exits non-zero if any contract could not be verified.
+ */
+
+import hre from "hardhat";
+import { getConfig } from "../deploy.config.js";
+import {
+  connectRuntime,
+  loadLatestDeployment,
+  summarizeVerification,
+  verifyContract
+} from "./utils/deployment-helpers.js";
+import { updateDeployment } from "./utils/deployment-registry.js";
+import { getLogger } from "./utils/logger.js";
+
+// Configured with LOG_FORMAT, LOG_LEVEL and DEPLOYMENT_CORRELATION_ID
+const logger = getLogger();
+
+async function main() {
+  const runtime = await connectRuntime(hre);
+  const network = runtime.network.name;
+  const deployment = loadLatestDeployment(network, { logger });
+  if (!deployment) {
+    throw new Error(`No saved deployment found for ${network}`);
+  }
+
+  const apiKey = getConfig(network).verification?.apiKey;
+
+  logger.info(`🔍 Verifying ${network} deployment from ${deployment.timestamp}`, { network, deploymentId: deployment.id });
+
+  const results = {};
+  for (const [contractName, contract] of Object.entries(deployment.contracts)) {
+    logger.info(`\n${contractName}:`);
+    results[contractName] = await verifyContract(runtime, contract.address, contract.constructorArgs || [], {
+      apiKey,
+      logger,
+    });
+  }
+
+  const { completed, contracts } = summarizeVerification(results);
+  updateDeployment(network, "active", {
+    verification: {
+      ...deployment.verification,
+      completed,
+      contracts,
+      verifiedAt: completed ? new Date().toISOString() : null,
+    },
+  });
+  logger.info(`\n💾 Recorded verification.completed = ${completed}`, { completed });
+
+  if (!completed) {
+    process.exit(1);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -37,7 +37,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
     const DAOVoting = await ethers.getContractFactory("DAOVoting");
     const quorumNumerator = 20; // 20%
     const votingPeriodBlocks = 10;
-    const dao = await DAOVoting.deploy(await token.getAddress(), quorumNumerator, votingPeriodBlocks);
+    const dao = await DAOVoting.deploy(await token.getAddress(), quorumNumerator, votingPeriodBlocks, 0, 0, 0);
     await dao.waitForDeployment();
 
     // Distribute tokens
@@ -87,7 +87,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
       const DAOVoting = await ethers.getContractFactory("DAOVoting");
 
       await expect(
-        DAOVoting.deploy(ethers.ZeroAddress, 20, 10)
+        DAOVoting.deploy(ethers.ZeroAddress, 20, 10, 0, 0, 0)
       ).to.be.revertedWith("token zero");
     });
 
@@ -96,8 +96,8 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
       const DAOVoting = await ethers.getContractFactory("DAOVoting");
       const tokenAddr = await token.getAddress();
 
-      await expect(DAOVoting.deploy(tokenAddr, 0, 10)).to.be.revertedWith("invalid quorum");
-      await expect(DAOVoting.deploy(tokenAddr, 101, 10)).to.be.revertedWith("invalid quorum");
+      await expect(DAOVoting.deploy(tokenAddr, 0, 10, 0, 0, 0)).to.be.revertedWith("invalid quorum");
+      await expect(DAOVoting.deploy(tokenAddr, 101, 10, 0, 0, 0)).to.be.revertedWith("invalid quorum");
     });
 
     it("Should revert with zero voting period", async function () {
@@ -105,9 +105,18 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
       const DAOVoting = await ethers.getContractFactory("DAOVoting");
 
       await expect(
-        DAOVoting.deploy(await token.getAddress(), 20, 0)
+        DAOVoting.deploy(await token.getAddress(), 20, 0, 0, 0, 0)
       ).to.be.revertedWith("voting period zero");
     });
+
+    it("Should revert with a timelock delay over 30 days", async function () {
+      const { token } = await helpers.loadFixture(deployDAOFixture);
+      const DAOVoting = await ethers.getContractFactory("DAOVoting");
+
+      await expect(
+        DAOVoting.deploy(await token.getAddress(), 20, 10, 30 * 24 * 60 * 60 + 1, 0, 0)
+      ).to.be.revertedWith("timelock delay too long");
+    });
   });
 
   describe("Proposal Creation", function () {
@@ -134,6 +143,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
       expect(proposal.description).to.equal(description);
       expect(proposal.forVotes).to.equal(0);
       expect(proposal.againstVotes).to.equal(0);
+      expect(proposal.abstainVotes).to.equal(0);
       expect(proposal.canceled).to.equal(false);
       expect(proposal.executed).to.equal(false);
     });
@@ -238,7 +248,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
       
       await expect(dao.connect(alice).vote(proposalId, true))
         .to.emit(dao, "VoteCast")
-        .withArgs(alice.address, proposalId, true, votingPower);
+        .withArgs(alice.address, proposalId, 1, votingPower, "");
 
       const proposal = await dao.getProposal(proposalId);
       expect(proposal.forVotes).to.equal(votingPower);
@@ -285,7 +295,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
       // Vote should use snapshot weight, not current
       await expect(dao.connect(alice).vote(proposalId, true))
         .to.emit(dao, "VoteCast")
-        .withArgs(alice.address, proposalId, true, weightAtSnapshot);
+        .withArgs(alice.address, proposalId, 1, weightAtSnapshot, "");
     });
 
     it("Should prevent voting with zero voting power", async function () {
@@ -359,6 +369,269 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
     });
   });
 
+  describe("Abstain Votes and Reasons", function () {
+    const AGAINST = 0;
+    const FOR = 1;
+    const ABSTAIN = 2;
+
+    async function createProposal(dao, creator) {
+      const tx = await dao.connect(creator).createProposal("Test");
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return dao.interface.parseLog(log).name === "ProposalCreated";
+        } catch {
+          return false;
+        }
+      });
+      return dao.interface.parseLog(event).args.id;
+    }
+
+    it("Should record abstain votes separately", async function () {
+      const { dao, token, alice, bob } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+      const bobVotes = await token.getVotes(bob.address);
+
+      await expect(dao.connect(bob).castVote(proposalId, ABSTAIN))
+        .to.emit(dao, "VoteCast")
+        .withArgs(bob.address, proposalId, ABSTAIN, bobVotes, "");
+
+      const proposal = await dao.getProposal(proposalId);
+      expect(proposal.abstainVotes).to.equal(bobVotes);
+      expect(proposal.forVotes).to.equal(0);
+      expect(proposal.againstVotes).to.equal(0);
+      expect(await dao.hasVoted(proposalId, bob.address)).to.equal(true);
+    });
+
+    it("Should emit the reason given with castVoteWithReason", async function () {
+      const { dao, token, alice, charlie } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+      const reason = "Budget is too large for this quarter";
+
+      await expect(dao.connect(charlie).castVoteWithReason(proposalId, AGAINST, reason))
+        .to.emit(dao, "VoteCast")
+        .withArgs(charlie.address, proposalId, AGAINST, await token.getVotes(charlie.address), reason);
+
+      expect((await dao.getProposal(proposalId)).againstVotes).to.equal(await token.getVotes(charlie.address));
+    });
+
+    it("Should count abstain votes toward quorum", async function () {
+      const { dao, alice, charlie, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+
+      // Charlie's 100k for alone misses the 330k quorum; Alice's 300k abstain reaches it
+      await dao.connect(charlie).castVote(proposalId, FOR);
+      await dao.connect(alice).castVote(proposalId, ABSTAIN);
+
+      await helpers.mine(votingPeriodBlocks + 1);
+
+      expect(await dao.state(proposalId)).to.equal(1); // Succeeded
+    });
+
+    it("Should not count abstain votes toward the outcome", async function () {
+      const { dao, alice, charlie, david, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+
+      // Quorum is met, but 50k for vs 100k against
+      await dao.connect(alice).castVote(proposalId, ABSTAIN);
+      await dao.connect(david).castVote(proposalId, FOR);
+      await dao.connect(charlie).castVote(proposalId, AGAINST);
+
+      await helpers.mine(votingPeriodBlocks + 1);
+
+      expect(await dao.state(proposalId)).to.equal(2); // Defeated
+    });
+
+    it("Should defeat a proposal with only abstain votes", async function () {
+      const { dao, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+
+      await dao.connect(alice).castVote(proposalId, ABSTAIN);
+      await dao.connect(bob).castVote(proposalId, ABSTAIN);
+
+      await helpers.mine(votingPeriodBlocks + 1);
+
+      expect(await dao.state(proposalId)).to.equal(2); // Defeated
+    });
+
+    it("Should reject an unknown vote type", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+
+      await expect(
+        dao.connect(alice).castVote(proposalId, 3)
+      ).to.be.revertedWith("invalid vote type");
+      await expect(
+        dao.connect(alice).castVoteWithReason(proposalId, 3, "")
+      ).to.be.revertedWith("invalid vote type");
+    });
+
+    it("Should allow one vote per address across all voting functions", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+
+      await dao.connect(alice).vote(proposalId, true);
+
+      await expect(
+        dao.connect(alice).castVote(proposalId, ABSTAIN)
+      ).to.be.revertedWith("already voted");
+      await expect(
+        dao.connect(alice).castVoteWithReason(proposalId, AGAINST, "Changed my mind")
+      ).to.be.revertedWith("already voted");
+    });
+
+    it("Should apply the same checks as vote()", async function () {
+      const { dao, alice, attacker, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+
+      await expect(
+        dao.connect(attacker).castVote(proposalId, ABSTAIN)
+      ).to.be.revertedWith("no voting power at snapshot");
+      await expect(
+        dao.connect(alice).castVote(999, ABSTAIN)
+      ).to.be.revertedWith("proposal not found");
+
+      await helpers.mine(votingPeriodBlocks + 1);
+      await expect(
+        dao.connect(alice).castVoteWithReason(proposalId, FOR, "Late")
+      ).to.be.revertedWith("voting ended");
+    });
+  });
+
+  describe("Signature Voting", function () {
+    const BALLOT_TYPES = {
+      Ballot: [
+        { name: "proposalId", type: "uint256" },
+        { name: "support", type: "uint8" },
+        { name: "voter", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "reason", type: "string" },
+      ],
+    };
+
+    async function createProposal(dao, creator) {
+      const tx = await dao.connect(creator).createProposal("Test");
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return dao.interface.parseLog(log).name === "ProposalCreated";
+        } catch {
+          return false;
+        }
+      });
+      return dao.interface.parseLog(event).args.id;
+    }
+
+    async function signBallot(dao, signer, proposalId, support, reason, nonce) {
+      const domain = {
+        name: "DAOVoting",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await dao.getAddress(),
+      };
+      const value = {
+        proposalId,
+        support,
+        voter: signer.address,
+        nonce: nonce ?? await dao.nonces(signer.address),
+        reason,
+      };
+      return signer.signTypedData(domain, BALLOT_TYPES, value);
+    }
+
+    it("Should expose the EIP-712 domain", async function () {
+      const { dao } = await helpers.loadFixture(deployDAOFixture);
+      const domain = await dao.eip712Domain();
+
+      expect(domain.name).to.equal("DAOVoting");
+      expect(domain.version).to.equal("1");
+      expect(domain.chainId).to.equal((await ethers.provider.getNetwork()).chainId);
+      expect(domain.verifyingContract).to.equal(await dao.getAddress());
+      expect(await dao.BALLOT_TYPEHASH()).to.equal(
+        ethers.id("Ballot(uint256 proposalId,uint8 support,address voter,uint256 nonce,string reason)")
+      );
+    });
+
+    it("Should count a vote signed by the voter and submitted by a relayer", async function () {
+      const { dao, token, alice, attacker } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+      const signature = await signBallot(dao, alice, proposalId, 1, "Signed off-chain");
+
+      await expect(dao.connect(attacker).castVoteBySig(proposalId, 1, alice.address, "Signed off-chain", signature))
+        .to.emit(dao, "VoteCast")
+        .withArgs(alice.address, proposalId, 1, await token.getVotes(alice.address), "Signed off-chain");
+
+      expect((await dao.getProposal(proposalId)).forVotes).to.equal(await token.getVotes(alice.address));
+      expect(await dao.hasVoted(proposalId, alice.address)).to.equal(true);
+      expect(await dao.hasVoted(proposalId, attacker.address)).to.equal(false);
+      expect(await dao.nonces(alice.address)).to.equal(1);
+    });
+
+    it("Should reject a replayed signature", async function () {
+      const { dao, alice, bob } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+      const signature = await signBallot(dao, alice, proposalId, 1, "");
+
+      await dao.connect(bob).castVoteBySig(proposalId, 1, alice.address, "", signature);
+
+      await expect(
+        dao.connect(bob).castVoteBySig(proposalId, 1, alice.address, "", signature)
+      ).to.be.revertedWith("invalid signature");
+    });
+
+    it("Should reject a signature from another account", async function () {
+      const { dao, alice, bob } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+      const signature = await signBallot(dao, bob, proposalId, 1, "", await dao.nonces(alice.address));
+
+      await expect(
+        dao.castVoteBySig(proposalId, 1, alice.address, "", signature)
+      ).to.be.revertedWith("invalid signature");
+    });
+
+    it("Should reject a ballot whose vote or reason was changed", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+      const signature = await signBallot(dao, alice, proposalId, 1, "Yes");
+
+      await expect(
+        dao.castVoteBySig(proposalId, 0, alice.address, "Yes", signature)
+      ).to.be.revertedWith("invalid signature");
+      await expect(
+        dao.castVoteBySig(proposalId, 1, alice.address, "No", signature)
+      ).to.be.revertedWith("invalid signature");
+      expect(await dao.nonces(alice.address)).to.equal(0);
+    });
+
+    it("Should reject a ballot signed for a future nonce", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+      const signature = await signBallot(dao, alice, proposalId, 1, "", 1n);
+
+      await expect(
+        dao.castVoteBySig(proposalId, 1, alice.address, "", signature)
+      ).to.be.revertedWith("invalid signature");
+    });
+
+    it("Should apply the voting rules to signed votes", async function () {
+      const { dao, alice, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      const proposalId = await createProposal(dao, alice);
+
+      await dao.connect(alice).vote(proposalId, true);
+      const duplicate = await signBallot(dao, alice, proposalId, 2, "");
+      await expect(
+        dao.castVoteBySig(proposalId, 2, alice.address, "", duplicate)
+      ).to.be.revertedWith("already voted");
+
+      const laterProposalId = await createProposal(dao, alice);
+      await helpers.mine(votingPeriodBlocks + 1);
+      const late = await signBallot(dao, alice, laterProposalId, 1, "");
+      await expect(
+        dao.castVoteBySig(laterProposalId, 1, alice.address, "", late)
+      ).to.be.revertedWith("voting ended");
+    });
+  });
+
   describe("Proposal State Management", function () {
     async function createProposal(dao, creator) {
       const tx = await dao.connect(creator).createProposal("Test");
@@ -437,6 +710,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
 
       await helpers.mine(votingPeriodBlocks + 1);
 
+      await dao.queueProposal(proposalId);
       await dao.executeProposal(proposalId);
 
       expect(await dao.state(proposalId)).to.equal(4); // Executed
@@ -472,6 +746,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
 
       await helpers.mine(votingPeriodBlocks + 1);
 
+      await dao.queueProposal(proposalId);
       await expect(dao.executeProposal(proposalId))
         .to.emit(dao, "ProposalExecuted")
         .withArgs(proposalId);
@@ -514,6 +789,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
 
       await helpers.mine(votingPeriodBlocks + 1);
 
+      await dao.queueProposal(proposalId);
       await dao.executeProposal(proposalId);
 
       await expect(
@@ -546,6 +822,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
 
       await helpers.mine(votingPeriodBlocks + 1);
 
+      await dao.queueProposal(proposalId);
       await expect(dao.connect(attacker).executeProposal(proposalId))
         .to.emit(dao, "ProposalExecuted");
     });
@@ -606,6 +883,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
 
       await helpers.mine(votingPeriodBlocks + 1);
 
+      await dao.queueProposal(proposalId);
       await dao.executeProposal(proposalId);
 
       await expect(
@@ -614,6 +892,495 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
     });
   });
 
+  describe("Proposal Actions", function () {
+    const PROPOSE_WITH_ACTIONS = "createProposal(address[],uint256[],bytes[],string)";
+
+    async function createProposalWithActions(dao, creator, targets, values, calldatas) {
+      const tx = await dao.connect(creator)[PROPOSE_WITH_ACTIONS](targets, values, calldatas, "Actions");
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return dao.interface.parseLog(log).name === "ProposalCreated";
+        } catch {
+          return false;
+        }
+      });
+      return dao.interface.parseLog(event).args.id;
+    }
+
+    // Votes the proposal through and queues it (the fixture has no timelock delay)
+    async function passProposal(dao, proposalId, voters, votingPeriodBlocks) {
+      for (const voter of voters) {
+        await dao.connect(voter).vote(proposalId, true);
+      }
+      await helpers.mine(votingPeriodBlocks + 1);
+      await dao.queueProposal(proposalId);
+    }
+
+    it("Should store the actions and emit ProposalActionsSet", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+      const daoAddress = await dao.getAddress();
+      const calldata = dao.interface.encodeFunctionData("setQuorumNumerator", [15]);
+
+      await expect(dao.connect(alice)[PROPOSE_WITH_ACTIONS]([daoAddress], [0], [calldata], "Lower quorum"))
+        .to.emit(dao, "ProposalActionsSet")
+        .withArgs(1, [daoAddress], [0], [calldata]);
+
+      const [targets, values, calldatas] = await dao.getActions(1);
+      expect(targets).to.deep.equal([daoAddress]);
+      expect(values).to.deep.equal([0n]);
+      expect(calldatas).to.deep.equal([calldata]);
+    });
+
+    it("Should return no actions for a text-only proposal", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+      await dao.connect(alice).createProposal("Signal only");
+
+      const [targets, values, calldatas] = await dao.getActions(1);
+      expect(targets).to.be.empty;
+      expect(values).to.be.empty;
+      expect(calldatas).to.be.empty;
+    });
+
+    it("Should reject mismatched action arrays", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+
+      await expect(
+        dao.connect(alice)[PROPOSE_WITH_ACTIONS]([alice.address], [0, 0], ["0x"], "Bad")
+      ).to.be.revertedWith("invalid action lengths");
+    });
+
+    it("Should reject an action targeting the zero address", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+
+      await expect(
+        dao.connect(alice)[PROPOSE_WITH_ACTIONS]([ethers.ZeroAddress], [0], ["0x"], "Bad")
+      ).to.be.revertedWith("action target zero");
+    });
+
+    it("Should execute the actions in order when the proposal succeeds", async function () {
+      const { dao, token, owner, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      const daoAddress = await dao.getAddress();
+      await dao.connect(owner).transferOwnership(daoAddress);
+      await token.connect(owner).transferOwnership(daoAddress);
+
+      const proposalId = await createProposalWithActions(
+        dao,
+        alice,
+        [daoAddress, daoAddress, await token.getAddress()],
+        [0, 0, 0],
+        [
+          dao.interface.encodeFunctionData("setQuorumNumerator", [15]),
+          dao.interface.encodeFunctionData("setVotingPeriodBlocks", [30]),
+          token.interface.encodeFunctionData("mint", [bob.address, ethers.parseUnits("1000", 18)]),
+        ]
+      );
+      await passProposal(dao, proposalId, [alice, bob], votingPeriodBlocks);
+      const bobBalance = await token.balanceOf(bob.address);
+
+      await expect(dao.executeProposal(proposalId))
+        .to.emit(dao, "QuorumChanged").withArgs(15)
+        .and.to.emit(dao, "VotingPeriodChanged").withArgs(30)
+        .and.to.emit(dao, "ProposalExecuted").withArgs(proposalId);
+
+      expect(await dao.quorumNumerator()).to.equal(15);
+      expect(await dao.votingPeriodBlocks()).to.equal(30);
+      expect(await token.balanceOf(bob.address)).to.equal(bobBalance + ethers.parseUnits("1000", 18));
+    });
+
+    it("Should send ETH held by the DAO with an action", async function () {
+      const { dao, owner, alice, bob, charlie, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      await owner.sendTransaction({ to: await dao.getAddress(), value: ethers.parseEther("2") });
+
+      const proposalId = await createProposalWithActions(dao, alice, [charlie.address], [ethers.parseEther("1.5")], ["0x"]);
+      await passProposal(dao, proposalId, [alice, bob], votingPeriodBlocks);
+
+      await expect(dao.executeProposal(proposalId))
+        .to.changeEtherBalances(ethers, [dao, charlie], [ethers.parseEther("-1.5"), ethers.parseEther("1.5")]);
+    });
+
+    it("Should revert the whole execution with the target's error when an action fails", async function () {
+      const { dao, token, owner, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      const daoAddress = await dao.getAddress();
+      await dao.connect(owner).transferOwnership(daoAddress);
+
+      // The quorum change would succeed, but the DAO does not own the token
+      const proposalId = await createProposalWithActions(
+        dao,
+        alice,
+        [daoAddress, await token.getAddress()],
+        [0, 0],
+        [
+          dao.interface.encodeFunctionData("setQuorumNumerator", [15]),
+          token.interface.encodeFunctionData("mint", [bob.address, 1]),
+        ]
+      );
+      await passProposal(dao, proposalId, [alice, bob], votingPeriodBlocks);
+
+      await expect(dao.executeProposal(proposalId))
+        .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount")
+        .withArgs(daoAddress);
+
+      expect(await dao.quorumNumerator()).to.equal(20);
+      expect((await dao.getProposal(proposalId)).executed).to.equal(false);
+      expect(await dao.state(proposalId)).to.equal(6); // Still Queued
+    });
+
+    it("Should bubble require messages from a failing action", async function () {
+      const { dao, owner, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      const daoAddress = await dao.getAddress();
+      await dao.connect(owner).transferOwnership(daoAddress);
+
+      const proposalId = await createProposalWithActions(
+        dao,
+        alice,
+        [daoAddress],
+        [0],
+        [dao.interface.encodeFunctionData("setQuorumNumerator", [0])]
+      );
+      await passProposal(dao, proposalId, [alice, bob], votingPeriodBlocks);
+
+      await expect(dao.executeProposal(proposalId)).to.be.revertedWith("invalid quorum");
+    });
+
+    it("Should revert with FailedCall when an ETH transfer fails without a reason", async function () {
+      const { dao, alice, bob, charlie, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+
+      // The DAO holds no ETH
+      const proposalId = await createProposalWithActions(dao, alice, [charlie.address], [1], ["0x"]);
+      await passProposal(dao, proposalId, [alice, bob], votingPeriodBlocks);
+
+      await expect(dao.executeProposal(proposalId)).to.be.revertedWithCustomError(dao, "FailedCall");
+    });
+  });
+
+  describe("Timelock Queue", function () {
+    const ONE_DAY = 24 * 60 * 60;
+    const GRACE_PERIOD = 14 * ONE_DAY;
+
+    async function deployTimelockedDAOFixture() {
+      const fixture = await deployDAOFixture();
+      const DAOVoting = await ethers.getContractFactory("DAOVoting");
+      const dao = await DAOVoting.deploy(await fixture.token.getAddress(), 20, fixture.votingPeriodBlocks, ONE_DAY, 0, 0);
+      await dao.waitForDeployment();
+      return { ...fixture, dao };
+    }
+
+    async function createProposal(dao, creator) {
+      const tx = await dao.connect(creator).createProposal("Timelocked");
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return dao.interface.parseLog(log).name === "ProposalCreated";
+        } catch {
+          return false;
+        }
+      });
+      return dao.interface.parseLog(event).args.id;
+    }
+
+    async function createPassedProposal(dao, alice, bob, votingPeriodBlocks) {
+      const proposalId = await createProposal(dao, alice);
+      await dao.connect(alice).vote(proposalId, true);
+      await dao.connect(bob).vote(proposalId, true);
+      await helpers.mine(votingPeriodBlocks + 1);
+      return proposalId;
+    }
+
+    it("Should deploy with the configured delay", async function () {
+      const { dao } = await helpers.loadFixture(deployTimelockedDAOFixture);
+
+      expect(await dao.timelockDelay()).to.equal(ONE_DAY);
+      expect(await dao.MAX_TIMELOCK_DELAY()).to.equal(30 * ONE_DAY);
+      expect(await dao.GRACE_PERIOD()).to.equal(GRACE_PERIOD);
+    });
+
+    it("Should queue a successful proposal with an eta after the delay", async function () {
+      const { dao, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployTimelockedDAOFixture);
+      const proposalId = await createPassedProposal(dao, alice, bob, votingPeriodBlocks);
+
+      const tx = await dao.queueProposal(proposalId);
+      const block = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      const eta = BigInt(block.timestamp + ONE_DAY);
+
+      await expect(tx).to.emit(dao, "ProposalQueued").withArgs(proposalId, eta);
+      expect((await dao.getProposal(proposalId)).eta).to.equal(eta);
+      expect(await dao.state(proposalId)).to.equal(6); // Queued
+    });
+
+    it("Should prevent execution before the timelock elapses", async function () {
+      const { dao, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployTimelockedDAOFixture);
+      const proposalId = await createPassedProposal(dao, alice, bob, votingPeriodBlocks);
+      await dao.queueProposal(proposalId);
+
+      await helpers.time.increase(ONE_DAY - 10);
+
+      await expect(dao.executeProposal(proposalId)).to.be.revertedWith("timelock not elapsed");
+    });
+
+    it("Should execute once the timelock elapses", async function () {
+      const { dao, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployTimelockedDAOFixture);
+      const proposalId = await createPassedProposal(dao, alice, bob, votingPeriodBlocks);
+      await dao.queueProposal(proposalId);
+
+      await helpers.time.increase(ONE_DAY);
+
+      await expect(dao.executeProposal(proposalId))
+        .to.emit(dao, "ProposalExecuted")
+        .withArgs(proposalId);
+      expect(await dao.state(proposalId)).to.equal(4); // Executed
+    });
+
+    it("Should expire a queued proposal after the grace period", async function () {
+      const { dao, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployTimelockedDAOFixture);
+      const proposalId = await createPassedProposal(dao, alice, bob, votingPeriodBlocks);
+      await dao.queueProposal(proposalId);
+
+      await helpers.time.increase(ONE_DAY + GRACE_PERIOD + 1);
+
+      expect(await dao.state(proposalId)).to.equal(7); // Expired
+      await expect(dao.executeProposal(proposalId)).to.be.revertedWith("proposal expired");
+      await expect(dao.queueProposal(proposalId)).to.be.revertedWith("proposal not successful");
+    });
+
+    it("Should require queueing before execution", async function () {
+      const { dao, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployTimelockedDAOFixture);
+      const proposalId = await createPassedProposal(dao, alice, bob, votingPeriodBlocks);
+
+      await expect(dao.executeProposal(proposalId)).to.be.revertedWith("proposal not queued");
+    });
+
+    it("Should only queue successful proposals", async function () {
+      const { dao, alice, bob, david, votingPeriodBlocks } = await helpers.loadFixture(deployTimelockedDAOFixture);
+
+      const defeatedId = await createProposal(dao, alice);
+      await dao.connect(david).vote(defeatedId, true);
+      await expect(dao.queueProposal(defeatedId)).to.be.revertedWith("proposal not successful"); // Active
+
+      await helpers.mine(votingPeriodBlocks + 1);
+      await expect(dao.queueProposal(defeatedId)).to.be.revertedWith("proposal not successful"); // Defeated
+      await expect(dao.queueProposal(999)).to.be.revertedWith("proposal not found");
+
+      const passedId = await createPassedProposal(dao, alice, bob, votingPeriodBlocks);
+      await dao.queueProposal(passedId);
+      await expect(dao.queueProposal(passedId)).to.be.revertedWith("proposal not successful"); // Already queued
+    });
+
+    it("Should allow the owner to cancel a queued proposal", async function () {
+      const { dao, owner, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployTimelockedDAOFixture);
+      const proposalId = await createPassedProposal(dao, alice, bob, votingPeriodBlocks);
+      await dao.queueProposal(proposalId);
+
+      await dao.connect(owner).cancelProposal(proposalId);
+      await helpers.time.increase(ONE_DAY);
+
+      expect(await dao.state(proposalId)).to.equal(3); // Canceled
+      await expect(dao.executeProposal(proposalId)).to.be.revertedWith("proposal canceled");
+    });
+
+    it("Should keep the eta of queued proposals when the delay changes", async function () {
+      const { dao, owner, alice, bob, votingPeriodBlocks } = await helpers.loadFixture(deployTimelockedDAOFixture);
+      const proposalId = await createPassedProposal(dao, alice, bob, votingPeriodBlocks);
+      await dao.queueProposal(proposalId);
+
+      await dao.connect(owner).setTimelockDelay(7 * ONE_DAY);
+      await helpers.time.increase(ONE_DAY);
+
+      await expect(dao.executeProposal(proposalId)).to.emit(dao, "ProposalExecuted");
+    });
+
+    it("Should allow owner to update the timelock delay", async function () {
+      const { dao, owner } = await helpers.loadFixture(deployTimelockedDAOFixture);
+
+      await expect(dao.connect(owner).setTimelockDelay(2 * ONE_DAY))
+        .to.emit(dao, "TimelockDelayChanged")
+        .withArgs(2 * ONE_DAY);
+
+      expect(await dao.timelockDelay()).to.equal(2 * ONE_DAY);
+    });
+
+    it("Should reject a timelock delay over the maximum", async function () {
+      const { dao, owner } = await helpers.loadFixture(deployTimelockedDAOFixture);
+
+      await expect(
+        dao.connect(owner).setTimelockDelay(30 * ONE_DAY + 1)
+      ).to.be.revertedWith("timelock delay too long");
+    });
+
+    it("Should prevent non-owner from updating the timelock delay", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployTimelockedDAOFixture);
+
+      await expect(
+        dao.connect(alice).setTimelockDelay(0)
+      ).to.be.revertedWithCustomError(dao, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Proposal Threshold and Limits", function () {
+    async function createProposal(dao, creator) {
+      const tx = await dao.connect(creator).createProposal("Test");
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return dao.interface.parseLog(log).name === "ProposalCreated";
+        } catch {
+          return false;
+        }
+      });
+      return dao.interface.parseLog(event).args.id;
+    }
+
+    it("Should start without a threshold or cap", async function () {
+      const { dao, attacker } = await helpers.loadFixture(deployDAOFixture);
+
+      expect(await dao.proposalThreshold()).to.equal(0);
+      expect(await dao.maxActiveProposals()).to.equal(0);
+
+      // Holders without voting power can propose
+      await expect(dao.connect(attacker).createProposal("Spam")).to.emit(dao, "ProposalCreated");
+    });
+
+    it("Should reject proposers below the threshold", async function () {
+      const { dao, owner, alice, david, attacker } = await helpers.loadFixture(deployDAOFixture);
+      await dao.connect(owner).setProposalThreshold(ethers.parseUnits("100000", 18));
+
+      await expect(
+        dao.connect(david).createProposal("Too small")
+      ).to.be.revertedWith("proposer votes below threshold");
+      await expect(
+        dao.connect(attacker).createProposal("Spam")
+      ).to.be.revertedWith("proposer votes below threshold");
+
+      await expect(dao.connect(alice).createProposal("Big enough")).to.emit(dao, "ProposalCreated");
+    });
+
+    it("Should count delegated voting power, not balance", async function () {
+      const { dao, token, owner, alice, attacker } = await helpers.loadFixture(deployDAOFixture);
+      await dao.connect(owner).setProposalThreshold(ethers.parseUnits("100000", 18));
+
+      // Tokens without delegation carry no votes
+      await token.connect(alice).transfer(attacker.address, ethers.parseUnits("100000", 18));
+      await expect(
+        dao.connect(attacker).createProposal("Undelegated")
+      ).to.be.revertedWith("proposer votes below threshold");
+
+      await token.connect(attacker).delegate(attacker.address);
+      await expect(dao.connect(attacker).createProposal("Delegated")).to.emit(dao, "ProposalCreated");
+    });
+
+    it("Should check voting power at the previous block", async function () {
+      const { dao, token, owner, alice, attacker } = await helpers.loadFixture(deployDAOFixture);
+      await dao.connect(owner).setProposalThreshold(ethers.parseUnits("100000", 18));
+      await token.connect(alice).transfer(attacker.address, ethers.parseUnits("100000", 18));
+
+      // Delegating and proposing in the same block does not reach the threshold
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await token.connect(attacker).delegate(attacker.address, { gasLimit: 200000 });
+        const tx = await dao.connect(attacker).createProposal("Flash", { gasLimit: 500000 });
+        await helpers.mine();
+
+        try {
+          await tx.wait();
+          expect.fail("Proposal should have reverted");
+        } catch (error) {
+          expect(error.message).to.not.include("Proposal should have reverted");
+        }
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await token.getVotes(attacker.address)).to.equal(ethers.parseUnits("100000", 18));
+      expect(await dao.activeProposalCount(attacker.address)).to.equal(0);
+      await expect(dao.connect(attacker).createProposal("Next block")).to.emit(dao, "ProposalCreated");
+    });
+
+    it("Should cap active proposals per proposer", async function () {
+      const { dao, owner, alice, bob } = await helpers.loadFixture(deployDAOFixture);
+      await dao.connect(owner).setMaxActiveProposals(2);
+
+      await createProposal(dao, alice);
+      await createProposal(dao, alice);
+      expect(await dao.activeProposalCount(alice.address)).to.equal(2);
+
+      await expect(
+        dao.connect(alice).createProposal("Third")
+      ).to.be.revertedWith("too many active proposals");
+
+      // The cap is per proposer
+      await expect(dao.connect(bob).createProposal("Bob's")).to.emit(dao, "ProposalCreated");
+    });
+
+    it("Should free a slot once voting ends", async function () {
+      const { dao, owner, alice, votingPeriodBlocks } = await helpers.loadFixture(deployDAOFixture);
+      await dao.connect(owner).setMaxActiveProposals(1);
+
+      await createProposal(dao, alice);
+      await expect(
+        dao.connect(alice).createProposal("Second")
+      ).to.be.revertedWith("too many active proposals");
+
+      await helpers.mine(votingPeriodBlocks + 1);
+      expect(await dao.activeProposalCount(alice.address)).to.equal(0);
+
+      await expect(dao.connect(alice).createProposal("Second")).to.emit(dao, "ProposalCreated");
+      expect(await dao.activeProposalCount(alice.address)).to.equal(1);
+    });
+
+    it("Should free a slot when a proposal is canceled", async function () {
+      const { dao, owner, alice } = await helpers.loadFixture(deployDAOFixture);
+      await dao.connect(owner).setMaxActiveProposals(1);
+
+      const proposalId = await createProposal(dao, alice);
+      await dao.connect(owner).cancelProposal(proposalId);
+
+      expect(await dao.activeProposalCount(alice.address)).to.equal(0);
+      await expect(dao.connect(alice).createProposal("Replacement")).to.emit(dao, "ProposalCreated");
+    });
+
+    it("Should not track proposals while the cap is disabled", async function () {
+      const { dao, owner, alice } = await helpers.loadFixture(deployDAOFixture);
+
+      await createProposal(dao, alice);
+      await createProposal(dao, alice);
+      expect(await dao.activeProposalCount(alice.address)).to.equal(0);
+
+      // Only proposals created once the cap is set count towards it
+      await dao.connect(owner).setMaxActiveProposals(1);
+      await expect(dao.connect(alice).createProposal("Capped")).to.emit(dao, "ProposalCreated");
+      expect(await dao.activeProposalCount(alice.address)).to.equal(1);
+      await expect(
+        dao.connect(alice).createProposal("Over the cap")
+      ).to.be.revertedWith("too many active proposals");
+    });
+
+    it("Should allow owner to update the threshold and cap", async function () {
+      const { dao, owner } = await helpers.loadFixture(deployDAOFixture);
+      const threshold = ethers.parseUnits("5000", 18);
+
+      await expect(dao.connect(owner).setProposalThreshold(threshold))
+        .to.emit(dao, "ProposalThresholdChanged")
+        .withArgs(threshold);
+      await expect(dao.connect(owner).setMaxActiveProposals(3))
+        .to.emit(dao, "MaxActiveProposalsChanged")
+        .withArgs(3);
+
+      expect(await dao.proposalThreshold()).to.equal(threshold);
+      expect(await dao.maxActiveProposals()).to.equal(3);
+    });
+
+    it("Should prevent non-owner from updating the threshold and cap", async function () {
+      const { dao, alice } = await helpers.loadFixture(deployDAOFixture);
+
+      await expect(
+        dao.connect(alice).setProposalThreshold(0)
+      ).to.be.revertedWithCustomError(dao, "OwnableUnauthorizedAccount");
+      await expect(
+        dao.connect(alice).setMaxActiveProposals(0)
+      ).to.be.revertedWithCustomError(dao, "OwnableUnauthorizedAccount");
+    });
+  });
+
   describe("Parameter Updates", function () {
     it("Should allow owner to update quorum", async function () {
       const { dao, owner } = await helpers.loadFixture(deployDAOFixture);
@@ -695,7 +1462,7 @@ describe("DAOVoting - Comprehensive Test Suite", function () {
       await token.waitForDeployment();
 
       const DAOVoting = await ethers.getContractFactory("DAOVoting");
-      const dao = await DAOVoting.deploy(await token.getAddress(), 10, 5);
+      const dao = await DAOVoting.deploy(await token.getAddress(), 10, 5, 0, 0, 0);
       await dao.waitForDeployment();
 
       const proposalId = await createProposal(dao, owner);
@@ -5,7 +5,24 @@
  */
 
 import { expect } from "chai";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
 import hre from "hardhat";
+import { createLogger } from "../scripts/utils/logger.js";
+import {
+  describeActions,
+  getProposalActions,
+  mintAction,
+  proposeActions,
+  sendEthAction,
+  setQuorumAction,
+  setVotingPeriodAction,
+  transferTokensAction,
+} from "../scripts/utils/proposal-actions.js";
+import { signDelegation } from "../scripts/utils/token-distribution.js";
+import { loadBallots, relayBallots, signBallot, validateBallots } from "../scripts/utils/vote-relayer.js";
 
 describe("DAO Integration Tests", function () {
   let owner, alice, bob, charlie, david;
@@ -34,7 +51,10 @@ describe("DAO Integration Tests", function () {
     const dao = await DAOVoting.deploy(
       await token.getAddress(),
       20, // 20% quorum
-      15  // 15 blocks voting period
+      15, // 15 blocks voting period
+      0,  // no timelock delay
+      0,  // no proposal threshold
+      0   // no cap on active proposals
     );
     await dao.waitForDeployment();
 
@@ -80,7 +100,9 @@ describe("DAO Integration Tests", function () {
       // Step 6: Verify proposal succeeded
       expect(await dao.state(proposalId)).to.equal(1); // Succeeded
 
-      // Step 7: Execute proposal
+      // Step 7: Queue and execute proposal (no timelock delay configured)
+      await dao.queueProposal(proposalId);
+      expect(await dao.state(proposalId)).to.equal(6); // Queued
       await dao.executeProposal(proposalId);
 
       // Step 8: Verify execution
@@ -216,7 +238,9 @@ describe("DAO Integration Tests", function () {
       expect(await dao.state(pid2)).to.equal(2); // Defeated
       expect(await dao.state(pid3)).to.equal(2); // Defeated
 
-      // Only first can be executed
+      // Only first can be queued and executed
+      await expect(dao.queueProposal(pid2)).to.be.revertedWith("proposal not successful");
+      await dao.queueProposal(pid1);
       await dao.executeProposal(pid1);
       await expect(dao.executeProposal(pid2)).to.be.revertedWith("proposal not successful");
       await expect(dao.executeProposal(pid3)).to.be.revertedWith("proposal not successful");
@@ -252,7 +276,8 @@ describe("DAO Integration Tests", function () {
 
       await helpers.mine(16);
 
-      // Execute and change parameter
+      // Queue, execute and change parameter
+      await dao.queueProposal(proposalId);
       await dao.executeProposal(proposalId);
       
       // Owner executes the actual parameter change
@@ -359,6 +384,359 @@ describe("DAO Integration Tests", function () {
     });
   });
 
+  describe("On-Chain Proposal Actions", function () {
+    // Members hold 50% of the supply and the DAO owns itself and the token
+    async function governedSystemFixture() {
+      const system = await deployFullSystemFixture();
+      const { token, dao, owner, alice, bob } = system;
+      const daoAddress = await dao.getAddress();
+
+      await token.mint(alice.address, ethers.parseUnits("3000000", 18));
+      await token.mint(bob.address, ethers.parseUnits("2000000", 18));
+      await token.connect(alice).delegate(alice.address);
+      await token.connect(bob).delegate(bob.address);
+      await token.delegate(owner.address);
+
+      await dao.transferOwnership(daoAddress);
+      await token.transferOwnership(daoAddress);
+
+      return system;
+    }
+
+    async function pass(dao, proposalId, voters) {
+      for (const voter of voters) {
+        await dao.connect(voter).vote(proposalId, true);
+      }
+      await helpers.mine(16);
+      await dao.queueProposal(proposalId);
+    }
+
+    it("Should mint tokens and change DAO parameters through an executed proposal", async function () {
+      const { token, dao, alice, bob, charlie } = await helpers.loadFixture(governedSystemFixture);
+
+      const actions = [
+        await mintAction(token, charlie.address, "250000"),
+        await setQuorumAction(dao, 15),
+        await setVotingPeriodAction(dao, 40),
+      ];
+      const proposalId = await proposeActions(dao.connect(alice), actions, "Fund contributors, lower quorum");
+
+      const lines = await describeActions(await getProposalActions(dao, proposalId), [token, dao]);
+      expect(lines).to.deep.equal([
+        `${await token.getAddress()}: mint(${charlie.address}, ${ethers.parseUnits("250000", 18)})`,
+        `${await dao.getAddress()}: setQuorumNumerator(15)`,
+        `${await dao.getAddress()}: setVotingPeriodBlocks(40)`,
+      ]);
+
+      await pass(dao, proposalId, [alice, bob]);
+      await dao.executeProposal(proposalId);
+
+      expect(await token.balanceOf(charlie.address)).to.equal(ethers.parseUnits("250000", 18));
+      expect(await dao.quorumNumerator()).to.equal(15);
+      expect(await dao.votingPeriodBlocks()).to.equal(40);
+      expect(await dao.state(proposalId)).to.equal(4); // Executed
+    });
+
+    it("Should pay out treasury tokens and ETH held by the DAO", async function () {
+      const { token, dao, owner, alice, bob, david } = await helpers.loadFixture(governedSystemFixture);
+      const daoAddress = await dao.getAddress();
+      await token.transfer(daoAddress, ethers.parseUnits("100000", 18));
+      await owner.sendTransaction({ to: daoAddress, value: ethers.parseEther("1") });
+
+      const proposalId = await proposeActions(dao.connect(alice), [
+        await transferTokensAction(token, david.address, "100000"),
+        sendEthAction(david.address, ethers.parseEther("1")),
+      ], "Development grant");
+      await pass(dao, proposalId, [alice, bob]);
+
+      await expect(dao.executeProposal(proposalId))
+        .to.changeEtherBalances(ethers, [dao, david], [ethers.parseEther("-1"), ethers.parseEther("1")]);
+      expect(await token.balanceOf(david.address)).to.equal(ethers.parseUnits("100000", 18));
+      expect(await token.balanceOf(daoAddress)).to.equal(0n);
+    });
+
+    it("Should leave everything unchanged when a later action reverts", async function () {
+      const { token, dao, alice, bob, charlie } = await helpers.loadFixture(governedSystemFixture);
+      const daoAddress = await dao.getAddress();
+
+      // The DAO holds no tokens, so the transfer fails after the mint succeeded
+      const proposalId = await proposeActions(dao.connect(alice), [
+        await mintAction(token, charlie.address, "1000"),
+        await transferTokensAction(token, charlie.address, "1"),
+      ], "Mint and pay");
+      await pass(dao, proposalId, [alice, bob]);
+
+      await expect(dao.executeProposal(proposalId))
+        .to.be.revertedWithCustomError(token, "ERC20InsufficientBalance")
+        .withArgs(daoAddress, 0, ethers.parseUnits("1", 18));
+
+      expect(await token.balanceOf(charlie.address)).to.equal(0n);
+      expect(await dao.state(proposalId)).to.equal(6); // Still Queued
+
+      // Once the treasury is funded the same proposal can be executed
+      await token.connect(bob).transfer(daoAddress, ethers.parseUnits("1", 18));
+      await dao.executeProposal(proposalId);
+      expect(await token.balanceOf(charlie.address)).to.equal(ethers.parseUnits("1001", 18));
+    });
+
+    it("Should not execute the actions of a defeated proposal", async function () {
+      const { token, dao, alice, bob, charlie } = await helpers.loadFixture(governedSystemFixture);
+
+      const proposalId = await proposeActions(dao.connect(charlie), [
+        await mintAction(token, charlie.address, "5000000"),
+      ], "Mint to myself");
+      await dao.connect(alice).vote(proposalId, false);
+      await dao.connect(bob).vote(proposalId, false);
+      await helpers.mine(16);
+
+      await expect(dao.executeProposal(proposalId)).to.be.revertedWith("proposal not successful");
+      expect(await token.balanceOf(charlie.address)).to.equal(0n);
+    });
+  });
+
+  describe("Gasless Voting via Relayer", function () {
+    const logger = createLogger({ format: "silent" });
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dao-ballots-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // Voters without ETH: their delegations and votes are relayed by the owner
+    async function gaslessSystemFixture() {
+      const system = await deployFullSystemFixture();
+      const { token, dao, owner } = system;
+      const voters = [0, 1, 2].map(() => ethers.Wallet.createRandom().connect(ethers.provider));
+      const amounts = ["3000000", "2000000", "500000"];
+
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      for (const [index, voter] of voters.entries()) {
+        await token.mint(voter.address, ethers.parseUnits(amounts[index], 18));
+        const { delegatee, nonce, v, r, s } = await signDelegation({ ethers }, token, voter, voter.address, expiry);
+        await token.delegateBySig(delegatee, nonce, expiry, v, r, s);
+      }
+      await token.delegate(owner.address);
+
+      const proposalId = await createProposal(dao, owner, "Gasless proposal");
+      await helpers.mine(1);
+
+      return { ...system, voters, proposalId };
+    }
+
+    async function createProposal(dao, creator, description) {
+      const tx = await dao.connect(creator).createProposal(description);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return dao.interface.parseLog(log).name === "ProposalCreated";
+        } catch {
+          return false;
+        }
+      });
+      return dao.interface.parseLog(event).args.id;
+    }
+
+    it("Should relay signed ballots from a JSON queue so voters pay no gas", async function () {
+      const { token, dao, bob, voters, proposalId } = await helpers.loadFixture(gaslessSystemFixture);
+      const [voter1, voter2] = voters;
+
+      const queue = path.join(tmpDir, "ballots.json");
+      fs.writeFileSync(queue, JSON.stringify([
+        await signBallot(dao, voter1, { proposalId, support: 1, reason: "Ship it" }),
+        await signBallot(dao, voter2, { proposalId, support: 2 }),
+      ]));
+
+      const { valid, rejected } = await validateBallots(dao, await loadBallots(queue));
+      expect(rejected).to.deep.equal([]);
+      expect(valid.map(({ voter }) => voter)).to.deep.equal([voter1.address, voter2.address]);
+
+      const { relayed, failed } = await relayBallots(dao.connect(bob), valid, { batchSize: 1, logger });
+
+      expect(failed).to.deep.equal([]);
+      expect(relayed).to.have.length(2);
+      expect(relayed[0]).to.include({ voter: voter1.address, proposalId: proposalId.toString(), support: 1 });
+      const receipt = await ethers.provider.getTransactionReceipt(relayed[0].transactionHash);
+      expect(receipt.from).to.equal(bob.address);
+      const [vote] = await dao.queryFilter(dao.filters.VoteCast(voter1.address, proposalId));
+      expect(vote.args.reason).to.equal("Ship it");
+
+      const proposal = await dao.getProposal(proposalId);
+      expect(proposal.forVotes).to.equal(await token.getVotes(voter1.address));
+      expect(proposal.abstainVotes).to.equal(await token.getVotes(voter2.address));
+      for (const voter of voters) {
+        expect(await ethers.provider.getBalance(voter.address)).to.equal(0n);
+      }
+
+      await helpers.mine(16);
+      expect(await dao.state(proposalId)).to.equal(1); // Succeeded
+    });
+
+    it("Should load ballots from an HTTP endpoint", async function () {
+      const { dao, voters, proposalId } = await helpers.loadFixture(gaslessSystemFixture);
+      const ballot = await signBallot(dao, voters[0], { proposalId, support: 1 });
+
+      const server = http.createServer((request, response) => {
+        if (request.url === "/ballots") {
+          response.writeHead(200, { "Content-Type": "application/json" });
+          response.end(JSON.stringify({ ballots: [ballot] }));
+        } else {
+          response.writeHead(500);
+          response.end();
+        }
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        expect(await loadBallots(`${baseUrl}/ballots`)).to.deep.equal([ballot]);
+        try {
+          await loadBallots(`${baseUrl}/broken`);
+          expect.fail("Should have thrown");
+        } catch (error) {
+          expect(error.message).to.include("HTTP 500");
+        }
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+
+    it("Should reject unreadable ballot queues", async function () {
+      const queue = path.join(tmpDir, "ballots.json");
+      fs.writeFileSync(queue, JSON.stringify({ votes: [] }));
+
+      for (const [source, message] of [[queue, "must contain an array of ballots"], [path.join(tmpDir, "missing.json"), "Ballot queue not found"]]) {
+        try {
+          await loadBallots(source);
+          expect.fail("Should have thrown");
+        } catch (error) {
+          expect(error.message).to.include(message);
+        }
+      }
+    });
+
+    it("Should reject invalid ballots off-chain with a reason", async function () {
+      const { dao, owner, voters, proposalId } = await helpers.loadFixture(gaslessSystemFixture);
+      const [voter1, voter2, voter3] = voters;
+      const outsider = ethers.Wallet.createRandom();
+
+      // voter3 already voted through the relayer
+      const earlier = await signBallot(dao, voter3, { proposalId, support: 0 });
+      await dao.castVoteBySig(proposalId, 0, voter3.address, "", earlier.signature);
+
+      const canceledId = await createProposal(dao, owner, "Canceled");
+      await dao.cancelProposal(canceledId);
+
+      const forged = await signBallot(dao, voter2, { proposalId, support: 1 });
+      const ballots = [
+        { ...(await signBallot(dao, voter1, { proposalId, support: 1 })), support: 3 },
+        { ...forged, voter: voter1.address },
+        await signBallot(dao, voter1, { proposalId, support: 1 }),
+        await signBallot(dao, voter1, { proposalId, support: 0, nonce: 1n }),
+        await signBallot(dao, voter2, { proposalId, support: 1, nonce: 5n }),
+        await signBallot(dao, voter3, { proposalId, support: 1, nonce: 1n }),
+        await signBallot(dao, outsider, { proposalId, support: 1 }),
+        await signBallot(dao, voter2, { proposalId: canceledId, support: 1 }),
+      ];
+
+      const { valid, rejected } = await validateBallots(dao, ballots);
+
+      expect(valid.map(({ voter }) => voter)).to.deep.equal([voter1.address]);
+      expect(rejected.map(({ reason }) => reason)).to.deep.equal([
+        "invalid support (expected 0, 1 or 2)",
+        "signature does not match voter",
+        "duplicate ballot",
+        "nonce 5 does not match expected 0",
+        "already voted",
+        "no voting power at snapshot",
+        "proposal not active",
+      ]);
+    });
+
+    it("Should relay several ballots of one voter in nonce order", async function () {
+      const { dao, owner, bob, voters, proposalId } = await helpers.loadFixture(gaslessSystemFixture);
+      const [voter1] = voters;
+      const secondId = await createProposal(dao, owner, "Second proposal");
+      await helpers.mine(1);
+
+      const first = await signBallot(dao, voter1, { proposalId, support: 1 });
+      const second = await signBallot(dao, voter1, { proposalId: secondId, support: 0, nonce: 1n });
+
+      const outOfOrder = await validateBallots(dao, [second, first]);
+      expect(outOfOrder.rejected.map(({ reason }) => reason)).to.deep.equal(["nonce 1 does not match expected 0"]);
+
+      const { valid } = await validateBallots(dao, [first, second]);
+      await relayBallots(dao.connect(bob), valid, { logger });
+
+      expect(await dao.hasVoted(proposalId, voter1.address)).to.equal(true);
+      expect(await dao.hasVoted(secondId, voter1.address)).to.equal(true);
+      expect(await dao.nonces(voter1.address)).to.equal(2);
+    });
+
+    it("Should wait for a voter's earlier ballot to mine before relaying the next", async function () {
+      const { dao, owner, bob, voters, proposalId } = await helpers.loadFixture(gaslessSystemFixture);
+      const [voter1, voter2] = voters;
+      const secondId = await createProposal(dao, owner, "Second proposal");
+      await helpers.mine(1);
+
+      const { valid } = await validateBallots(dao, [
+        await signBallot(dao, voter1, { proposalId, support: 1 }),
+        await signBallot(dao, voter1, { proposalId: secondId, support: 0, nonce: 1n }),
+        await signBallot(dao, voter2, { proposalId, support: 1 }),
+      ]);
+
+      // Transactions stay pending until a later block, as on a live network
+      const lines = [];
+      const jsonLogger = createLogger({ format: "json", write: (line) => lines.push(line) });
+      await ethers.provider.send("evm_setAutomine", [false]);
+      const miner = setInterval(async () => {
+        const pending = await ethers.provider.send("eth_getBlockByNumber", ["pending", false]);
+        if (pending.transactions.length > 0) {
+          await ethers.provider.send("evm_mine", []);
+        }
+      }, 20);
+      let result;
+      try {
+        result = await relayBallots(dao.connect(bob), valid, { logger: jsonLogger });
+      } finally {
+        clearInterval(miner);
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(result.failed).to.deep.equal([]);
+      expect(result.relayed.map(({ voter }) => voter)).to.have.members([voter1.address, voter1.address, voter2.address]);
+      const batches = lines.map((line) => JSON.parse(line)).filter(({ event }) => event === "relayer.batch");
+      expect(batches.map(({ voters }) => voters)).to.deep.equal([[voter1.address, voter2.address], [voter1.address]]);
+      expect(await dao.hasVoted(secondId, voter1.address)).to.equal(true);
+      expect(await dao.nonces(voter1.address)).to.equal(2);
+    });
+
+    it("Should report a ballot that fails to relay and relay the rest", async function () {
+      const { dao, bob, voters, proposalId } = await helpers.loadFixture(gaslessSystemFixture);
+      const [voter1, voter2, voter3] = voters;
+
+      const ballots = [
+        await signBallot(dao, voter1, { proposalId, support: 1 }),
+        await signBallot(dao, voter2, { proposalId, support: 0 }),
+        await signBallot(dao, voter3, { proposalId, support: 2 }),
+      ];
+      const { valid } = await validateBallots(dao, ballots);
+      // voter2's ballot is submitted by someone else after validation
+      await dao.castVoteBySig(proposalId, 0, voter2.address, "", ballots[1].signature);
+
+      const { relayed, failed } = await relayBallots(dao.connect(bob), valid, { batchSize: 2, logger });
+
+      expect(relayed.map(({ voter }) => voter)).to.deep.equal([voter1.address, voter3.address]);
+      expect(failed).to.have.length(1);
+      expect(failed[0].ballot.voter).to.equal(voter2.address);
+      expect(failed[0].reason).to.be.a("string").that.is.not.empty;
+      expect(await dao.hasVoted(proposalId, voter3.address)).to.equal(true);
+    });
+  });
+
   describe("Real-World Usage Patterns", function () {
     it("Should support common DAO operations: treasury allocation proposal", async function () {
       const { token, dao, owner, alice, bob, charlie } = await helpers.loadFixture(deployFullSystemFixture);
@@ -397,6 +775,7 @@ describe("DAO Integration Tests", function () {
       // 70% for, 20% against => Should succeed
       expect(await dao.state(proposalId)).to.equal(1);
 
+      await dao.queueProposal(proposalId);
       await dao.executeProposal(proposalId);
 
       const proposal = await dao.getProposal(proposalId);
@@ -14,20 +14,110 @@
 import { expect } from "chai";
 import fs from "fs";
 import hre from "hardhat";
+import os from "os";
 import path from "path";
+import { PassThrough } from "stream";
 import { fileURLToPath } from "url";
 import {
+  ConfigValidationError,
   deploymentConfig,
   getConfig,
+  resolveConfig,
+  validateAllConfigs,
   validateConfig,
 } from "../deploy.config.js";
 import {
+  checkChainId,
+  clearDeploymentJournal,
   confirmDeployment,
+  connectRuntime,
+  DETERMINISTIC_DEPLOYMENT_PROXY,
+  deployContract,
+  deployContractCreate2,
+  deployOrResume,
+  describeVotingPeriod,
+  ensureCreate2Factory,
+  estimateDeploymentGas,
+  estimateDeploymentSequence,
+  getFeeBreakdown,
+  getCreate2FactoryAddress,
+  isDeploymentReusable,
+  isNotYetIndexedError,
+  loadDeploymentJournal,
   loadLatestDeployment,
+  MAINNET_CLASS_NETWORKS,
+  predictCreate2Address,
+  recordDeploymentStep,
   saveDeployment,
+  summarizeVerification,
+  TransactionError,
+  transferOwnership,
   validateDeployment,
+  verifyContract,
   waitForTransaction
 } from "../scripts/utils/deployment-helpers.js";
+import {
+  buildDeploymentPlan,
+  formatDeploymentPlan,
+  getCreate2Options,
+  getCreate2SetupSteps,
+  getDaoArgs,
+  getSetupSteps,
+  getTokenArgs,
+  resolveHandoff,
+} from "../scripts/utils/deployment-plan.js";
+import {
+  applyDelegations,
+  distributeTokens,
+  loadAllocations,
+  signDelegation,
+  validateAllocations,
+  verifyDistribution,
+} from "../scripts/utils/token-distribution.js";
+import {
+  diffDeployments,
+  formatDeploymentDiff,
+  getActiveDeploymentId,
+  listDeployments,
+  loadDeployment,
+  markActive,
+  updateDeployment,
+} from "../scripts/utils/deployment-registry.js";
+import {
+  DeploymentCancelledError,
+  DeploymentError,
+  deployDaoSystem,
+  InsufficientBalanceError,
+} from "../scripts/utils/dao-deployment.js";
+import { createLogger } from "../scripts/utils/logger.js";
+import DAOSystemModule from "../ignition/modules/DAOSystem.js";
+import {
+  IGNITION_MODULE_ID,
+  buildIgnitionParameters,
+  serializeIgnitionParameters,
+  writeIgnitionParameters,
+} from "../scripts/utils/ignition-parameters.js";
+import {
+  deployToNetworks,
+  formatCrossChainManifest,
+  saveCrossChainManifest,
+} from "../scripts/utils/multi-network.js";
+import {
+  checkDeployedBytecode,
+  checkDeployment,
+  getBuildProvenance,
+  getDeploymentProvenance,
+  getGitInfo,
+  maskImmutables,
+} from "../scripts/utils/provenance.js";
+import {
+  estimateBlockTime,
+  formatDuration,
+  MAX_TIMELOCK_DELAY_SECONDS,
+  parseDuration,
+  resolveTimelockDelay,
+  resolveVotingPeriod,
+} from "../scripts/utils/voting-period.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -62,6 +152,21 @@ describe("🚀 Deployment Configuration Tests", function () {
       });
     });
 
+    it("Should have the expected chain ID for each network", function () {
+      const expectedChainIds = {
+        localhost: 31337,
+        hardhat: 31337,
+        sepolia: 11155111,
+        mainnet: 1,
+        polygon: 137,
+        arbitrum: 42161,
+      };
+
+      Object.entries(expectedChainIds).forEach(([network, chainId]) => {
+        expect(deploymentConfig[network].expectedChainId).to.equal(chainId);
+      });
+    });
+
     it("Should have verification configuration for each network", function () {
       Object.keys(deploymentConfig).forEach((network) => {
         const config = deploymentConfig[network];
@@ -80,6 +185,9 @@ describe("🚀 Deployment Configuration Tests", function () {
       expect(config.token.initialSupply).to.equal("1000000");
       expect(config.dao.quorumNumerator).to.equal(20);
       expect(config.dao.votingPeriodBlocks).to.equal(5);
+      expect(config.dao.timelockDelay).to.equal(0);
+      expect(config.dao.proposalThreshold).to.equal("0");
+      expect(config.dao.maxActiveProposals).to.equal(0);
       expect(config.verification.enabled).to.be.false;
     });
 
@@ -99,6 +207,9 @@ describe("🚀 Deployment Configuration Tests", function () {
       expect(config.token.initialSupply).to.equal("10000000");
       expect(config.dao.quorumNumerator).to.equal(15);
       expect(config.dao.votingPeriodBlocks).to.equal(7200);
+      expect(config.dao.timelockDelay).to.equal("1d");
+      expect(config.dao.proposalThreshold).to.equal("0");
+      expect(config.dao.maxActiveProposals).to.equal(0);
       expect(config.verification.enabled).to.be.true;
     });
 
@@ -108,6 +219,7 @@ describe("🚀 Deployment Configuration Tests", function () {
       expect(config.token.initialSupply).to.equal("100000000");
       expect(config.dao.quorumNumerator).to.equal(10);
       expect(config.dao.votingPeriodBlocks).to.equal(50400);
+      expect(config.dao.timelockDelay).to.equal("2d");
       expect(config.verification.enabled).to.be.true;
     });
 
@@ -144,6 +256,135 @@ describe("🚀 Deployment Configuration Tests", function () {
     });
   });
 
+  describe("Layered Configuration", function () {
+    let configDir;
+
+    beforeEach(function () {
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), "dao-config-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    const writeConfigFile = (networkName, content) => {
+      fs.writeFileSync(path.join(configDir, `deploy.config.${networkName}.json`), JSON.stringify(content));
+    };
+
+    it("Should attribute every value to deploy.config.js without overrides", function () {
+      const { config, sources } = resolveConfig("hardhat", { configDir, env: {} });
+
+      expect(config).to.deep.equal(deploymentConfig.hardhat);
+      expect(config.token).to.not.equal(deploymentConfig.hardhat.token);
+      expect(sources["$.dao.quorumNumerator"]).to.equal("deploy.config.js");
+      expect(sources["$.token.name"]).to.equal("deploy.config.js");
+    });
+
+    it("Should merge a network JSON file over the base configuration", function () {
+      writeConfigFile("sepolia", { dao: { quorumNumerator: 25 }, create2: { salt: "dao-v1" } });
+
+      const { config, sources } = resolveConfig("sepolia", { configDir, env: {} });
+
+      expect(config.dao.quorumNumerator).to.equal(25);
+      expect(config.dao.votingPeriodBlocks).to.equal(7200);
+      expect(config.create2.salt).to.equal("dao-v1");
+      expect(sources["$.dao.quorumNumerator"]).to.equal("deploy.config.sepolia.json");
+      expect(sources["$.dao.votingPeriodBlocks"]).to.equal("deploy.config.js");
+      expect(sources["$.create2.salt"]).to.equal("deploy.config.sepolia.json");
+      expect(deploymentConfig.sepolia.dao.quorumNumerator).to.equal(15);
+    });
+
+    it("Should apply DAO_* environment variables last", function () {
+      writeConfigFile("hardhat", { dao: { quorumNumerator: 25 } });
+      const env = {
+        DAO_QUORUM_NUMERATOR: "30",
+        DAO_VOTING_PERIOD_BLOCKS: "50",
+        DAO_MAX_ACTIVE_PROPOSALS: "5",
+        DAO_VERIFICATION_ENABLED: "true",
+        DAO_TOKEN_NAME: "",
+      };
+
+      const { config, sources } = resolveConfig("hardhat", { configDir, env });
+
+      expect(config.dao.quorumNumerator).to.equal(30);
+      expect(config.dao.votingPeriodBlocks).to.equal(50);
+      expect(config.dao.maxActiveProposals).to.equal(5);
+      expect(config.verification.enabled).to.be.true;
+      expect(config.token.name).to.equal("DAO Test Token");
+      expect(sources["$.dao.quorumNumerator"]).to.equal("env DAO_QUORUM_NUMERATOR");
+      expect(sources["$.verification.enabled"]).to.equal("env DAO_VERIFICATION_ENABLED");
+      expect(sources["$.token.name"]).to.equal("deploy.config.js");
+    });
+
+    it("Should let a voting period override replace the base voting period blocks", function () {
+      const { config, sources } = resolveConfig("sepolia", { configDir, env: { DAO_VOTING_PERIOD: "7d" } });
+
+      expect(config.dao.votingPeriod).to.equal("7d");
+      expect(config.dao).to.not.have.property("votingPeriodBlocks");
+      expect(sources).to.not.have.property("$.dao.votingPeriodBlocks");
+      expect(sources["$.dao.votingPeriod"]).to.equal("env DAO_VOTING_PERIOD");
+      expect(validateConfig(config)).to.be.true;
+      expect(deploymentConfig.sepolia.dao.votingPeriodBlocks).to.equal(7200);
+
+      writeConfigFile("sepolia", { dao: { votingPeriod: "1d" } });
+      const overridden = getConfig("sepolia", { configDir, env: { DAO_VOTING_PERIOD_BLOCKS: "600" } });
+      expect(overridden.dao.votingPeriodBlocks).to.equal(600);
+      expect(overridden.dao).to.not.have.property("votingPeriod");
+      expect(validateConfig(overridden)).to.be.true;
+    });
+
+    it("Should still reject both voting period forms set in one layer", function () {
+      writeConfigFile("sepolia", { dao: { votingPeriod: "1d", votingPeriodBlocks: 600 } });
+
+      expect(() => validateConfig(getConfig("sepolia", { configDir, env: {} })))
+        .to.throw("$.dao.votingPeriod: Cannot be combined with votingPeriodBlocks");
+    });
+
+    it("Should leave malformed environment values for validation to report", function () {
+      const config = getConfig("hardhat", { configDir, env: { DAO_QUORUM_NUMERATOR: "twenty" } });
+
+      expect(config.dao.quorumNumerator).to.equal("twenty");
+      expect(() => validateConfig(config))
+        .to.throw("$.dao.quorumNumerator: Quorum numerator must be between 1 and 100");
+    });
+
+    it("Should support custom networks defined only by a JSON file", function () {
+      writeConfigFile("anvil", {
+        expectedChainId: 31337,
+        token: { name: "Anvil Token", symbol: "ANV", initialSupply: "5000" },
+        dao: { quorumNumerator: 30, votingPeriodBlocks: 10 },
+      });
+
+      const { config, sources } = resolveConfig("anvil", { configDir, env: {} });
+
+      expect(config.token.name).to.equal("Anvil Token");
+      expect(sources["$.token.name"]).to.equal("deploy.config.anvil.json");
+      expect(validateConfig(config)).to.be.true;
+    });
+
+    it("Should let custom networks extend a built-in network", function () {
+      writeConfigFile("optimismFork", { extends: "mainnet", expectedChainId: 10 });
+
+      const { config, sources } = resolveConfig("optimismFork", { configDir, env: {} });
+
+      expect(config).to.not.have.property("extends");
+      expect(config.expectedChainId).to.equal(10);
+      expect(config.dao.votingPeriodBlocks).to.equal(50400);
+      expect(sources["$.expectedChainId"]).to.equal("deploy.config.optimismFork.json");
+      expect(sources["$.dao.votingPeriodBlocks"]).to.equal("deploy.config.js (mainnet)");
+    });
+
+    it("Should reject unknown base networks and unparseable files", function () {
+      writeConfigFile("broken", { extends: "nowhere" });
+      expect(() => getConfig("broken", { configDir, env: {} }))
+        .to.throw('Unknown network "nowhere" extended by deploy.config.broken.json');
+
+      fs.writeFileSync(path.join(configDir, "deploy.config.hardhat.json"), "{ not json");
+      expect(() => getConfig("hardhat", { configDir, env: {} }))
+        .to.throw("Failed to parse deploy.config.hardhat.json");
+    });
+  });
+
   describe("validateConfig() Function", function () {
     it("Should validate correct configuration successfully", function () {
       const validConfig = {
@@ -503,6 +744,100 @@ describe("🚀 Deployment Configuration Tests", function () {
         expect(() => validateConfig(config)).to.not.throw();
         expect(validateConfig(config)).to.be.true;
       });
+      expect(validateAllConfigs()).to.deep.equal([]);
+    });
+
+    it("Should report every error at once with JSON paths", function () {
+      const invalidConfig = {
+        token: {
+          name: "",
+          symbol: "TST",
+          initialSupply: "1000000",
+        },
+        dao: {
+          quorumNumerator: 0,
+          votingPeriodBlocks: 0,
+        },
+      };
+
+      try {
+        validateConfig(invalidConfig);
+        expect.fail("Should have thrown");
+      } catch (error) {
+        expect(error).to.be.instanceOf(ConfigValidationError);
+        expect(error.errors.map((e) => e.path)).to.deep.equal([
+          "$.token.name",
+          "$.dao.quorumNumerator",
+          "$.dao.votingPeriodBlocks",
+        ]);
+        expect(error.message).to.include("$.token.name: Invalid token name");
+        expect(error.message).to.include("$.dao.votingPeriodBlocks: Voting period must be greater than 0");
+      }
+    });
+
+    it("Should reject unknown keys", function () {
+      const base = getConfig("hardhat");
+      const invalidConfig = { ...base, token: { ...base.token, decimals: 18 }, timelock: {} };
+
+      try {
+        validateConfig(invalidConfig);
+        expect.fail("Should have thrown");
+      } catch (error) {
+        expect(error.errors).to.deep.equal([
+          { path: "$.token.decimals", message: "Unknown configuration key \"decimals\"" },
+          { path: "$.timelock", message: "Unknown configuration key \"timelock\"" },
+        ]);
+      }
+    });
+
+    it("Should require initial supply as a decimal string with at most 18 decimals", function () {
+      const base = getConfig("hardhat");
+      const withSupply = (initialSupply) => ({ ...base, token: { ...base.token, initialSupply } });
+
+      expect(validateConfig(withSupply("1000000.5"))).to.be.true;
+      expect(validateConfig(withSupply("0.000000000000000001"))).to.be.true;
+      expect(() => validateConfig(withSupply(1000000))).to.throw("Invalid initial supply");
+      expect(() => validateConfig(withSupply("1e6"))).to.throw("Invalid initial supply");
+      expect(() => validateConfig(withSupply("0.0000000000000000001"))).to.throw("Invalid initial supply");
+      expect(() => validateConfig(withSupply("0"))).to.throw("Invalid initial supply");
+    });
+
+    it("Should require a verification API key only when requested", function () {
+      const config = {
+        ...getConfig("sepolia"),
+        verification: { enabled: true, apiKey: undefined },
+      };
+
+      expect(validateConfig(config)).to.be.true;
+      expect(() => validateConfig(config, { requireApiKey: true }))
+        .to.throw("$.verification.apiKey: Verification API key must be a non-empty string");
+      expect(validateConfig({ ...config, verification: { enabled: true, apiKey: "key" } }, { requireApiKey: true }))
+        .to.be.true;
+      expect(validateConfig({ ...config, verification: { enabled: false } }, { requireApiKey: true }))
+        .to.be.true;
+      expect(() => validateConfig({ ...config, verification: { enabled: true, apiKey: 42 } }))
+        .to.throw("Verification API key must be a non-empty string");
+    });
+
+    it("Should validate typed fields of the optional sections", function () {
+      const base = getConfig("hardhat");
+      const errors = validateAllConfigs({
+        hardhat: base,
+        custom: {
+          ...base,
+          create2: { salt: "" },
+          distribution: {
+            recipients: [{ address: "0x1234", amount: "10" }],
+            delegateDeployer: "yes",
+          },
+        },
+      });
+
+      expect(errors).to.deep.equal([
+        { path: "$.custom.create2.salt", message: "CREATE2 salt must be a non-empty string" },
+        { path: "$.custom.distribution.recipients[0].address", message: "Invalid recipient address" },
+        { path: "$.custom.distribution.delegateDeployer", message: "Distribution delegateDeployer must be a boolean" },
+      ]);
     });
   });
 
@@ -602,7 +937,7 @@ describe("🛠️ Deployment Helper Functions Tests", function () {
 
       const tokenAddress = await token.getAddress();
       const DAOFactory = await ethers.getContractFactory("DAOVoting");
-      dao = await DAOFactory.deploy(tokenAddress, 20, 5);
+      dao = await DAOFactory.deploy(tokenAddress, 20, 5, 0, 0, 0);
       await dao.waitForDeployment();
 
       expect(dao).to.exist;
@@ -684,6 +1019,20 @@ describe("🛠️ Deployment Helper Functions Tests", function () {
       expect(isValid).to.be.false;
     });
 
+    it("Should report the effective voting period when the block time is known", async function () {
+      const logged = [];
+      const log = console.log;
+      console.log = (...args) => logged.push(args.join(" "));
+      try {
+        const isValid = await validateDeployment(dao, { votingPeriodBlocks: "5" }, { blockTimeSeconds: 12 });
+        expect(isValid).to.be.true;
+      } finally {
+        console.log = log;
+      }
+
+      expect(logged).to.include("  ⏱️  Effective voting period: ~1m (5 blocks at 12s/block)");
+    });
+
     it("Should handle contract method call errors gracefully", async function () {
       const invalidContract = { nonExistentMethod: undefined };
       
@@ -719,7 +1068,7 @@ describe("🛠️ Deployment Helper Functions Tests", function () {
 
       const tokenAddress = await token.getAddress();
       const DAOFactory = await ethers.getContractFactory("DAOVoting");
-      const deployTx = await DAOFactory.getDeployTransaction(tokenAddress, 20, 5);
+      const deployTx = await DAOFactory.getDeployTransaction(tokenAddress, 20, 5, 0, 0, 0);
 
       const gasEstimate = await ethers.provider.estimateGas(deployTx);
 
@@ -757,6 +1106,130 @@ describe("🛠️ Deployment Helper Functions Tests", function () {
     });
   });
 
+  describe("Full Deployment Gas Estimation", function () {
+    it("Should break fees into base and priority components", async function () {
+      const fees = await getFeeBreakdown(network);
+
+      expect(fees.type).to.equal("eip1559");
+      expect(fees.baseFeePerGas).to.be.a("bigint");
+      expect(fees.expectedGasPrice).to.equal(fees.baseFeePerGas + fees.maxPriorityFeePerGas);
+      expect(fees.maxGasPrice).to.equal(fees.maxFeePerGas);
+    });
+
+    it("Should return expected and worst-case cost from estimateDeploymentGas()", async function () {
+      const gas = await estimateDeploymentGas(network, "TestToken", ["Test", "TST", ethers.parseEther("1")], {
+        from: deployer.address,
+      });
+
+      expect(gas.estimatedCost).to.equal(gas.gasEstimate * gas.fees.expectedGasPrice);
+      expect(gas.maxCost).to.equal(gas.gasEstimate * gas.fees.maxGasPrice);
+      expect(gas.maxCost).to.be.greaterThanOrEqual(gas.estimatedCost);
+    });
+
+    it("Should estimate DAOVoting against the predicted TestToken address", async function () {
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+      const estimate = await estimateDeploymentSequence(network, deployer, [
+        { contractName: "TestToken", args: ["Test", "TST", ethers.parseEther("1")] },
+        { contractName: "DAOVoting", args: (addresses) => [addresses.TestToken, 20, 5, 0, 0, 0] },
+      ]);
+
+      const predicted = ethers.getCreateAddress({ from: deployer.address, nonce });
+      expect(estimate.addresses.TestToken).to.equal(predicted);
+      expect(estimate.steps[1].args[0]).to.equal(predicted);
+      expect(estimate.steps[1].gasEstimate).to.be.greaterThan(0n);
+      expect(estimate.totals.gasEstimate).to.equal(
+        estimate.steps[0].gasEstimate + estimate.steps[1].gasEstimate
+      );
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+    });
+
+    it("Should include post-deployment setup transactions in the totals", async function () {
+      const estimate = await estimateDeploymentSequence(network, deployer, [
+        { contractName: "TestToken", args: ["Test", "TST", ethers.parseEther("1")] },
+      ], {
+        setupSteps: [{ label: "delegate", gasLimit: 100000 }],
+      });
+
+      expect(estimate.setup[0].estimatedCost).to.equal(100000n * estimate.fees.expectedGasPrice);
+      expect(estimate.totals.gasEstimate).to.equal(estimate.steps[0].gasEstimate + 100000n);
+    });
+
+    it("Should skip existing contracts without advancing the predicted nonce", async function () {
+      const existing = "0x000000000000000000000000000000000000dEaD";
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+      const estimate = await estimateDeploymentSequence(network, deployer, [
+        { contractName: "TestToken", args: ["Test", "TST", ethers.parseEther("1")] },
+        { contractName: "DAOVoting", args: (addresses) => [addresses.TestToken, 20, 5, 0, 0, 0] },
+      ], {
+        findExisting: async (contractName) => (contractName === "TestToken" ? { address: existing } : null),
+      });
+
+      expect(estimate.steps[0].reused).to.be.true;
+      expect(estimate.steps[0].gasEstimate).to.equal(0n);
+      expect(estimate.steps[1].args[0]).to.equal(existing);
+      expect(estimate.addresses.DAOVoting).to.equal(ethers.getCreateAddress({ from: deployer.address, nonce }));
+    });
+  });
+
+  describe("connectRuntime() Function", function () {
+    it("Should expose the connection and name the in-process network hardhat", async function () {
+      const runtime = await connectRuntime(hre);
+
+      expect(runtime.network.name).to.equal("hardhat");
+      expect((await runtime.ethers.provider.getNetwork()).chainId).to.equal(31337n);
+      expect(runtime.artifacts).to.equal(hre.artifacts);
+      expect(runtime.tasks).to.equal(hre.tasks);
+      expect(runtime.network.connection.ethers === runtime.ethers).to.be.true;
+    });
+  });
+
+  describe("checkChainId() Function", function () {
+    it("Should accept the configured chain ID", async function () {
+      const result = await checkChainId(network, getConfig("hardhat").expectedChainId, { override: "" });
+
+      expect(result.chainId).to.equal(31337n);
+      expect(result.overridden).to.be.false;
+    });
+
+    it("Should abort when the RPC reports a different chain", async function () {
+      try {
+        await checkChainId(network, getConfig("mainnet").expectedChainId, { override: "" });
+        expect.fail("Should have thrown error");
+      } catch (error) {
+        expect(error.message).to.include("Chain ID mismatch: configuration expects 1 but the RPC reports 31337");
+        expect(error.message).to.include("CHAIN_ID_OVERRIDE=31337");
+      }
+    });
+
+    it("Should allow a mismatch only for the explicitly overridden chain ID", async function () {
+      const result = await checkChainId(network, 1, { override: "31337" });
+      expect(result.overridden).to.be.true;
+
+      try {
+        await checkChainId(network, 1, { override: "5" });
+        expect.fail("Should have thrown error");
+      } catch (error) {
+        expect(error.message).to.include("Chain ID mismatch");
+      }
+    });
+
+    it("Should warn but continue when no chain ID is configured", async function () {
+      const result = await checkChainId(network, undefined, { override: "" });
+
+      expect(result.expectedChainId).to.be.null;
+      expect(result.chainId).to.equal(31337n);
+    });
+
+    it("Should validate the expected chain ID in the configuration", function () {
+      const base = getConfig("hardhat");
+
+      expect(() => validateConfig({ ...base, expectedChainId: 0 }))
+        .to.throw("Expected chain ID must be a positive integer");
+      expect(() => validateConfig({ ...base, expectedChainId: "1" }))
+        .to.throw("Expected chain ID must be a positive integer");
+    });
+  });
+
   describe("checkBalance() Function", function () {
     it("Should confirm sufficient balance", async function () {
       const balance = await ethers.provider.getBalance(deployer.address);
@@ -800,6 +1273,95 @@ describe("🛠️ Deployment Helper Functions Tests", function () {
         process.env.AUTO_CONFIRM = originalEnv;
       }
     });
+
+    describe("Interactive prompt", function () {
+      let originalEnv;
+      const details = {
+        network: "mainnet",
+        chainId: "1",
+        deployer: "0x1234567890123456789012345678901234567890",
+        estimatedCost: "0.05",
+        contracts: [{ name: "TestToken", args: ["DAO Governance Token", "DGT", 10n ** 24n] }],
+      };
+
+      function fakeTerminal(answer) {
+        const input = new PassThrough();
+        input.isTTY = true;
+        const output = new PassThrough();
+        if (answer !== null) {
+          setImmediate(() => input.write(`${answer}\n`));
+        } else {
+          setImmediate(() => input.end());
+        }
+        return { input, output };
+      }
+
+      beforeEach(function () {
+        originalEnv = process.env.AUTO_CONFIRM;
+        delete process.env.AUTO_CONFIRM;
+      });
+
+      afterEach(function () {
+        if (originalEnv !== undefined) {
+          process.env.AUTO_CONFIRM = originalEnv;
+        }
+      });
+
+      it("Should proceed when the user answers yes", async function () {
+        const confirmed = await confirmDeployment("Deploy?", { details, ...fakeTerminal("y") });
+        expect(confirmed).to.be.true;
+      });
+
+      it("Should cancel when the user answers no or nothing", async function () {
+        expect(await confirmDeployment("Deploy?", { details, ...fakeTerminal("n") })).to.be.false;
+        expect(await confirmDeployment("Deploy?", { details, ...fakeTerminal("") })).to.be.false;
+      });
+
+      it("Should cancel when the input closes without an answer", async function () {
+        expect(await confirmDeployment("Deploy?", { details, ...fakeTerminal(null) })).to.be.false;
+      });
+
+      it("Should require the exact network name on mainnet-class networks", async function () {
+        const options = { details, requireNetworkName: true };
+
+        expect(await confirmDeployment("Deploy?", { ...options, ...fakeTerminal("y") })).to.be.false;
+        expect(await confirmDeployment("Deploy?", { ...options, ...fakeTerminal("sepolia") })).to.be.false;
+        expect(await confirmDeployment("Deploy?", { ...options, ...fakeTerminal("mainnet") })).to.be.true;
+      });
+
+      it("Should show the network name in the prompt", async function () {
+        const terminal = fakeTerminal("mainnet");
+        let prompt = "";
+        terminal.output.on("data", (chunk) => { prompt += chunk; });
+
+        await confirmDeployment("Deploy?", { details, requireNetworkName: true, ...terminal });
+
+        expect(prompt).to.include("Type the network name (mainnet)");
+      });
+
+      it("Should skip the prompt when AUTO_CONFIRM=true", async function () {
+        process.env.AUTO_CONFIRM = "true";
+        const confirmed = await confirmDeployment("Deploy?", {
+          details,
+          requireNetworkName: true,
+          ...fakeTerminal("no"),
+        });
+        expect(confirmed).to.be.true;
+      });
+
+      it("Should reject a typed confirmation without a network name", async function () {
+        try {
+          await confirmDeployment("Deploy?", { requireNetworkName: true, ...fakeTerminal("mainnet") });
+          expect.fail("Should have thrown error");
+        } catch (error) {
+          expect(error.message).to.include("requireNetworkName needs details.network");
+        }
+      });
+
+      it("Should treat mainnet, polygon and arbitrum as mainnet-class", function () {
+        expect(MAINNET_CLASS_NETWORKS).to.have.members(["mainnet", "polygon", "arbitrum"]);
+      });
+    });
   });
 
   describe("saveDeployment() and loadLatestDeployment() Functions", function () {
@@ -964,6 +1526,151 @@ describe("🛠️ Deployment Helper Functions Tests", function () {
       expect(receipt).to.exist;
       expect(receipt.blockNumber).to.be.a("number");
     });
+
+    describe("With automining disabled", function () {
+      const recipient = "0x000000000000000000000000000000000000dEaD";
+      const mine = () => ethers.provider.send("evm_mine", []);
+
+      beforeEach(async function () {
+        await ethers.provider.send("evm_setAutomine", [false]);
+      });
+
+      afterEach(async function () {
+        await ethers.provider.send("evm_setAutomine", [true]);
+        await mine();
+      });
+
+      const expectTransactionError = async (promise, code) => {
+        try {
+          await promise;
+          expect.fail("Should have thrown error");
+        } catch (error) {
+          expect(error).to.be.instanceOf(TransactionError);
+          expect(error.code).to.equal(code);
+          return error;
+        }
+      };
+
+      it("Should wait for the requested number of confirmations", async function () {
+        const tx = await deployer.sendTransaction({ to: recipient, value: 1n });
+
+        const receipt = await waitForTransaction(tx, 3, { pollIntervalMs: 0, sleep: mine });
+
+        expect(receipt.hash).to.equal(tx.hash);
+        expect(await receipt.confirmations()).to.be.at.least(3);
+      });
+
+      it("Should throw a TIMEOUT error for a transaction that stays pending", async function () {
+        const tx = await deployer.sendTransaction({ to: recipient, value: 1n });
+
+        const error = await expectTransactionError(
+          waitForTransaction(tx, 1, { timeoutMs: 50, pollIntervalMs: 10 }),
+          "TIMEOUT"
+        );
+        expect(error.hash).to.equal(tx.hash);
+        expect(error.nonce).to.equal(tx.nonce);
+      });
+
+      it("Should throw a DROPPED error for a transaction removed from the mempool", async function () {
+        const tx = await deployer.sendTransaction({ to: recipient, value: 1n });
+        await ethers.provider.send("hardhat_dropTransaction", [tx.hash]);
+
+        // Detected after several missed lookups, without a timeout
+        await expectTransactionError(
+          waitForTransaction(tx, 1, { timeoutMs: 0, pollIntervalMs: 0 }),
+          "DROPPED"
+        );
+      });
+
+      it("Should keep waiting for a transaction the node does not know about yet", async function () {
+        const tx = await deployer.sendTransaction({ to: recipient, value: 1n });
+        const raw = ethers.Transaction.from(tx).serialized;
+        await ethers.provider.send("hardhat_dropTransaction", [tx.hash]);
+
+        // Like a lagging node: the first lookups miss the transaction, then it shows up and mines
+        let polls = 0;
+        const sleep = async () => {
+          polls++;
+          if (polls === 2) {
+            await ethers.provider.broadcastTransaction(raw);
+            await mine();
+          }
+        };
+
+        const receipt = await waitForTransaction(tx, 1, { timeoutMs: 0, pollIntervalMs: 0, sleep });
+
+        expect(receipt.hash).to.equal(tx.hash);
+      });
+
+      it("Should detect a transaction replaced with the same nonce", async function () {
+        const tx = await deployer.sendTransaction({ to: recipient, value: 1n });
+        const replacement = await deployer.sendTransaction({
+          to: deployer.address,
+          value: 2n,
+          nonce: tx.nonce,
+          maxFeePerGas: tx.maxFeePerGas * 2n,
+          maxPriorityFeePerGas: tx.maxPriorityFeePerGas * 2n,
+        });
+        await mine();
+
+        const error = await expectTransactionError(waitForTransaction(tx, 1), "REPLACED");
+        expect(error.replacement).to.equal(replacement.hash);
+      });
+
+      it("Should detect a transaction cancelled with a zero-value self transfer", async function () {
+        const tx = await deployer.sendTransaction({ to: recipient, value: 1n });
+        const cancellation = await deployer.sendTransaction({
+          to: deployer.address,
+          value: 0n,
+          nonce: tx.nonce,
+          maxFeePerGas: tx.maxFeePerGas * 2n,
+          maxPriorityFeePerGas: tx.maxPriorityFeePerGas * 2n,
+        });
+        await mine();
+
+        const error = await expectTransactionError(waitForTransaction(tx, 1), "CANCELLED");
+        expect(error.replacement).to.equal(cancellation.hash);
+      });
+
+      it("Should rebroadcast a stuck transaction with higher fees", async function () {
+        const tx = await deployer.sendTransaction({ to: recipient, value: 1n });
+
+        // Mine once the bumped transaction has replaced the original in the mempool
+        const sleep = async (ms) => {
+          await new Promise((resolve) => setTimeout(resolve, ms));
+          if (!await ethers.provider.getTransaction(tx.hash)) {
+            await mine();
+          }
+        };
+        const receipt = await waitForTransaction(tx, 1, {
+          signer: deployer,
+          bumpAfterMs: 1,
+          pollIntervalMs: 5,
+          sleep,
+        });
+
+        const bumped = await ethers.provider.getTransaction(receipt.hash);
+        expect(receipt.hash).to.not.equal(tx.hash);
+        expect(bumped.nonce).to.equal(tx.nonce);
+        expect(bumped.to).to.equal(tx.to);
+        expect(bumped.maxFeePerGas >= (tx.maxFeePerGas * 120n) / 100n).to.be.true;
+        expect(bumped.maxPriorityFeePerGas >= (tx.maxPriorityFeePerGas * 120n) / 100n).to.be.true;
+      });
+
+      it("Should throw a REVERTED error with the receipt", async function () {
+        const tx = await deployer.sendTransaction({
+          to: await token.getAddress(),
+          data: "0xdeadbeef",
+          gasLimit: 100000n,
+        });
+
+        const error = await expectTransactionError(
+          waitForTransaction(tx, 1, { pollIntervalMs: 0, sleep: mine }),
+          "REVERTED"
+        );
+        expect(error.receipt.status).to.equal(0);
+      });
+    });
   });
 
   describe("verifyContract() Function", function () {
@@ -990,6 +1697,2074 @@ describe("🛠️ Deployment Helper Functions Tests", function () {
         process.env.SKIP_VERIFICATION = originalEnv;
       }
     });
+
+    // Stand-in runtime whose verify function replays the given outcomes
+    const mockVerifier = (...outcomes) => {
+      const calls = [];
+      return {
+        calls,
+        network: { name: "sepolia", connection: { networkName: "sepolia" } },
+        config: { verify: { etherscan: { apiKey: { get: async () => "hardhat-config-key" } } } },
+        verify: async (args) => {
+          calls.push(args);
+          const outcome = outcomes.shift();
+          if (outcome instanceof Error) {
+            throw outcome;
+          }
+        },
+      };
+    };
+
+    it("Should verify through hardhat-verify on the connected network", async function () {
+      // Not the default network the tests run on
+      const runtime = await connectRuntime(hre, "hardhatOp");
+      const delays = [];
+
+      // The plugin refuses to verify on a development chain, so it fails without retrying
+      const result = await verifyContract(runtime, deployer.address, ["Token", 1000n], {
+        logger: createLogger({ format: "silent" }),
+        sleep: async (ms) => delays.push(ms),
+      });
+
+      expect(result.status).to.equal("failed");
+      expect(result.reason).to.include('The network "hardhatOp" with chain id "31337" is not supported');
+      expect(result.attempts).to.equal(1);
+      expect(delays).to.be.empty;
+    });
+
+    it("Should pass the connection and configured API key to the verifier", async function () {
+      const runtime = await connectRuntime(hre, "hardhatOp");
+      let seen;
+      const verify = async (args, verificationRuntime) => {
+        const connection = await verificationRuntime.network.create();
+        seen = {
+          args,
+          networkName: connection.networkName,
+          apiKey: await verificationRuntime.config.verify.etherscan.apiKey.get(),
+        };
+      };
+
+      const result = await verifyContract(runtime, "0xToken", ["Token", 1000n], { apiKey: "polygonscan-key", verify });
+
+      expect(result.status).to.equal("verified");
+      expect(seen).to.deep.equal({
+        args: { address: "0xToken", constructorArgs: ["Token", 1000n] },
+        networkName: "hardhatOp",
+        apiKey: "polygonscan-key",
+      });
+    });
+
+    it("Should report a successful verification", async function () {
+      const verifier = mockVerifier(undefined);
+
+      expect(await verifyContract(verifier, "0xToken", ["Token", "TKN", 1000n], { verify: verifier.verify })).to.deep.equal({
+        address: "0xToken",
+        status: "verified",
+        reason: null,
+        attempts: 1,
+      });
+      expect(verifier.calls).to.deep.equal([{ address: "0xToken", constructorArgs: ["Token", "TKN", 1000n] }]);
+    });
+
+    it("Should treat already verified contracts as verified", async function () {
+      const verifier = mockVerifier(
+        new Error('HHE80022: The contract "contracts/TestToken.sol:TestToken" at address "0xToken" is already verified.')
+      );
+
+      const result = await verifyContract(verifier, "0xToken", [], { verify: verifier.verify });
+      expect(result.status).to.equal("already-verified");
+      expect(result.reason).to.be.null;
+    });
+
+    it("Should retry with backoff while the explorer is indexing", async function () {
+      const delays = [];
+      const verifier = mockVerifier(
+        new Error('HHE80004: No bytecode found at address "0xToken". Is the contract deployed on the "sepolia" network?'),
+        new Error('HHE80028: Etherscan responded that the address "0xToken" does not contain a contract.'),
+        undefined
+      );
+
+      const result = await verifyContract(verifier, "0xToken", [], {
+        initialDelayMs: 1000,
+        sleep: async (ms) => delays.push(ms),
+        verify: verifier.verify,
+      });
+
+      expect(result.status).to.equal("verified");
+      expect(result.attempts).to.equal(3);
+      expect(delays).to.deep.equal([1000, 2000]);
+      expect(verifier.calls).to.have.length(3);
+    });
+
+    it("Should give up after the configured retries", async function () {
+      const delays = [];
+      const notIndexed = () => new Error("Unable to locate ContractCode at 0xToken");
+      const verifier = mockVerifier(notIndexed(), notIndexed(), notIndexed());
+
+      const result = await verifyContract(verifier, "0xToken", [], {
+        retries: 2,
+        sleep: async (ms) => delays.push(ms),
+        verify: verifier.verify,
+      });
+
+      expect(result.status).to.equal("failed");
+      expect(result.reason).to.equal("Unable to locate ContractCode at 0xToken");
+      expect(result.attempts).to.equal(3);
+      expect(delays).to.deep.equal([5000, 10000]);
+    });
+
+    it("Should not retry other verification errors", async function () {
+      const delays = [];
+      const verifier = mockVerifier(new Error("Invalid API Key"));
+
+      const result = await verifyContract(verifier, "0xToken", [], {
+        sleep: async (ms) => delays.push(ms),
+        verify: verifier.verify,
+      });
+
+      expect(result).to.include({ status: "failed", reason: "Invalid API Key", attempts: 1 });
+      expect(delays).to.be.empty;
+      expect(isNotYetIndexedError(new Error("Invalid API Key"))).to.be.false;
+      expect(isNotYetIndexedError(new Error("Contract not yet indexed"))).to.be.true;
+    });
+
+    it("Should summarize verification as completed only when every contract verified", function () {
+      const verified = { address: "0xToken", status: "verified", reason: null, attempts: 1 };
+      const failed = { address: "0xDAO", status: "failed", reason: "Invalid API Key", attempts: 1 };
+
+      expect(summarizeVerification({ TestToken: verified })).to.deep.equal({
+        completed: true,
+        contracts: { TestToken: { status: "verified", reason: null } },
+      });
+      expect(summarizeVerification({ TestToken: verified, DAOVoting: failed })).to.deep.equal({
+        completed: false,
+        contracts: {
+          TestToken: { status: "verified", reason: null },
+          DAOVoting: { status: "failed", reason: "Invalid API Key" },
+        },
+      });
+    });
+
+    it("Should not report skipped verification as completed", function () {
+      expect(summarizeVerification({})).to.deep.equal({ completed: false, contracts: {} });
+    });
+  });
+});
+
+describe("♻️ Resumable Deployment Tests", function () {
+  const testNetwork = "resume-test";
+  let network;
+  let ethers;
+  let tokenArgs;
+
+  before(async function () {
+    network = await hre.network.connect();
+    ethers = network.ethers;
+    tokenArgs = ["Resume Token", "RSM", ethers.parseEther("1000")];
+  });
+
+  afterEach(function () {
+    const deploymentsDir = path.join(process.cwd(), "deployments");
+    if (fs.existsSync(deploymentsDir)) {
+      fs.readdirSync(deploymentsDir)
+        .filter((file) => file.startsWith(`${testNetwork}-`))
+        .forEach((file) => fs.unlinkSync(path.join(deploymentsDir, file)));
+    }
+  });
+
+  it("Should journal each deployed step", async function () {
+    const result = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+
+    expect(result.reused).to.be.false;
+    const journal = loadDeploymentJournal(testNetwork);
+    expect(journal.steps.TestToken.address).to.equal(result.address);
+    expect(journal.steps.TestToken.transactionHash).to.equal(result.transactionHash);
+    expect(journal.steps.TestToken.constructorArgs[2]).to.equal(tokenArgs[2].toString());
+  });
+
+  it("Should reuse a journaled contract instead of redeploying", async function () {
+    const first = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+    const second = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+
+    expect(second.reused).to.be.true;
+    expect(second.address).to.equal(first.address);
+    expect(await second.contract.symbol()).to.equal("RSM");
+  });
+
+  it("Should resume from the first missing step", async function () {
+    const token = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+
+    // Simulate a crash before DAOVoting: rerun both steps
+    const tokenAgain = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+    const dao = await deployOrResume(network, "DAOVoting", [tokenAgain.address, 20, 5, 0, 0, 0], { network: testNetwork });
+
+    expect(tokenAgain.address).to.equal(token.address);
+    expect(dao.reused).to.be.false;
+    expect(await dao.contract.governanceToken()).to.equal(token.address);
+  });
+
+  it("Should reuse contracts recorded in the latest saved deployment", async function () {
+    const token = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+    saveDeployment(testNetwork, {
+      contracts: {
+        TestToken: {
+          address: token.address,
+          constructorArgs: tokenArgs,
+          transactionHash: token.transactionHash,
+        },
+      },
+    });
+    clearDeploymentJournal(testNetwork);
+
+    const resumed = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+
+    expect(resumed.reused).to.be.true;
+    expect(resumed.address).to.equal(token.address);
+  });
+
+  it("Should redeploy when constructor args differ", async function () {
+    const first = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+    const otherArgs = ["Other Token", "OTH", ethers.parseEther("1000")];
+    const second = await deployOrResume(network, "TestToken", otherArgs, { network: testNetwork });
+
+    expect(second.reused).to.be.false;
+    expect(second.address).to.not.equal(first.address);
+  });
+
+  it("Should redeploy everything when fresh is set", async function () {
+    const first = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+    const second = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork, fresh: true });
+
+    expect(second.reused).to.be.false;
+    expect(second.address).to.not.equal(first.address);
+  });
+
+  it("Should reject records whose address has no code", async function () {
+    const first = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+    const record = {
+      address: ethers.Wallet.createRandom().address,
+      constructorArgs: tokenArgs,
+      transactionHash: first.transactionHash,
+    };
+
+    expect(await isDeploymentReusable(network, "TestToken", tokenArgs, record)).to.be.false;
+  });
+
+  it("Should reject records created by a different contract's bytecode", async function () {
+    const token = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+    const dao = await deployOrResume(network, "DAOVoting", [token.address, 20, 5, 0, 0, 0], { network: testNetwork });
+    recordDeploymentStep(testNetwork, "TestToken", {
+      address: dao.address,
+      constructorArgs: tokenArgs,
+      transactionHash: dao.transactionHash,
+    });
+
+    const resumed = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+
+    expect(resumed.reused).to.be.false;
+    expect(resumed.address).to.not.equal(dao.address);
+  });
+
+  it("Should reject records without a creation transaction hash", async function () {
+    const token = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+
+    expect(await isDeploymentReusable(network, "TestToken", tokenArgs, {
+      address: token.address,
+      constructorArgs: tokenArgs,
+    })).to.be.false;
+  });
+});
+
+describe("🧂 CREATE2 Deterministic Deployment Tests", function () {
+  const testNetwork = "create2-test";
+  let network;
+  let ethers;
+  let deployer;
+  let other;
+
+  before(async function () {
+    network = await hre.network.connect();
+    ethers = network.ethers;
+    [deployer, other] = await ethers.getSigners();
+  });
+
+  afterEach(function () {
+    const deploymentsDir = path.join(process.cwd(), "deployments");
+    if (fs.existsSync(deploymentsDir)) {
+      fs.readdirSync(deploymentsDir)
+        .filter((file) => file.startsWith(`${testNetwork}-`))
+        .forEach((file) => fs.unlinkSync(path.join(deploymentsDir, file)));
+    }
+  });
+
+  async function tokenInitCode(args) {
+    const TokenFactory = await ethers.getContractFactory("TestToken");
+    return (await TokenFactory.getDeployTransaction(...args)).data;
+  }
+
+  it("Should bootstrap the proxy and factory on a fresh chain", async function () {
+    const factory = await ensureCreate2Factory(network);
+
+    expect(await ethers.provider.getCode(DETERMINISTIC_DEPLOYMENT_PROXY.address)).to.not.equal("0x");
+    expect(await factory.getAddress()).to.equal(await getCreate2FactoryAddress(network));
+    expect(await ethers.provider.getCode(await factory.getAddress())).to.not.equal("0x");
+  });
+
+  it("Should predict the deployed address from salt and init code", async function () {
+    const args = ["Create2 Token", "C2T", 0n];
+    const factory = await ensureCreate2Factory(network);
+    const initCode = await tokenInitCode(args);
+    const predicted = predictCreate2Address(network, {
+      factoryAddress: await factory.getAddress(),
+      deployer: deployer.address,
+      salt: "predict",
+      initCode,
+    });
+
+    expect(await factory.computeAddress(deployer.address, ethers.id("predict"), ethers.keccak256(initCode)))
+      .to.equal(predicted);
+
+    const result = await deployContractCreate2(network, "TestToken", args, { salt: "predict" });
+    expect(result.address).to.equal(predicted);
+    expect(result.existed).to.be.false;
+    expect(await result.contract.symbol()).to.equal("C2T");
+  });
+
+  it("Should skip deployment when code already exists at the predicted address", async function () {
+    const args = ["Create2 Token", "C2T", 0n];
+    const first = await deployContractCreate2(network, "TestToken", args, { salt: "skip" });
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    const second = await deployContractCreate2(network, "TestToken", args, { salt: "skip" });
+
+    expect(second.existed).to.be.true;
+    expect(second.address).to.equal(first.address);
+    expect(second.transactionHash).to.be.null;
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+  });
+
+  it("Should bind the salt to the deployer", async function () {
+    const args = ["Create2 Token", "C2T", 0n];
+    const factoryAddress = await getCreate2FactoryAddress(network);
+    const initCode = await tokenInitCode(args);
+
+    const mine = predictCreate2Address(network, { factoryAddress, deployer: deployer.address, salt: "bound", initCode });
+    const theirs = predictCreate2Address(network, { factoryAddress, deployer: other.address, salt: "bound", initCode });
+
+    expect(mine).to.not.equal(theirs);
+  });
+
+  it("Should mint the supply, apply the DAO settings and hand ownership back via follow-up calls", async function () {
+    const base = getConfig("hardhat");
+    const config = {
+      ...base,
+      dao: { ...base.dao, timelockDelay: "1h", proposalThreshold: "100", maxActiveProposals: 2 },
+      create2: { salt: "handback" },
+    };
+    const options = await getCreate2Options(network, config, deployer);
+    const supply = ethers.parseUnits(config.token.initialSupply, 18);
+
+    const token = await deployContract(network, "TestToken", getTokenArgs(network, config), {
+      create2: options.TestToken,
+    });
+    const dao = await deployContract(network, "DAOVoting", getDaoArgs(network, config, await token.getAddress()), {
+      create2: options.DAOVoting,
+    });
+
+    expect(await token.owner()).to.equal(deployer.address);
+    expect(await token.totalSupply()).to.equal(supply);
+    expect(await token.balanceOf(deployer.address)).to.equal(supply);
+    expect(await token.balanceOf(await getCreate2FactoryAddress(network))).to.equal(0n);
+    expect(await dao.owner()).to.equal(deployer.address);
+    expect(await dao.quorumNumerator()).to.equal(BigInt(config.dao.quorumNumerator));
+    expect(await dao.votingPeriodBlocks()).to.equal(BigInt(config.dao.votingPeriodBlocks));
+    expect(await dao.timelockDelay()).to.equal(3600n);
+    expect(await dao.proposalThreshold()).to.equal(ethers.parseEther("100"));
+    expect(await dao.maxActiveProposals()).to.equal(2n);
+  });
+
+  it("Should keep the network settings out of the constructor arguments", async function () {
+    const sepolia = { ...getConfig("sepolia"), create2: { salt: "agnostic" } };
+    const polygon = { ...getConfig("polygon"), create2: { salt: "agnostic" } };
+    const token = ethers.Wallet.createRandom().address;
+
+    expect(getTokenArgs(network, sepolia)).to.deep.equal(getTokenArgs(network, polygon));
+    expect(getDaoArgs(network, sepolia, token)).to.deep.equal(getDaoArgs(network, polygon, token));
+    // Plain CREATE keeps passing them to the constructor
+    expect(getDaoArgs(network, getConfig("sepolia"), token)).to.deep.equal([token, 15, 7200, 86400, 0n, 0]);
+  });
+
+  it("Should require a salt", async function () {
+    try {
+      await deployContractCreate2(network, "TestToken", ["T", "T", 0n], {});
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error.message).to.include("requires a salt");
+    }
+  });
+
+  it("Should journal CREATE2 steps through deployOrResume()", async function () {
+    const args = ["Create2 Token", "C2T", 0n];
+    const first = await deployOrResume(network, "TestToken", args, {
+      network: testNetwork,
+      create2: { salt: "journal" },
+    });
+    const second = await deployOrResume(network, "TestToken", args, {
+      network: testNetwork,
+      create2: { salt: "journal" },
+    });
+
+    expect(first.reused).to.be.false;
+    expect(second.reused).to.be.true;
+    expect(second.transactionHash).to.equal(first.transactionHash);
+    expect(loadDeploymentJournal(testNetwork).steps.TestToken.create2.salt).to.equal("journal");
+  });
+
+  it("Should predict CREATE2 addresses in the deployment plan", async function () {
+    const config = { ...getConfig("hardhat"), create2: { salt: "plan" } };
+    const plan = await buildDeploymentPlan(network, { network: testNetwork, config, deployer });
+    const options = await getCreate2Options(network, config, deployer);
+
+    const token = await deployContract(network, "TestToken", getTokenArgs(network, config), {
+      create2: options.TestToken,
+    });
+
+    expect(plan.deploymentMode).to.equal("create2");
+    expect(plan.steps[0].address).to.equal(await token.getAddress());
+    expect(plan.steps[1].constructorArgs[0]).to.equal(await token.getAddress());
+  });
+
+  it("Should plan the proxy bootstrap, factory deployment and factory calls as setup steps", async function () {
+    // A chain without the proxy and the factory
+    const fresh = await hre.network.connect();
+    const [freshDeployer] = await fresh.ethers.getSigners();
+    const config = { ...getConfig("hardhat"), create2: { salt: "setup" } };
+    const handback = [
+      "TestToken.mint from the CREATE2 factory",
+      "TestToken.transferOwnership from the CREATE2 factory",
+      "DAOVoting.setQuorumNumerator from the CREATE2 factory",
+      "DAOVoting.setVotingPeriodBlocks from the CREATE2 factory",
+      "DAOVoting.transferOwnership from the CREATE2 factory",
+    ];
+
+    const steps = await getCreate2SetupSteps(fresh, config, freshDeployer);
+    expect(steps.map(({ label }) => label)).to.deep.equal([
+      `Fund deterministic deployment proxy signer ${DETERMINISTIC_DEPLOYMENT_PROXY.signer}`,
+      "Deploy DeterministicDeployer through the proxy",
+      ...handback,
+    ]);
+    const bootstrapCost = DETERMINISTIC_DEPLOYMENT_PROXY.gasPrice * DETERMINISTIC_DEPLOYMENT_PROXY.gasLimit;
+    expect(steps[0].value).to.equal(bootstrapCost);
+
+    const plan = await buildDeploymentPlan(fresh, { network: testNetwork, config, deployer: freshDeployer });
+    expect(plan.setup[0].value).to.equal(bootstrapCost.toString());
+    expect(BigInt(plan.setup[0].estimatedCost) > bootstrapCost).to.be.true;
+    expect(plan.setup.slice(0, steps.length).map(({ label }) => label)).to.deep.equal(steps.map(({ label }) => label));
+
+    await ensureCreate2Factory(fresh, freshDeployer);
+    const remaining = await getCreate2SetupSteps(fresh, config, freshDeployer);
+    expect(remaining.map(({ label }) => label)).to.deep.equal(handback);
+    expect(await getCreate2SetupSteps(fresh, getConfig("hardhat"), freshDeployer)).to.be.empty;
+  });
+});
+
+describe("🔑 Governance Handoff Tests", function () {
+  let network;
+  let ethers;
+  let deployer;
+  let multisig;
+  let token;
+  let dao;
+
+  before(async function () {
+    network = await hre.network.connect();
+    ethers = network.ethers;
+    [deployer, multisig] = await ethers.getSigners();
+  });
+
+  beforeEach(async function () {
+    token = await ethers.deployContract("TestToken", ["Handoff Token", "HOT", ethers.parseEther("1000")]);
+    dao = await ethers.deployContract("DAOVoting", [await token.getAddress(), 20, 5, 0, 0, 0]);
+  });
+
+  it("Should transfer ownership to a multisig", async function () {
+    const result = await transferOwnership(token, multisig.address);
+
+    expect(await token.owner()).to.equal(multisig.address);
+    expect(result.previousOwner).to.equal(deployer.address);
+    expect(result.newOwner).to.equal(multisig.address);
+    expect(result.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await validateDeployment(token, { owner: multisig.address })).to.be.true;
+  });
+
+  it("Should hand both contracts to the DAO itself", async function () {
+    const daoAddress = await dao.getAddress();
+    const targets = resolveHandoff(network, { handoff: { tokenOwner: "dao", daoOwner: "dao" } }, { daoAddress });
+
+    await transferOwnership(token, targets.TestToken);
+    await transferOwnership(dao, targets.DAOVoting);
+
+    expect(await token.owner()).to.equal(daoAddress);
+    expect(await dao.owner()).to.equal(daoAddress);
+  });
+
+  it("Should skip the transfer when the target already owns the contract", async function () {
+    await transferOwnership(dao, multisig.address);
+    const result = await transferOwnership(dao, multisig.address);
+
+    expect(result.transactionHash).to.be.null;
+    expect(await dao.owner()).to.equal(multisig.address);
+  });
+
+  it("Should revert when the signer is not the current owner", async function () {
+    await transferOwnership(dao, multisig.address);
+
+    try {
+      await transferOwnership(dao, deployer.address);
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error.message).to.include("OwnableUnauthorizedAccount");
+    }
+  });
+
+  it("Should detect an unexpected owner with validateDeployment()", async function () {
+    expect(await validateDeployment(token, { owner: multisig.address })).to.be.false;
+  });
+
+  it("Should resolve no handoff when none is configured", function () {
+    const targets = resolveHandoff(network, getConfig("hardhat"), { daoAddress: deployer.address });
+
+    expect(targets).to.deep.equal({ TestToken: null, DAOVoting: null });
+  });
+
+  it("Should checksum configured owner addresses", function () {
+    const targets = resolveHandoff(network, {
+      handoff: { tokenOwner: multisig.address.toLowerCase() },
+    }, { daoAddress: deployer.address });
+
+    expect(targets.TestToken).to.equal(multisig.address);
+  });
+
+  it("Should budget gas for handoff transactions", function () {
+    const steps = getSetupSteps({ handoff: { tokenOwner: "dao", daoOwner: multisig.address } });
+
+    expect(steps.map((step) => step.label)).to.deep.equal([
+      "TestToken.transferOwnership",
+      "DAOVoting.transferOwnership",
+    ]);
+    expect(getSetupSteps(getConfig("hardhat"))).to.be.empty;
+  });
+
+  it("Should validate handoff owners in the configuration", function () {
+    const base = getConfig("hardhat");
+
+    expect(validateConfig({ ...base, handoff: { tokenOwner: "dao", daoOwner: multisig.address } })).to.be.true;
+    expect(() => validateConfig({ ...base, handoff: { tokenOwner: "0x1234" } }))
+      .to.throw("Invalid handoff tokenOwner");
+    expect(() => validateConfig({ ...base, handoff: { daoOwner: ethers.ZeroAddress } }))
+      .to.throw("Invalid handoff daoOwner");
+  });
+});
+
+describe("📤 Token Distribution Tests", function () {
+  let network;
+  let ethers;
+  let deployer;
+  let alice;
+  let bob;
+  let carol;
+  let token;
+  let tmpDir;
+
+  before(async function () {
+    network = await hre.network.connect();
+    ethers = network.ethers;
+    [deployer, alice, bob, carol] = await ethers.getSigners();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dao-distribution-"));
+  });
+
+  after(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async function () {
+    token = await ethers.deployContract("TestToken", ["Distribution Token", "DST", ethers.parseEther("1000")]);
+  });
+
+  describe("loadAllocations() and validateAllocations()", function () {
+    it("Should combine inline recipients with a JSON allocation file", function () {
+      const file = path.join(tmpDir, "allocations.json");
+      fs.writeFileSync(file, JSON.stringify([{ address: bob.address, amount: 25 }]));
+
+      const allocations = loadAllocations({
+        recipients: [{ address: alice.address, amount: "100" }],
+        file,
+      });
+
+      expect(allocations).to.deep.equal([
+        { address: alice.address, amount: "100" },
+        { address: bob.address, amount: "25" },
+      ]);
+    });
+
+    it("Should parse CSV allocation files with delegation signatures", function () {
+      const file = path.join(tmpDir, "allocations.csv");
+      fs.writeFileSync(file, [
+        "address,amount,delegatee,nonce,expiry,v,r,s",
+        "# team allocation",
+        `${alice.address},10.5,${alice.address},0,999,27,0xaa,0xbb`,
+        `${bob.address},20`,
+      ].join("\n"));
+
+      const allocations = loadAllocations({ file });
+
+      expect(allocations[0].amount).to.equal("10.5");
+      expect(allocations[0].delegation).to.deep.equal({
+        delegatee: alice.address, nonce: "0", expiry: "999", v: "27", r: "0xaa", s: "0xbb",
+      });
+      expect(allocations[1]).to.deep.equal({ address: bob.address, amount: "20" });
+    });
+
+    it("Should return no allocations without a distribution section", function () {
+      expect(loadAllocations(undefined)).to.deep.equal([]);
+    });
+
+    it("Should accept a valid allocation plan", function () {
+      const errors = validateAllocations([
+        { address: alice.address, amount: "600" },
+        { address: bob.address, amount: "400" },
+      ], "1000");
+
+      expect(errors).to.be.empty;
+    });
+
+    it("Should report every invalid allocation", function () {
+      const errors = validateAllocations([
+        { address: "0x1234", amount: "1" },
+        { address: alice.address, amount: "1e3" },
+        { address: alice.address, amount: "0" },
+        { address: bob.address, amount: "0.0000000000000000001" },
+        { address: carol.address, amount: "5", delegation: { delegatee: carol.address } },
+      ], "1000");
+
+      expect(errors).to.have.lengthOf(6);
+      expect(errors[0]).to.include("invalid address");
+      expect(errors[1]).to.include("invalid amount 1e3");
+      expect(errors[2]).to.include("duplicate recipient");
+      expect(errors[3]).to.include("invalid amount 0");
+      expect(errors[4]).to.include("invalid amount 0.0000000000000000001");
+      expect(errors[5]).to.include("delegation is missing nonce, expiry, v, r, s");
+    });
+
+    it("Should reject allocations exceeding the initial supply", function () {
+      const errors = validateAllocations([{ address: alice.address, amount: "1000.000000000000000001" }], "1000");
+
+      expect(errors).to.deep.equal(["total allocation exceeds initial supply of 1000"]);
+    });
+  });
+
+  describe("distributeTokens()", function () {
+    it("Should send transfers in batches", async function () {
+      const allocations = [
+        { address: alice.address, amount: "100" },
+        { address: bob.address, amount: "200" },
+        { address: carol.address, amount: "0.5" },
+      ];
+
+      const { transfers, failed } = await distributeTokens(network, token, allocations, { batchSize: 2 });
+
+      expect(transfers).to.have.lengthOf(3);
+      expect(failed).to.be.empty;
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("100"));
+      expect(await token.balanceOf(bob.address)).to.equal(ethers.parseEther("200"));
+      expect(await token.balanceOf(carol.address)).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("Should skip recipients that already hold their allocation", async function () {
+      const allocations = [{ address: alice.address, amount: "100" }];
+      await distributeTokens(network, token, allocations);
+
+      const { transfers } = await distributeTokens(network, token, allocations);
+
+      expect(transfers).to.be.empty;
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should report a failed transfer and still send the rest", async function () {
+      const allocations = [
+        { address: alice.address, amount: "100" },
+        { address: ethers.ZeroAddress, amount: "1" },
+        { address: bob.address, amount: "200" },
+      ];
+
+      const { transfers, failed } = await distributeTokens(network, token, allocations, {
+        batchSize: 2,
+        logger: createLogger({ format: "silent" }),
+      });
+
+      expect(transfers.map(({ address }) => address)).to.deep.equal([alice.address, bob.address]);
+      expect(failed).to.have.lengthOf(1);
+      expect(failed[0]).to.include({ address: ethers.ZeroAddress, amount: "1" });
+      expect(failed[0].reason).to.be.a("string").that.is.not.empty;
+      expect(await token.balanceOf(bob.address)).to.equal(ethers.parseEther("200"));
+    });
+  });
+
+  describe("signDelegation() and applyDelegations()", function () {
+    it("Should relay signed delegations on behalf of recipients", async function () {
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const allocations = [
+        { address: alice.address, amount: "100", delegation: await signDelegation(network, token, alice, alice.address, expiry) },
+        { address: bob.address, amount: "50", delegation: await signDelegation(network, token, bob, alice.address, expiry) },
+      ];
+      await distributeTokens(network, token, allocations);
+
+      const delegations = await applyDelegations(token, allocations);
+
+      expect(delegations).to.have.lengthOf(2);
+      expect(await token.delegates(alice.address)).to.equal(alice.address);
+      expect(await token.delegates(bob.address)).to.equal(alice.address);
+      expect(await token.getVotes(alice.address)).to.equal(ethers.parseEther("150"));
+    });
+
+    it("Should skip delegations that are already in place", async function () {
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const allocations = [
+        { address: alice.address, amount: "1", delegation: await signDelegation(network, token, alice, alice.address, expiry) },
+      ];
+      await applyDelegations(token, allocations);
+
+      expect(await applyDelegations(token, allocations)).to.be.empty;
+    });
+  });
+
+  describe("verifyDistribution()", function () {
+    it("Should confirm balances and voting power match the plan", async function () {
+      const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const allocations = [
+        { address: alice.address, amount: "100", delegation: await signDelegation(network, token, alice, alice.address, expiry) },
+        { address: bob.address, amount: "50" },
+      ];
+      await distributeTokens(network, token, allocations);
+      await applyDelegations(token, allocations);
+      await token.delegate(deployer.address);
+
+      const mismatches = await verifyDistribution(network, token, allocations, {
+        deployer,
+        delegateDeployer: true,
+      });
+
+      expect(mismatches).to.be.empty;
+    });
+
+    it("Should accept earlier balances and extra delegated votes", async function () {
+      const allocations = [
+        { address: alice.address, amount: "100", delegation: { delegatee: alice.address } },
+      ];
+      // alice already held more than planned, so the distribution skipped her
+      await token.transfer(alice.address, ethers.parseEther("150"));
+      await token.connect(alice).delegate(alice.address);
+      await distributeTokens(network, token, allocations);
+      // bob's voting power goes to alice as well
+      await token.transfer(bob.address, ethers.parseEther("10"));
+      await token.connect(bob).delegate(alice.address);
+
+      const mismatches = await verifyDistribution(network, token, allocations);
+
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("150"));
+      expect(mismatches).to.be.empty;
+    });
+
+    it("Should report balance and voting power mismatches", async function () {
+      const allocations = [
+        { address: alice.address, amount: "100", delegation: { delegatee: alice.address } },
+      ];
+      await token.transfer(alice.address, ethers.parseEther("40"));
+
+      const mismatches = await verifyDistribution(network, token, allocations);
+
+      expect(mismatches).to.have.lengthOf(2);
+      expect(mismatches[0]).to.include("balance");
+      expect(mismatches[1]).to.include("votes");
+    });
+  });
+
+  it("Should budget gas for distribution setup transactions", function () {
+    const steps = getSetupSteps({
+      distribution: {
+        recipients: [
+          { address: alice.address, amount: "1", delegation: { delegatee: alice.address } },
+          { address: bob.address, amount: "1" },
+        ],
+        delegateDeployer: true,
+      },
+    });
+
+    expect(steps.map((step) => step.label)).to.deep.equal([
+      `TestToken.transfer(${alice.address})`,
+      `TestToken.delegateBySig(${alice.address})`,
+      `TestToken.transfer(${bob.address})`,
+      "TestToken.delegate(deployer)",
+    ]);
+  });
+
+  it("Should validate the distribution section of the configuration", function () {
+    const base = getConfig("hardhat");
+
+    expect(validateConfig({ ...base, distribution: { recipients: [], batchSize: 5 } })).to.be.true;
+    expect(() => validateConfig({ ...base, distribution: { recipients: {} } }))
+      .to.throw("Distribution recipients must be an array");
+    expect(() => validateConfig({ ...base, distribution: { file: "allocations.txt" } }))
+      .to.throw("Distribution file must be a .json or .csv path");
+    expect(() => validateConfig({ ...base, distribution: { batchSize: 0 } }))
+      .to.throw("Distribution batch size must be a positive integer");
+  });
+});
+
+describe("📝 Deployment Plan (Dry Run) Tests", function () {
+  const testNetwork = "plan-test";
+  let network;
+  let ethers;
+  let deployer;
+  let config;
+
+  before(async function () {
+    network = await hre.network.connect();
+    ethers = network.ethers;
+    [deployer] = await ethers.getSigners();
+    config = getConfig("hardhat");
+  });
+
+  afterEach(function () {
+    const deploymentsDir = path.join(process.cwd(), "deployments");
+    if (fs.existsSync(deploymentsDir)) {
+      fs.readdirSync(deploymentsDir)
+        .filter((file) => file.startsWith(`${testNetwork}-`))
+        .forEach((file) => fs.unlinkSync(path.join(deploymentsDir, file)));
+    }
+  });
+
+  it("Should plan both deployments without sending transactions", async function () {
+    const nonceBefore = await ethers.provider.getTransactionCount(deployer.address);
+
+    const plan = await buildDeploymentPlan(network, { network: testNetwork, config, deployer });
+
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonceBefore);
+    expect(plan.steps.map((step) => step.contract)).to.deep.equal(["TestToken", "DAOVoting"]);
+    expect(plan.steps.every((step) => step.action === "deploy")).to.be.true;
+    expect(BigInt(plan.steps[0].gasEstimate)).to.be.greaterThan(0n);
+    expect(BigInt(plan.steps[1].gasEstimate)).to.be.greaterThan(0n);
+    expect(BigInt(plan.totals.estimatedCost)).to.equal(
+      BigInt(plan.steps[0].estimatedCost) + BigInt(plan.steps[1].estimatedCost)
+    );
+    expect(plan.totals.requiredBalance).to.equal((BigInt(plan.totals.estimatedCost) * 2n).toString());
+  });
+
+  it("Should encode constructor args against the predicted token address", async function () {
+    const plan = await buildDeploymentPlan(network, { network: testNetwork, config, deployer });
+    const [tokenStep, daoStep] = plan.steps;
+
+    const [tokenAddress, quorum, period, timelockDelay, threshold, maxActive] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ["address", "uint16", "uint256", "uint256", "uint256", "uint256"],
+      daoStep.encodedArgs
+    );
+    expect(tokenAddress).to.equal(tokenStep.address);
+    expect(quorum).to.equal(BigInt(config.dao.quorumNumerator));
+    expect(period).to.equal(BigInt(config.dao.votingPeriodBlocks));
+    expect(timelockDelay).to.equal(0n);
+    expect(threshold).to.equal(0n);
+    expect(maxActive).to.equal(0n);
+
+    const result = await deployOrResume(network, "TestToken", [
+      config.token.name,
+      config.token.symbol,
+      ethers.parseUnits(config.token.initialSupply, 18),
+    ], { network: testNetwork });
+    expect(result.address).to.equal(tokenStep.address);
+  });
+
+  it("Should mark recorded contracts as reused", async function () {
+    const tokenArgs = [
+      config.token.name,
+      config.token.symbol,
+      ethers.parseUnits(config.token.initialSupply, 18),
+    ];
+    const token = await deployOrResume(network, "TestToken", tokenArgs, { network: testNetwork });
+
+    const plan = await buildDeploymentPlan(network, { network: testNetwork, config, deployer });
+
+    expect(plan.steps[0].action).to.equal("reuse");
+    expect(plan.steps[0].address).to.equal(token.address);
+    expect(plan.steps[0].estimatedCost).to.equal("0");
+    expect(plan.steps[1].constructorArgs[0]).to.equal(token.address);
+  });
+
+  it("Should produce a JSON-serializable plan with redacted secrets", async function () {
+    const plan = await buildDeploymentPlan(network, {
+      network: testNetwork,
+      config: { ...config, verification: { enabled: true, apiKey: "secret-key" } },
+      deployer,
+    });
+
+    const json = JSON.stringify(plan);
+    expect(json).to.not.include("secret-key");
+    expect(JSON.parse(json).config.verification.apiKey).to.equal("<redacted>");
+    expect(plan.verification.willRun).to.be.true;
+
+    const skipped = await buildDeploymentPlan(network, {
+      network: testNetwork,
+      config: { ...config, verification: { enabled: true, apiKey: "secret-key" } },
+      deployer,
+      skipVerification: true,
+    });
+    expect(skipped.verification.willRun).to.be.false;
+  });
+
+  it("Should format a human-readable plan", async function () {
+    const plan = await buildDeploymentPlan(network, { network: testNetwork, config, deployer });
+    const text = formatDeploymentPlan(network, plan);
+
+    expect(text).to.include(`Network:   ${testNetwork}`);
+    expect(text).to.include("DEPLOY TestToken");
+    expect(text).to.include("DEPLOY DAOVoting");
+    expect(text).to.include("Fees: base");
+    expect(text).to.include("Max cost:");
+    expect(text).to.include("Post-deployment checks:");
+    expect(text).to.include("Verification: skipped");
+    expect(text).to.not.include("\n\n\n");
+  });
+});
+
+describe("🗂️ Deployment Registry Tests", function () {
+  const testNetwork = "registry-test";
+  const deploymentsDir = path.join(process.cwd(), "deployments");
+  let ids;
+
+  const deploymentInfo = (tokenAddress, quorumNumerator) => ({
+    deployer: "0x1234567890123456789012345678901234567890",
+    chainId: "31337",
+    contracts: {
+      TestToken: { address: tokenAddress, constructorArgs: ["Token", "TKN", "1000"] },
+      DAOVoting: { address: "0xDAO", constructorArgs: [tokenAddress, quorumNumerator, 5], quorumNumerator },
+    },
+  });
+
+  beforeEach(function () {
+    ids = [
+      saveDeployment(testNetwork, deploymentInfo("0xToken1", 20)).id,
+      saveDeployment(testNetwork, deploymentInfo("0xToken2", 20)).id,
+      saveDeployment(testNetwork, deploymentInfo("0xToken3", 25)).id,
+    ];
+  });
+
+  afterEach(function () {
+    fs.readdirSync(deploymentsDir)
+      .filter((file) => file.startsWith(`${testNetwork}-`))
+      .forEach((file) => fs.unlinkSync(path.join(deploymentsDir, file)));
+  });
+
+  it("Should list deployments oldest first with the newest active", function () {
+    const deployments = listDeployments(testNetwork);
+
+    expect(deployments.map((d) => d.id)).to.deep.equal(ids);
+    expect(deployments.map((d) => d.contracts.TestToken)).to.deep.equal(["0xToken1", "0xToken2", "0xToken3"]);
+    expect(deployments.map((d) => d.active)).to.deep.equal([false, false, true]);
+    expect(deployments[0].chainId).to.equal("31337");
+  });
+
+  it("Should only list deployments of the requested network", function () {
+    saveDeployment(`${testNetwork}-fork`, deploymentInfo("0xFork", 20));
+
+    expect(listDeployments(testNetwork)).to.have.length(3);
+    expect(listDeployments(`${testNetwork}-fork`)).to.have.length(1);
+    expect(listDeployments("registry-missing")).to.deep.equal([]);
+  });
+
+  it("Should load deployments by selector", function () {
+    expect(loadDeployment(testNetwork).id).to.equal(ids[2]);
+    expect(loadDeployment(testNetwork, "latest").id).to.equal(ids[2]);
+    expect(loadDeployment(testNetwork, "previous").id).to.equal(ids[1]);
+    expect(loadDeployment(testNetwork, 0).id).to.equal(ids[0]);
+    expect(loadDeployment(testNetwork, -2).id).to.equal(ids[1]);
+    expect(loadDeployment(testNetwork, ids[0]).contracts.TestToken.address).to.equal("0xToken1");
+    expect(loadDeployment(testNetwork, "123")).to.be.null;
+    expect(loadDeployment("registry-missing")).to.be.null;
+  });
+
+  it("Should roll back by marking an earlier deployment active", function () {
+    const lines = [];
+    const logger = createLogger({ format: "json", write: (line) => lines.push(line) });
+
+    const activated = markActive(testNetwork, "previous", { logger });
+
+    expect(activated.id).to.equal(ids[1]);
+    expect(lines.map((line) => JSON.parse(line).event)).to.deep.equal(["deployment.activated"]);
+    expect(getActiveDeploymentId(testNetwork)).to.equal(ids[1]);
+    expect(loadDeployment(testNetwork).contracts.TestToken.address).to.equal("0xToken2");
+    expect(loadDeployment(testNetwork, "previous").id).to.equal(ids[0]);
+    expect(loadLatestDeployment(testNetwork).contracts.TestToken.address).to.equal("0xToken2");
+    expect(listDeployments(testNetwork).map((d) => d.active)).to.deep.equal([false, true, false]);
+  });
+
+  it("Should make a newly saved deployment active again", function () {
+    markActive(testNetwork, 0);
+    const { id } = saveDeployment(testNetwork, deploymentInfo("0xToken4", 20));
+
+    expect(getActiveDeploymentId(testNetwork)).to.equal(id);
+    expect(loadLatestDeployment(testNetwork).contracts.TestToken.address).to.equal("0xToken4");
+  });
+
+  it("Should reject marking an unknown deployment active", function () {
+    expect(() => markActive(testNetwork, "123"))
+      .to.throw(`No deployment found for ${testNetwork} matching "123"`);
+  });
+
+  it("Should update a saved deployment and mirror the active one to latest", function () {
+    const updated = updateDeployment(testNetwork, "active", { verification: { enabled: true, completed: true } });
+
+    expect(updated.id).to.equal(ids[2]);
+    expect(loadDeployment(testNetwork).verification.completed).to.be.true;
+    expect(loadLatestDeployment(testNetwork).verification.completed).to.be.true;
+    expect(loadLatestDeployment(testNetwork).contracts.TestToken.address).to.equal("0xToken3");
+
+    updateDeployment(testNetwork, 0, { verification: { enabled: true, completed: false } });
+    expect(loadDeployment(testNetwork, 0).verification.completed).to.be.false;
+    expect(loadLatestDeployment(testNetwork).verification.completed).to.be.true;
+  });
+
+  it("Should diff two deployments", function () {
+    const changes = diffDeployments(loadDeployment(testNetwork, 1), loadDeployment(testNetwork, 2));
+
+    expect(changes).to.deep.equal([
+      { path: "$.contracts.TestToken.address", before: "0xToken2", after: "0xToken3" },
+      { path: "$.contracts.DAOVoting.constructorArgs[0]", before: "0xToken2", after: "0xToken3" },
+      { path: "$.contracts.DAOVoting.constructorArgs[1]", before: 20, after: 25 },
+      { path: "$.contracts.DAOVoting.quorumNumerator", before: 20, after: 25 },
+    ]);
+    expect(formatDeploymentDiff(changes)).to.include('$.contracts.DAOVoting.quorumNumerator: 20 -> 25');
+    expect(diffDeployments(loadDeployment(testNetwork, 0), loadDeployment(testNetwork, 0))).to.deep.equal([]);
+    expect(formatDeploymentDiff([])).to.equal("No differences");
+  });
+
+  it("Should report fields added or removed between deployments", function () {
+    const before = loadDeployment(testNetwork, 0);
+    const after = { ...loadDeployment(testNetwork, 1), handoff: { TestToken: { newOwner: "0xMultisig" } } };
+
+    expect(diffDeployments(before, after)).to.deep.include({
+      path: "$.handoff",
+      before: null,
+      after: { TestToken: { newOwner: "0xMultisig" } },
+    });
+  });
+});
+
+describe("🧾 Build Provenance Tests", function () {
+  let ethers;
+  let env;
+  let token;
+  let dao;
+  let tokenAddress;
+  let daoAddress;
+
+  before(async function () {
+    // The runtime scripts/check-bytecode.js builds: artifacts from hre, the chain from the connection
+    env = await connectRuntime(hre);
+    ethers = env.ethers;
+
+    token = await ethers.deployContract("TestToken", ["Provenance Token", "PVT", ethers.parseEther("1000")]);
+    tokenAddress = await token.getAddress();
+    dao = await ethers.deployContract("DAOVoting", [tokenAddress, 20, 5, 0, 0, 0]);
+    daoAddress = await dao.getAddress();
+  });
+
+  it("Should read compiler version, settings, bytecode hashes and ABI", async function () {
+    const artifact = await hre.artifacts.readArtifact("TestToken");
+    const provenance = await getBuildProvenance(env, "TestToken");
+
+    expect(provenance.sourceName).to.equal("contracts/TestToken.sol");
+    expect(provenance.compiler.type).to.equal("solc");
+    expect(provenance.compiler.version).to.match(/^0\.8\.28\+commit\.[0-9a-f]+$/);
+    expect(provenance.settings.optimizer.enabled).to.be.a("boolean");
+    expect(provenance.settings).to.have.property("evmVersion");
+    expect(provenance.bytecodeHash).to.equal(ethers.keccak256(artifact.bytecode));
+    expect(provenance.deployedBytecodeHash).to.equal(ethers.keccak256(artifact.deployedBytecode));
+    expect(provenance.abi).to.deep.equal(artifact.abi);
+  });
+
+  it("Should record the deploy transaction, block and runtime code hash", async function () {
+    const transactionHash = token.deploymentTransaction().hash;
+    const receipt = await ethers.provider.getTransactionReceipt(transactionHash);
+
+    const provenance = await getDeploymentProvenance(env, "TestToken", { address: tokenAddress, transactionHash });
+
+    expect(provenance.transactionHash).to.equal(transactionHash);
+    expect(provenance.blockNumber).to.equal(receipt.blockNumber);
+    expect(provenance.runtimeCodeHash).to.equal(ethers.keccak256(await ethers.provider.getCode(tokenAddress)));
+    expect(provenance.build.compiler.version).to.match(/^0\.8\.28/);
+    expect(provenance.build).to.not.have.property("abi");
+    expect(provenance.abi).to.be.an("array");
+
+    const existing = await getDeploymentProvenance(env, "TestToken", { address: tokenAddress });
+    expect(existing.blockNumber).to.be.null;
+  });
+
+  it("Should mask immutables filled in at deploy time", function () {
+    const masked = maskImmutables("0xaabbccddeeff", { 1: [{ start: 1, length: 2 }], 2: [{ start: 5, length: 1 }] });
+
+    expect(masked).to.equal("0xaa0000ddee00");
+    expect(maskImmutables("0xaabb")).to.equal("0xaabb");
+  });
+
+  it("Should match deployed bytecode against the artifacts and the recorded build", async function () {
+    const { build } = await getDeploymentProvenance(env, "TestToken", { address: tokenAddress });
+
+    expect(await checkDeployedBytecode(env, "TestToken", tokenAddress, build)).to.deep.equal({
+      contractName: "TestToken",
+      address: tokenAddress,
+      matches: true,
+      reasons: [],
+    });
+    expect((await checkDeployedBytecode(env, "DAOVoting", daoAddress)).matches).to.be.true;
+  });
+
+  it("Should detect bytecode that does not match the artifact", async function () {
+    const wrong = await checkDeployedBytecode(env, "TestToken", daoAddress);
+    expect(wrong.matches).to.be.false;
+    expect(wrong.reasons).to.deep.equal(["on-chain runtime bytecode differs from the compiled artifact"]);
+
+    const empty = await checkDeployedBytecode(env, "TestToken", ethers.Wallet.createRandom().address);
+    expect(empty.matches).to.be.false;
+    expect(empty.reasons[0]).to.match(/^no code at 0x/);
+  });
+
+  it("Should detect a build that differs from the recorded one", async function () {
+    const { build } = await getDeploymentProvenance(env, "TestToken", { address: tokenAddress });
+    const recorded = {
+      ...build,
+      compiler: { type: "solc", version: "0.8.20+commit.a1b79de6" },
+      settings: { ...build.settings, optimizer: { enabled: true, runs: 1 } },
+      deployedBytecodeHash: ethers.ZeroHash,
+    };
+
+    const result = await checkDeployedBytecode(env, "TestToken", tokenAddress, recorded);
+
+    expect(result.matches).to.be.false;
+    expect(result.reasons).to.have.length(3);
+    expect(result.reasons[0]).to.include("compiler 0.8.20+commit.a1b79de6 was recorded");
+    expect(result.reasons[1]).to.include("compiler settings differ");
+    expect(result.reasons[2]).to.equal("compiled artifact differs from the build recorded at deployment");
+  });
+
+  it("Should check every contract of a saved deployment", async function () {
+    const tokenRecord = await getDeploymentProvenance(env, "TestToken", { address: tokenAddress });
+    const results = await checkDeployment(env, {
+      contracts: {
+        TestToken: { address: tokenAddress, ...tokenRecord },
+        DAOVoting: { address: tokenAddress },
+      },
+    });
+
+    expect(results.map((result) => [result.contractName, result.matches])).to.deep.equal([
+      ["TestToken", true],
+      ["DAOVoting", false],
+    ]);
+  });
+
+  it("Should record the git commit of the source tree", function () {
+    const git = getGitInfo();
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), "dao-nogit-"));
+
+    try {
+      expect(git.commit).to.match(/^[0-9a-f]{40}$/);
+      expect(git.dirty).to.be.a("boolean");
+      expect(getGitInfo(outside)).to.be.null;
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("⏱️ Voting Period Conversion Tests", function () {
+  let network;
+  let base;
+
+  before(async function () {
+    network = await hre.network.connect();
+    base = getConfig("hardhat");
+  });
+
+  const withVotingPeriod = (votingPeriod, extra = {}) => {
+    const { votingPeriodBlocks, ...dao } = base.dao;
+    return { ...base, ...extra, dao: { ...dao, votingPeriod } };
+  };
+
+  it("Should parse and format durations", function () {
+    expect(parseDuration("7d")).to.equal(604800);
+    expect(parseDuration("36h")).to.equal(129600);
+    expect(parseDuration("1w2d12h")).to.equal(820800);
+    expect(parseDuration("90s")).to.equal(90);
+    expect(() => parseDuration("7 days")).to.throw("Invalid duration");
+    expect(() => parseDuration("0d")).to.throw("must be greater than zero");
+
+    expect(formatDuration(604800)).to.equal("7d");
+    expect(formatDuration(93784)).to.equal("1d 2h 3m 4s");
+    expect(formatDuration(0)).to.equal("0s");
+    expect(describeVotingPeriod(50400, 12)).to.equal("~7d (50400 blocks at 12s/block)");
+  });
+
+  it("Should accept votingPeriod durations in the configuration", function () {
+    expect(validateConfig(withVotingPeriod("7d"))).to.be.true;
+    expect(() => validateConfig(withVotingPeriod("a week")))
+      .to.throw('$.dao.votingPeriod: Voting period must be a duration such as "7d"');
+    expect(() => validateConfig({ ...base, dao: { ...base.dao, votingPeriod: "7d" } }))
+      .to.throw("$.dao.votingPeriod: Cannot be combined with votingPeriodBlocks");
+    expect(() => validateConfig(withVotingPeriod("7d", { blockTimeSeconds: 0 })))
+      .to.throw("$.blockTimeSeconds: Block time must be a positive number of seconds");
+  });
+
+  it("Should convert durations with the configured block time", async function () {
+    const result = await resolveVotingPeriod(network, withVotingPeriod("7d", { blockTimeSeconds: 12 }));
+
+    expect(result).to.deep.equal({
+      votingPeriodBlocks: 50400,
+      blockTimeSeconds: 12,
+      blockTimeSource: "config",
+      durationSeconds: 604800,
+    });
+
+    // Partial blocks round up so the period is never shorter than configured
+    const arbitrum = await resolveVotingPeriod(network, withVotingPeriod("1h", { blockTimeSeconds: 0.25 }));
+    expect(arbitrum.votingPeriodBlocks).to.equal(14400);
+    const slow = await resolveVotingPeriod(network, withVotingPeriod("100s", { blockTimeSeconds: 12 }));
+    expect(slow.votingPeriodBlocks).to.equal(9);
+  });
+
+  it("Should sample the block time from recent blocks", async function () {
+    await network.networkHelpers.mine(101, { interval: 12 });
+
+    expect(await estimateBlockTime(network)).to.equal(12);
+
+    const result = await resolveVotingPeriod(network, withVotingPeriod("1d"));
+    expect(result.blockTimeSource).to.equal("sampled");
+    expect(result.votingPeriodBlocks).to.equal(7200);
+  });
+
+  it("Should keep votingPeriodBlocks and report its duration", async function () {
+    const result = await resolveVotingPeriod(network, { ...base, blockTimeSeconds: 2 });
+
+    expect(result.votingPeriodBlocks).to.equal(base.dao.votingPeriodBlocks);
+    expect(result.durationSeconds).to.equal(base.dao.votingPeriodBlocks * 2);
+  });
+
+  it("Should require a block time when the chain is too short to sample", async function () {
+    const genesisOnly = { ethers: { provider: { getBlock: async () => ({ number: 0, timestamp: 0 }) } } };
+
+    expect(await estimateBlockTime(genesisOnly)).to.be.null;
+    try {
+      await resolveVotingPeriod(genesisOnly, withVotingPeriod("7d"));
+      expect.fail("Should have thrown");
+    } catch (error) {
+      expect(error.message).to.include("set blockTimeSeconds for this network");
+    }
+
+    const result = await resolveVotingPeriod(genesisOnly, base);
+    expect(result.votingPeriodBlocks).to.equal(base.dao.votingPeriodBlocks);
+    expect(result.durationSeconds).to.be.null;
+  });
+
+  it("Should resolve and validate timelock delays", function () {
+    const withDelay = (timelockDelay) => ({ ...base, dao: { ...base.dao, timelockDelay } });
+
+    expect(resolveTimelockDelay(base)).to.equal(0);
+    expect(resolveTimelockDelay(withDelay("2d"))).to.equal(172800);
+    expect(resolveTimelockDelay(withDelay(3600))).to.equal(3600);
+    expect(resolveTimelockDelay(getConfig("mainnet"))).to.equal(172800);
+
+    expect(validateConfig(withDelay(0))).to.be.true;
+    expect(validateConfig(withDelay("30d"))).to.be.true;
+    expect(validateConfig(withDelay(MAX_TIMELOCK_DELAY_SECONDS))).to.be.true;
+    for (const invalid of ["31d", MAX_TIMELOCK_DELAY_SECONDS + 1, -1, "two days"]) {
+      expect(() => validateConfig(withDelay(invalid)))
+        .to.throw('$.dao.timelockDelay: Timelock delay must be seconds or a duration such as "2d", at most 30 days');
+    }
+  });
+
+  it("Should validate proposal thresholds and active proposal caps", function () {
+    const withDao = (values) => ({ ...base, dao: { ...base.dao, ...values } });
+
+    expect(validateConfig(withDao({ proposalThreshold: "0", maxActiveProposals: 0 }))).to.be.true;
+    expect(validateConfig(withDao({ proposalThreshold: "2500.5", maxActiveProposals: 3 }))).to.be.true;
+    expect(validateConfig(withDao({ proposalThreshold: base.token.initialSupply }))).to.be.true;
+
+    for (const invalid of ["-1", "1e18", "ten", 100]) {
+      expect(() => validateConfig(withDao({ proposalThreshold: invalid })))
+        .to.throw("$.dao.proposalThreshold: Invalid proposal threshold");
+    }
+    expect(() => validateConfig(withDao({ proposalThreshold: "1000001" })))
+      .to.throw("$.dao.proposalThreshold: Proposal threshold cannot exceed the initial supply");
+    for (const invalid of [-1, 1.5, "3"]) {
+      expect(() => validateConfig(withDao({ maxActiveProposals: invalid })))
+        .to.throw("$.dao.maxActiveProposals: Max active proposals must be a non-negative integer (0 = unlimited)");
+    }
+  });
+});
+
+describe("📜 Logger Tests", function () {
+  let network;
+  let ethers;
+
+  before(async function () {
+    network = await hre.network.connect();
+    ethers = network.ethers;
+  });
+
+  // Logger writing JSON lines into an array
+  const jsonLogger = (options = {}) => {
+    const lines = [];
+    const logger = createLogger({ format: "json", write: (line) => lines.push(line), ...options });
+    return { logger, records: () => lines.map((line) => JSON.parse(line)) };
+  };
+
+  // Capture console output while fn runs
+  const captureConsole = async (fn) => {
+    const captured = [];
+    const originals = { log: console.log, warn: console.warn, error: console.error };
+    for (const method of Object.keys(originals)) {
+      console[method] = (...args) => captured.push({ method, message: args.join(" ") });
+    }
+    try {
+      await fn();
+    } finally {
+      Object.assign(console, originals);
+    }
+    return captured;
+  };
+
+  it("Should print pretty messages unchanged on the matching console method", async function () {
+    const logger = createLogger();
+
+    const captured = await captureConsole(() => {
+      logger.info("  ✅ Done", { event: "ignored" });
+      logger.warn("⚠️  Careful");
+      logger.error("❌ Failed");
+    });
+
+    expect(captured).to.deep.equal([
+      { method: "log", message: "  ✅ Done" },
+      { method: "warn", message: "⚠️  Careful" },
+      { method: "error", message: "❌ Failed" },
+    ]);
+  });
+
+  it("Should write JSON lines with level, correlation ID and fields", function () {
+    const { logger, records } = jsonLogger({ correlationId: "run-1" });
+
+    logger.info("\n📦 Deploying TestToken...", { event: "contract.deploying", gas: 21000n });
+
+    const [record] = records();
+    expect(record).to.include({
+      level: "info",
+      correlationId: "run-1",
+      message: "📦 Deploying TestToken...",
+      event: "contract.deploying",
+      gas: "21000",
+    });
+    expect(new Date(record.timestamp).toString()).to.not.equal("Invalid Date");
+  });
+
+  it("Should skip separators and blank lines in JSON mode", function () {
+    const { logger, records } = jsonLogger();
+
+    logger.info("════════════════");
+    logger.info("\n");
+    logger.info("   DEPLOYMENT COMPLETED SUCCESSFULLY");
+
+    expect(records().map(({ message }) => message)).to.deep.equal(["DEPLOYMENT COMPLETED SUCCESSFULLY"]);
+  });
+
+  it("Should drop records below the configured level", function () {
+    const { logger, records } = jsonLogger({ level: "warn" });
+
+    logger.debug("debug");
+    logger.info("info");
+    logger.warn("warn");
+    logger.error("error");
+
+    expect(records().map(({ level }) => level)).to.deep.equal(["warn", "error"]);
+  });
+
+  it("Should print nothing in silent mode", async function () {
+    const logger = createLogger({ format: "silent" });
+
+    const captured = await captureConsole(() => logger.error("❌ Failed"));
+
+    expect(captured).to.be.empty;
+  });
+
+  it("Should share the correlation ID with child loggers", function () {
+    const { logger, records } = jsonLogger();
+
+    logger.child({ network: "sepolia" }).info("Deploying");
+
+    const [record] = records();
+    expect(record.correlationId).to.equal(logger.correlationId);
+    expect(record.network).to.equal("sepolia");
+  });
+
+  it("Should reject unknown formats and levels", function () {
+    expect(() => createLogger({ format: "xml" })).to.throw('Unknown log format "xml"');
+    expect(() => createLogger({ level: "trace" })).to.throw('Unknown log level "trace"');
+  });
+
+  it("Should log a deployment through the given logger only", async function () {
+    const { logger, records } = jsonLogger({ correlationId: "deploy-1" });
+
+    const captured = await captureConsole(() => deployContract({ ethers }, "TestToken", ["Log", "LOG", 1000n], { logger }));
+
+    expect(captured).to.be.empty;
+    const events = records().filter(({ event }) => event).map(({ event }) => event);
+    expect(events).to.deep.equal(["contract.deploying", "tx.pending", "tx.confirmed", "contract.deployed"]);
+    expect(records().every(({ correlationId }) => correlationId === "deploy-1")).to.be.true;
+  });
+
+  it("Should log gas estimates with structured fields", async function () {
+    const { logger, records } = jsonLogger();
+
+    const estimate = await estimateDeploymentGas({ ethers }, "TestToken", ["Log", "LOG", 1000n], { logger });
+
+    const record = records().find(({ event }) => event === "gas.estimated");
+    expect(record.contract).to.equal("TestToken");
+    expect(record.gasEstimate).to.equal(estimate.gasEstimate.toString());
+  });
+});
+
+describe("🏗️ deployDaoSystem() Tests", function () {
+  const testNetwork = "system-test";
+  const logger = createLogger({ format: "silent" });
+  let network;
+  let ethers;
+  let runtime;
+  let deployer;
+  let alice;
+
+  before(async function () {
+    network = await hre.network.connect();
+    ethers = network.ethers;
+    runtime = { ethers, network: { name: testNetwork }, artifacts: hre.artifacts };
+    [deployer, alice] = await ethers.getSigners();
+  });
+
+  afterEach(function () {
+    const deploymentsDir = path.join(process.cwd(), "deployments");
+    if (fs.existsSync(deploymentsDir)) {
+      fs.readdirSync(deploymentsDir)
+        .filter((file) => file.startsWith(`${testNetwork}-`))
+        .forEach((file) => fs.unlinkSync(path.join(deploymentsDir, file)));
+    }
+  });
+
+  const deploy = (config, options = {}) => deployDaoSystem(runtime, config, { confirm: false, confirmations: 1, logger, ...options });
+
+  it("Should deploy, set up and hand off the full system and save the artifact", async function () {
+    this.timeout(60000);
+    const config = {
+      ...getConfig("hardhat"),
+      distribution: { recipients: [{ address: alice.address, amount: "1000" }], delegateDeployer: true },
+      handoff: { tokenOwner: "dao" },
+    };
+
+    const result = await deploy(config);
+
+    const { TestToken: token, DAOVoting: dao } = result.contracts;
+    const daoAddress = await dao.getAddress();
+    expect(await dao.governanceToken()).to.equal(await token.getAddress());
+    expect(await dao.votingPeriodBlocks()).to.equal(5n);
+    expect(await dao.timelockDelay()).to.equal(0n);
+    expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("1000"));
+    expect(await token.delegates(deployer.address)).to.equal(deployer.address);
+    expect(await token.owner()).to.equal(daoAddress);
+    expect(await dao.owner()).to.equal(deployer.address);
+
+    const saved = loadDeployment(testNetwork, "active");
+    expect(saved.id).to.equal(result.deploymentId);
+    expect(saved.contracts.DAOVoting.address).to.equal(daoAddress);
+    expect(saved.handoff.TestToken.newOwner).to.equal(daoAddress);
+    expect(saved.correlationId).to.equal(logger.correlationId);
+    expect(saved.verification).to.deep.equal({ enabled: false, completed: false, contracts: {} });
+    expect(loadDeploymentJournal(testNetwork)).to.be.null;
+  });
+
+  for (const mode of ["CREATE", "CREATE2"]) {
+    it(`Should send every transaction from a non-default deployer (${mode})`, async function () {
+      this.timeout(60000);
+      const config = {
+        ...getConfig("hardhat"),
+        distribution: { recipients: [{ address: deployer.address, amount: "1000" }], delegateDeployer: true },
+        ...(mode === "CREATE2" ? { create2: { salt: "non-default-deployer" } } : {}),
+      };
+
+      const result = await deploy(config, { deployer: alice });
+
+      const { TestToken: token, DAOVoting: dao } = result.contracts;
+      const supply = ethers.parseUnits(config.token.initialSupply, 18);
+      expect(await token.owner()).to.equal(alice.address);
+      expect(await dao.owner()).to.equal(alice.address);
+      expect(await token.balanceOf(alice.address)).to.equal(supply - ethers.parseEther("1000"));
+      expect(await token.balanceOf(deployer.address)).to.equal(ethers.parseEther("1000"));
+      expect(await token.delegates(alice.address)).to.equal(alice.address);
+      expect(result.deployment.deployer).to.equal(alice.address);
+
+      if (mode === "CREATE") {
+        const deployTx = await ethers.provider.getTransaction(result.deployment.contracts.TestToken.transactionHash);
+        expect(deployTx.from).to.equal(alice.address);
+      }
+    });
+  }
+
+  it("Should record the outcome of hardhat-verify per contract", async function () {
+    this.timeout(60000);
+    const config = { ...getConfig("hardhat"), verification: { enabled: true, apiKey: "test-key" } };
+
+    // Real verification: hardhat-verify rejects the development chain, so both contracts fail
+    const verifying = { ...hre, ...runtime, network: { ...runtime.network, connection: network } };
+    const result = await deployDaoSystem(verifying, config, { confirm: false, confirmations: 1, logger });
+
+    const { verification } = result.deployment;
+    expect(verification.completed).to.be.false;
+    for (const contractName of ["TestToken", "DAOVoting"]) {
+      expect(verification.contracts[contractName].status).to.equal("failed");
+      expect(verification.contracts[contractName].reason).to.include('chain id "31337" is not supported');
+    }
+  });
+
+  it("Should reuse the recorded contracts on a second run", async function () {
+    this.timeout(60000);
+    const config = getConfig("hardhat");
+
+    const first = await deploy(config);
+    const second = await deploy(config);
+
+    expect(second.deployment.contracts.TestToken.address).to.equal(first.deployment.contracts.TestToken.address);
+    expect(second.deployment.contracts.DAOVoting.address).to.equal(first.deployment.contracts.DAOVoting.address);
+    expect(second.deploymentId).to.not.equal(first.deploymentId);
+  });
+
+  it("Should return the plan without sending transactions in a dry run", async function () {
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    const result = await deploy(getConfig("hardhat"), { dryRun: true });
+
+    expect(result.plan.steps.map(({ contract }) => contract)).to.deep.equal(["TestToken", "DAOVoting"]);
+    expect(result.deploymentId).to.be.undefined;
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+  });
+
+  it("Should print the plan for an unfunded deployer and refuse to deploy", async function () {
+    this.timeout(60000);
+    // Only the local development chain may deploy without the estimated balance
+    const remote = await hre.network.connect({ override: { chainId: 11155111 } });
+    const unfunded = ethers.Wallet.createRandom().connect(remote.ethers.provider);
+    const config = { ...getConfig("hardhat"), expectedChainId: 11155111 };
+    const options = { deployer: unfunded, confirm: false, confirmations: 1, logger };
+
+    const remoteRuntime = { ...runtime, ethers: remote.ethers };
+    const { plan } = await deployDaoSystem(remoteRuntime, config, { ...options, dryRun: true });
+    expect(plan.deployer).to.equal(unfunded.address);
+    expect(plan.totals.deployerBalance).to.equal("0");
+    expect(plan.totals.sufficientBalance).to.be.false;
+
+    // Whatever the network is called
+    for (const name of [testNetwork, "hardhat"]) {
+      try {
+        await deployDaoSystem({ ...remoteRuntime, network: { name } }, config, options);
+        expect.fail("Should have thrown error");
+      } catch (error) {
+        expect(error).to.be.instanceOf(InsufficientBalanceError);
+        expect(error.balance).to.equal(0n);
+        expect(error.required > 0n).to.be.true;
+      }
+    }
+  });
+
+  it("Should apply the fresh and skipVerification options to a dry run", async function () {
+    this.timeout(60000);
+    const config = { ...getConfig("hardhat"), verification: { enabled: true, apiKey: "test-key" } };
+    await deploy(config, { skipVerification: true });
+
+    const resumed = await deploy(config, { dryRun: true });
+    expect(resumed.plan.steps.map(({ action }) => action)).to.deep.equal(["reuse", "reuse"]);
+    expect(resumed.plan.verification.willRun).to.be.true;
+
+    const fresh = await deploy(config, { dryRun: true, fresh: true, skipVerification: true });
+    expect(fresh.plan.steps.map(({ action }) => action)).to.deep.equal(["deploy", "deploy"]);
+    expect(fresh.plan.verification.willRun).to.be.false;
+  });
+
+  it("Should throw a configuration DeploymentError for an invalid config", async function () {
+    const config = { ...getConfig("hardhat"), dao: { quorumNumerator: 0, votingPeriodBlocks: 5 } };
+
+    try {
+      await deploy(config);
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error).to.be.instanceOf(DeploymentError);
+      expect(error.step).to.equal("configuration");
+      expect(error.cause).to.be.instanceOf(ConfigValidationError);
+      expect(error.deployed).to.deep.equal({});
+    }
+  });
+
+  it("Should throw a configuration DeploymentError on a chain ID mismatch", async function () {
+    const config = { ...getConfig("hardhat"), expectedChainId: 1 };
+
+    try {
+      await deploy(config);
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error.step).to.equal("configuration");
+      expect(error.message).to.include("Chain ID mismatch");
+    }
+  });
+
+  it("Should default to local confirm and confirmations by chain ID, not network name", async function () {
+    this.timeout(60000);
+    const originalEnv = process.env.AUTO_CONFIRM;
+    delete process.env.AUTO_CONFIRM;
+    // Declines if a confirmation prompt is shown
+    const input = new PassThrough();
+    input.isTTY = true;
+    input.end("n\n");
+
+    try {
+      // testNetwork is not a known local network name, but the chain is 31337
+      const { contracts } = await deployDaoSystem(runtime, getConfig("hardhat"), {
+        prompt: { input, output: new PassThrough() },
+        logger,
+      });
+      expect(await ethers.provider.getCode(await contracts.DAOVoting.getAddress())).to.not.equal("0x");
+    } finally {
+      if (originalEnv !== undefined) {
+        process.env.AUTO_CONFIRM = originalEnv;
+      }
+    }
+  });
+
+  it("Should throw DeploymentCancelledError when the deployment is not confirmed", async function () {
+    const originalEnv = process.env.AUTO_CONFIRM;
+    delete process.env.AUTO_CONFIRM;
+    const input = new PassThrough();
+    input.isTTY = true;
+    input.end("n\n");
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    try {
+      await deploy(getConfig("hardhat"), { confirm: true, prompt: { input, output: new PassThrough() } });
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error).to.be.instanceOf(DeploymentCancelledError);
+      expect(error.step).to.equal("confirmation");
+    } finally {
+      if (originalEnv !== undefined) {
+        process.env.AUTO_CONFIRM = originalEnv;
+      }
+    }
+
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+  });
+
+  it("Should report the contracts deployed before a failed step", async function () {
+    this.timeout(60000);
+    // The expired delegation signature makes the distribution step revert
+    const zeroWord = ethers.ZeroHash;
+    const config = {
+      ...getConfig("hardhat"),
+      distribution: {
+        recipients: [{
+          address: alice.address,
+          amount: "1000",
+          delegation: { delegatee: alice.address, nonce: "0", expiry: "1", v: 27, r: zeroWord, s: zeroWord },
+        }],
+      },
+    };
+
+    try {
+      await deploy(config);
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error).to.be.instanceOf(DeploymentError);
+      expect(error.step).to.equal("distribution");
+      expect(error.deployed).to.have.keys("TestToken", "DAOVoting");
+    }
+  });
+});
+
+describe("🧭 Ignition Module Tests", function () {
+  const testNetwork = "ignition-test";
+  const logger = createLogger({ format: "silent" });
+  let network;
+  let ethers;
+  let runtime;
+  let deployer;
+  let tmpDir;
+
+  before(async function () {
+    network = await hre.network.connect();
+    ethers = network.ethers;
+    runtime = { ethers, network: { name: testNetwork }, artifacts: hre.artifacts };
+    [deployer] = await ethers.getSigners();
+  });
+
+  beforeEach(function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "dao-ignition-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    const deploymentsDir = path.join(process.cwd(), "deployments");
+    if (fs.existsSync(deploymentsDir)) {
+      fs.readdirSync(deploymentsDir)
+        .filter((file) => file.startsWith(`${testNetwork}-`))
+        .forEach((file) => fs.unlinkSync(path.join(deploymentsDir, file)));
+    }
+  });
+
+  it("Should build the module parameters from a network configuration", function () {
+    const sepolia = getConfig("sepolia");
+    const config = { ...sepolia, dao: { ...sepolia.dao, proposalThreshold: "10000", maxActiveProposals: 3 } };
+
+    expect(buildIgnitionParameters(config)).to.deep.equal({
+      [IGNITION_MODULE_ID]: {
+        tokenName: config.token.name,
+        tokenSymbol: config.token.symbol,
+        initialSupply: ethers.parseUnits(config.token.initialSupply, 18),
+        quorumNumerator: config.dao.quorumNumerator,
+        votingPeriodBlocks: config.dao.votingPeriodBlocks,
+        timelockDelay: 86400,
+        proposalThreshold: ethers.parseUnits("10000", 18),
+        maxActiveProposals: 3,
+      },
+    });
+  });
+
+  it("Should require a block count for a votingPeriod duration", function () {
+    const base = getConfig("hardhat");
+    const config = { ...base, dao: { quorumNumerator: 20, votingPeriod: "1d" } };
+
+    expect(() => buildIgnitionParameters(config)).to.throw("must be converted to blocks first");
+    const parameters = buildIgnitionParameters(config, { votingPeriodBlocks: 7200 });
+    expect(parameters[IGNITION_MODULE_ID].votingPeriodBlocks).to.equal(7200);
+  });
+
+  it("Should write bigints in Ignition's parameter file format", function () {
+    const parameters = buildIgnitionParameters(getConfig("hardhat"));
+    const written = JSON.parse(serializeIgnitionParameters(parameters));
+
+    expect(written[IGNITION_MODULE_ID].initialSupply)
+      .to.equal(`${parameters[IGNITION_MODULE_ID].initialSupply}n`);
+    expect(written[IGNITION_MODULE_ID].quorumNumerator).to.equal(parameters[IGNITION_MODULE_ID].quorumNumerator);
+  });
+
+  it("Should deploy TestToken and DAOVoting with the deploy.config.js defaults", async function () {
+    this.timeout(60000);
+    const config = getConfig("hardhat");
+
+    const { token, dao } = await network.ignition.deploy(DAOSystemModule);
+
+    expect(await token.name()).to.equal(config.token.name);
+    expect(await token.symbol()).to.equal(config.token.symbol);
+    expect(await token.totalSupply()).to.equal(ethers.parseUnits(config.token.initialSupply, 18));
+    expect(await dao.governanceToken()).to.equal(await token.getAddress());
+    expect(await dao.quorumNumerator()).to.equal(BigInt(config.dao.quorumNumerator));
+    expect(await dao.votingPeriodBlocks()).to.equal(BigInt(config.dao.votingPeriodBlocks));
+  });
+
+  it("Should deploy with a parameter file generated from deploy.config.js", async function () {
+    this.timeout(60000);
+    const base = getConfig("hardhat");
+    const config = {
+      ...base,
+      token: { ...base.token, name: "Ignition Token", symbol: "IGN", initialSupply: "5000" },
+      dao: { quorumNumerator: 35, votingPeriodBlocks: 12, timelockDelay: "1h", proposalThreshold: "50", maxActiveProposals: 2 },
+    };
+    const filepath = writeIgnitionParameters(path.join(tmpDir, "parameters.json"), buildIgnitionParameters(config));
+
+    const { token, dao } = await network.ignition.deploy(DAOSystemModule, { parameters: filepath });
+
+    expect(await token.name()).to.equal("Ignition Token");
+    expect(await token.symbol()).to.equal("IGN");
+    expect(await token.totalSupply()).to.equal(ethers.parseEther("5000"));
+    expect(await dao.quorumNumerator()).to.equal(35n);
+    expect(await dao.votingPeriodBlocks()).to.equal(12n);
+    expect(await dao.timelockDelay()).to.equal(3600n);
+    expect(await dao.proposalThreshold()).to.equal(ethers.parseEther("50"));
+    expect(await dao.maxActiveProposals()).to.equal(2n);
+  });
+
+  it("Should produce the same deployment as deployDaoSystem()", async function () {
+    this.timeout(60000);
+    const config = getConfig("hardhat");
+
+    const { contracts: scripted } = await deployDaoSystem(runtime, config, { confirm: false, confirmations: 1, logger });
+    const ignited = await network.ignition.deploy(DAOSystemModule, { parameters: buildIgnitionParameters(config) });
+
+    const pairs = [
+      ["TestToken", scripted.TestToken, ignited.token],
+      ["DAOVoting", scripted.DAOVoting, ignited.dao],
+    ];
+    for (const [contractName, a, b] of pairs) {
+      const { immutableReferences } = await hre.artifacts.readArtifact(contractName);
+      const codeA = await ethers.provider.getCode(await a.getAddress());
+      const codeB = await ethers.provider.getCode(await b.getAddress());
+      expect(maskImmutables(codeA, immutableReferences)).to.equal(maskImmutables(codeB, immutableReferences));
+      expect(await a.owner()).to.equal(await b.owner());
+    }
+
+    const [tokenA, tokenB] = [scripted.TestToken, ignited.token];
+    for (const getter of ["name", "symbol", "decimals", "totalSupply"]) {
+      expect(await tokenA[getter]()).to.equal(await tokenB[getter]());
+    }
+    expect(await tokenA.balanceOf(deployer.address)).to.equal(await tokenB.balanceOf(deployer.address));
+
+    const [daoA, daoB] = [scripted.DAOVoting, ignited.dao];
+    expect(await daoA.governanceToken()).to.equal(await tokenA.getAddress());
+    expect(await daoB.governanceToken()).to.equal(await tokenB.getAddress());
+    expect(await daoA.quorumNumerator()).to.equal(await daoB.quorumNumerator());
+    expect(await daoA.votingPeriodBlocks()).to.equal(await daoB.votingPeriodBlocks());
+    expect(await daoA.timelockDelay()).to.equal(await daoB.timelockDelay());
+    expect(await daoA.proposalThreshold()).to.equal(await daoB.proposalThreshold());
+    expect(await daoA.maxActiveProposals()).to.equal(await daoB.maxActiveProposals());
+  });
+});
+
+describe("🌐 Multi-Network Deployment Tests", function () {
+  const targets = ["multi-sepolia", "multi-polygon", "multi-arbitrum"];
+  const logger = createLogger({ format: "silent" });
+  const deployOptions = { confirm: false, confirmations: 1 };
+  let connections;
+
+  // Each target gets its own in-process Hardhat chain standing in for the real network
+  const connect = async (network) => {
+    connections.push(network);
+    const { ethers } = await hre.network.connect();
+    return { ethers, network: { name: network }, artifacts: hre.artifacts };
+  };
+
+  // The real network configuration, retargeted to the local chain
+  const resolveTarget = (overrides = {}) => (network) => {
+    const { config, sources } = resolveConfig(network.replace("multi-", ""));
+    return {
+      config: { ...config, expectedChainId: 31337, verification: { enabled: false }, ...overrides[network] },
+      sources,
+    };
+  };
+
+  beforeEach(function () {
+    connections = [];
+  });
+
+  afterEach(function () {
+    const deploymentsDir = path.join(process.cwd(), "deployments");
+    if (fs.existsSync(deploymentsDir)) {
+      fs.readdirSync(deploymentsDir)
+        .filter((file) => file.startsWith("multi-"))
+        .forEach((file) => fs.unlinkSync(path.join(deploymentsDir, file)));
+    }
+  });
+
+  it("Should deploy every network and aggregate the addresses into one manifest", async function () {
+    this.timeout(120000);
+
+    const manifest = await deployToNetworks(targets, {
+      connect,
+      resolveConfig: resolveTarget(),
+      deployOptions,
+      logger,
+    });
+
+    expect(manifest.completed).to.be.true;
+    expect(manifest.policy).to.equal("stop");
+    expect(manifest.networks.map(({ network }) => network)).to.deep.equal(targets);
+    expect(manifest.networks.every(({ status }) => status === "deployed")).to.be.true;
+    expect(manifest.contracts.TestToken).to.have.keys(...targets);
+    expect(manifest.contracts.DAOVoting).to.have.keys(...targets);
+
+    const polygon = manifest.networks[1];
+    const saved = loadLatestDeployment("multi-polygon", { logger });
+    expect(saved.contracts.DAOVoting.address).to.equal(polygon.contracts.DAOVoting);
+    expect(saved.contracts.DAOVoting.quorumNumerator).to.equal(deploymentConfig.polygon.dao.quorumNumerator);
+    expect(polygon.deploymentId).to.be.a("string");
+    expect(polygon.chainId).to.equal("31337");
+  });
+
+  it("Should skip the remaining networks after a failure with the stop policy", async function () {
+    this.timeout(120000);
+
+    const manifest = await deployToNetworks(targets, {
+      connect,
+      resolveConfig: resolveTarget({ "multi-polygon": { expectedChainId: 137 } }),
+      deployOptions,
+      logger,
+    });
+
+    expect(manifest.completed).to.be.false;
+    expect(manifest.networks.map(({ status }) => status)).to.deep.equal(["deployed", "failed", "skipped"]);
+    expect(manifest.networks[1].error.step).to.equal("configuration");
+    expect(manifest.networks[1].error.message).to.include("Chain ID mismatch");
+    expect(manifest.contracts.TestToken).to.have.keys("multi-sepolia");
+    expect(connections).to.deep.equal(["multi-sepolia", "multi-polygon"]);
+  });
+
+  it("Should keep deploying after a failure with the continue policy", async function () {
+    this.timeout(120000);
+
+    const manifest = await deployToNetworks(targets, {
+      connect,
+      policy: "continue",
+      resolveConfig: resolveTarget({ "multi-polygon": { expectedChainId: 137 } }),
+      deployOptions,
+      logger,
+    });
+
+    expect(manifest.completed).to.be.false;
+    expect(manifest.networks.map(({ status }) => status)).to.deep.equal(["deployed", "failed", "deployed"]);
+    expect(manifest.contracts.DAOVoting).to.have.keys("multi-sepolia", "multi-arbitrum");
+  });
+
+  it("Should deploy to the same CREATE2 addresses on networks with different settings", async function () {
+    this.timeout(120000);
+    const create2 = { create2: { salt: "cross-chain" } };
+
+    const manifest = await deployToNetworks(["multi-sepolia", "multi-polygon"], {
+      connect,
+      resolveConfig: resolveTarget({ "multi-sepolia": create2, "multi-polygon": create2 }),
+      deployOptions,
+      logger,
+    });
+
+    expect(manifest.completed).to.be.true;
+    expect(manifest.contracts.TestToken["multi-sepolia"]).to.equal(manifest.contracts.TestToken["multi-polygon"]);
+    expect(manifest.contracts.DAOVoting["multi-sepolia"]).to.equal(manifest.contracts.DAOVoting["multi-polygon"]);
+
+    for (const [network, expected] of [["multi-sepolia", deploymentConfig.sepolia], ["multi-polygon", deploymentConfig.polygon]]) {
+      const saved = loadLatestDeployment(network, { logger });
+      expect(saved.contracts.TestToken.initialSupply).to.equal(expected.token.initialSupply);
+      expect(saved.contracts.DAOVoting.quorumNumerator).to.equal(expected.dao.quorumNumerator);
+      expect(saved.contracts.DAOVoting.votingPeriodBlocks).to.equal(expected.dao.votingPeriodBlocks);
+    }
+  });
+
+  it("Should record a network that cannot be reached as a connection failure", async function () {
+    this.timeout(60000);
+
+    const manifest = await deployToNetworks(["multi-sepolia"], {
+      connect: async () => {
+        throw new Error("connect ECONNREFUSED");
+      },
+      resolveConfig: resolveTarget(),
+      deployOptions,
+      logger,
+    });
+
+    expect(manifest.networks[0].status).to.equal("failed");
+    expect(manifest.networks[0].error).to.deep.equal({
+      step: "connection",
+      message: "connect ECONNREFUSED",
+      deployed: {},
+    });
+  });
+
+  it("Should validate every configuration before deploying to any network", async function () {
+    const resolve = resolveTarget({ "multi-arbitrum": { dao: { quorumNumerator: 0, votingPeriodBlocks: 10 } } });
+
+    try {
+      await deployToNetworks(targets, { connect, resolveConfig: resolve, deployOptions, logger });
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error.message).to.include("Invalid network configuration");
+      expect(error.message).to.include("multi-arbitrum");
+    }
+    expect(connections).to.be.empty;
+  });
+
+  it("Should default to the testnets of deploymentConfig", async function () {
+    const resolved = [];
+    const resolve = (network) => {
+      resolved.push(network);
+      throw new Error("not needed");
+    };
+
+    try {
+      await deployToNetworks(undefined, { connect, resolveConfig: resolve, logger });
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error.message).to.include("Invalid network configuration");
+    }
+    expect(resolved).to.deep.equal(["sepolia"]);
+  });
+
+  it("Should require an explicit opt-in for mainnet-class networks", async function () {
+    const resolved = [];
+    const resolve = (network) => {
+      resolved.push(network);
+      throw new Error("not needed");
+    };
+
+    try {
+      await deployToNetworks(["sepolia", "polygon", "mainnet"], { connect, resolveConfig: resolve, logger });
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error.message).to.include("Deploying to polygon, mainnet requires allowMainnet");
+    }
+    expect(resolved).to.be.empty;
+
+    try {
+      await deployToNetworks(["sepolia", "polygon"], { connect, allowMainnet: true, resolveConfig: resolve, logger });
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error.message).to.include("Invalid network configuration");
+    }
+    expect(resolved).to.deep.equal(["sepolia", "polygon"]);
+  });
+
+  it("Should reject an unknown failure policy", async function () {
+    try {
+      await deployToNetworks(targets, { connect, policy: "retry", logger });
+      expect.fail("Should have thrown error");
+    } catch (error) {
+      expect(error.message).to.include('Unknown failure policy "retry"');
+    }
+  });
+
+  it("Should save the manifest and format one line per network", function () {
+    const manifest = {
+      timestamp: new Date().toISOString(),
+      correlationId: "test",
+      policy: "stop",
+      completed: false,
+      networks: [
+        { network: "sepolia", status: "deployed", contracts: { TestToken: "0x01", DAOVoting: "0x02" } },
+        { network: "polygon", status: "failed", error: { step: "DAOVoting", message: "out of gas", deployed: {} } },
+        { network: "arbitrum", status: "skipped" },
+      ],
+      contracts: { TestToken: { sepolia: "0x01" }, DAOVoting: { sepolia: "0x02" } },
+    };
+
+    const { id, filepath } = saveCrossChainManifest(manifest, { logger });
+    const latestPath = path.join(path.dirname(filepath), "cross-chain-latest.json");
+    try {
+      expect(path.basename(filepath)).to.equal(`cross-chain-${id}.json`);
+      expect(JSON.parse(fs.readFileSync(filepath, "utf8"))).to.deep.equal({ id, ...manifest });
+      expect(JSON.parse(fs.readFileSync(latestPath, "utf8")).id).to.equal(id);
+    } finally {
+      fs.unlinkSync(filepath);
+      fs.unlinkSync(latestPath);
+    }
+
+    const lines = formatCrossChainManifest(manifest).split("\n");
+    expect(lines).to.have.lengthOf(3);
+    expect(lines[0]).to.include("✅ sepolia").and.include("DAOVoting 0x02");
+    expect(lines[1]).to.include("failed at DAOVoting: out of gas");
+    expect(lines[2]).to.include("arbitrum").and.include("skipped");
   });
 });
 
@@ -1055,7 +3830,10 @@ describe("🔄 Integration: Full Deployment Simulation", function () {
     const dao = await DAOFactory.deploy(
       tokenAddress,
       config.dao.quorumNumerator,
-      config.dao.votingPeriodBlocks
+      config.dao.votingPeriodBlocks,
+      resolveTimelockDelay(config),
+      ethers.parseUnits(config.dao.proposalThreshold || "0", 18),
+      config.dao.maxActiveProposals ?? 0
     );
     await dao.waitForDeployment();
     const daoAddress = await dao.getAddress();